@@ -0,0 +1,89 @@
+// apps/api/src/lib/smsSegments.js
+// SMS segment calculator (GSM-7 / UCS-2)
+
+// GSM 03.38 basic character set (1 septet each)
+const GSM7_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// GSM 03.38 extension table (escape + char = 2 septets)
+const GSM7_EXTENDED = new Set('^{}\\[~]|€\f');
+
+const LIMITS = {
+  'GSM-7': { single: 160, multi: 153 },
+  'UCS-2': { single: 70, multi: 67 }
+};
+
+/**
+ * Whether text can be sent in GSM-7 (otherwise the whole message is UCS-2).
+ *
+ * @param {string} text - Message text
+ * @returns {boolean}
+ */
+function isGsm7(text) {
+  for (const ch of text || '') {
+    if (!GSM7_BASIC.has(ch) && !GSM7_EXTENDED.has(ch)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Count the segments (billable parts) of an SMS.
+ * GSM-7: 160 per single SMS, 153 per part of a concatenated SMS; extension
+ * characters (€, [, ], {, }, ...) take two. Any other character switches the
+ * message to UCS-2: 70 single / 67 per part. Escape sequences and surrogate
+ * pairs (emoji) are never split across parts.
+ *
+ * @param {string} text - Final message text (after personalization and links)
+ * @returns {{ encoding: string, length: number, segments: number, perSegment: number }}
+ */
+function countSegments(text) {
+  const value = text || '';
+  const encoding = isGsm7(value) ? 'GSM-7' : 'UCS-2';
+  const limits = LIMITS[encoding];
+
+  // Size of each character in encoding units (septets or UTF-16 code units)
+  const sizes = [];
+  for (const ch of value) {
+    sizes.push(encoding === 'GSM-7' ? (GSM7_EXTENDED.has(ch) ? 2 : 1) : ch.length);
+  }
+  const length = sizes.reduce((sum, size) => sum + size, 0);
+
+  if (length === 0) {
+    return { encoding, length, segments: 0, perSegment: limits.single };
+  }
+  if (length <= limits.single) {
+    return { encoding, length, segments: 1, perSegment: limits.single };
+  }
+
+  let segments = 1;
+  let used = 0;
+  for (const size of sizes) {
+    if (used + size > limits.multi) {
+      segments++;
+      used = 0;
+    }
+    used += size;
+  }
+
+  return { encoding, length, segments, perSegment: limits.multi };
+}
+
+/**
+ * Credits needed to send a text (one per segment, at least one).
+ *
+ * @param {string} text - Final message text
+ * @returns {number}
+ */
+function creditsForText(text) {
+  return Math.max(1, countSegments(text).segments);
+}
+
+module.exports = {
+  isGsm7,
+  countSegments,
+  creditsForText
+};
@@ -1,44 +1,312 @@
 // apps/api/src/lib/template.js
 // Template rendering utilities
 
+const { getLocalParts } = require('./timezone');
+
+/**
+ * Template syntax
+ *   {{first_name}}                        value (empty when missing)
+ *   {{first_name|there}}                  value with fallback
+ *   {{birthday:DD/MM}}                    date with format (YYYY, YY, MM, M, DD, D)
+ *   {{#if first_name}}...{{else}}...{{/if}} conditional ({{else}} is optional)
+ *   {{custom.loyalty_tier}}               custom contact attribute (dates: {{custom.last_visit:DD/MM}})
+ *
+ * Token names are case-insensitive, snake_case and camelCase are both accepted.
+ */
+
+const DEFAULT_DATE_FORMAT = 'DD/MM/YYYY';
+
+// Normalized token name (lowercase, no underscores) -> definition
+const TOKENS = {
+  firstname: { type: 'text', resolve: (contact) => contact.firstName },
+  lastname: { type: 'text', resolve: (contact) => contact.lastName },
+  email: { type: 'text', resolve: (contact) => contact.email },
+  company: { type: 'text', resolve: (contact, context) => context.company },
+  storename: { type: 'text', resolve: (contact, context) => context.company },
+  age: { type: 'number', resolve: (contact, context) => ageOf(contact.birthday, context) },
+  daysuntilbirthday: { type: 'number', resolve: (contact, context) => daysUntilBirthday(contact.birthday, context) },
+  birthday: { type: 'date', resolve: (contact) => contact.birthday, dateOnly: true },
+  today: { type: 'date', resolve: (contact, context) => context.now || new Date() },
+  offerlink: { type: 'text', resolve: (contact, context) => context.offerLink }
+};
+
+// Names shown to users (validation errors, template editors)
+const TOKEN_NAMES = [
+  'first_name', 'last_name', 'email', 'company', 'store_name', 'age',
+  'days_until_birthday', 'birthday', 'today', 'offer_link', 'custom.<field>'
+];
+
+const CUSTOM_PREFIX = 'custom.';
+
+// Senders render {{offer_link}} as this and put the final (shortened) URL in its place
+const OFFER_LINK_PLACEHOLDER = '[[offer_link]]';
+
+const VARIABLE_REGEX = /{{\s*([A-Za-z_][\w.]*)\s*(?::\s*([^|}]*?))?\s*(?:\|([^}]*))?}}/g;
+const IF_BLOCK_REGEX = /{{\s*#if\s+([A-Za-z_][\w.]*)\s*}}((?:(?!{{\s*#if\b)[\s\S])*?){{\s*\/if\s*}}/i;
+const ELSE_REGEX = /{{\s*else\s*}}/i;
+const DATE_FORMAT_REGEX = /^(YYYY|YY|MM|M|DD|D|[\s./\-,])+$/;
+const DATE_VALUE_REGEX = /^\d{4}-\d{2}-\d{2}$/; // date attributes are stored as "YYYY-MM-DD"
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/_/g, '');
+}
+
+/**
+ * Look up a token: built-in definition, or a custom contact field
+ * @returns {Object|null} { type, resolve, dateOnly? }
+ */
+function findToken(name) {
+  if (name.toLowerCase().startsWith(CUSTOM_PREFIX)) {
+    const key = name.slice(CUSTOM_PREFIX.length);
+    if (!/^\w+$/.test(key)) {
+      return null;
+    }
+    return {
+      type: 'custom',
+      key,
+      resolve: (contact) => {
+        const value = contact.customFields?.[key];
+        return value === undefined ? null : value;
+      }
+    };
+  }
+  return TOKENS[normalizeName(name)] || null;
+}
+
+/**
+ * Today's calendar date in the owner's timezone
+ */
+function localToday(context) {
+  const parts = getLocalParts(context.now || new Date(), context.timezone);
+  return { year: parts.year, month: parts.month, day: parts.day };
+}
+
+/**
+ * Birthdays are calendar dates (stored at UTC midnight), so read them in UTC
+ */
+function birthdayParts(birthday) {
+  const date = birthday instanceof Date ? birthday : new Date(birthday);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function ageOf(birthday, context) {
+  const birth = birthday ? birthdayParts(birthday) : null;
+  if (!birth) {
+    return null;
+  }
+  const today = localToday(context);
+  let age = today.year - birth.year;
+  if (today.month < birth.month || (today.month === birth.month && today.day < birth.day)) {
+    age--;
+  }
+  return age >= 0 ? age : null;
+}
+
+function daysUntilBirthday(birthday, context) {
+  const birth = birthday ? birthdayParts(birthday) : null;
+  if (!birth) {
+    return null;
+  }
+  const today = localToday(context);
+  const todayUtc = Date.UTC(today.year, today.month - 1, today.day);
+
+  // Feb 29 birthdays are celebrated on Feb 28 in non-leap years
+  const occurrence = (year) => {
+    const isLeap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    const day = birth.month === 2 && birth.day === 29 && !isLeap ? 28 : birth.day;
+    return Date.UTC(year, birth.month - 1, day);
+  };
+
+  let next = occurrence(today.year);
+  if (next < todayUtc) {
+    next = occurrence(today.year + 1);
+  }
+  return Math.round((next - todayUtc) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Format a date with YYYY / YY / MM / M / DD / D
+ * Date-only values (birthday) are read in UTC, others in the owner's timezone.
+ */
+function formatDate(value, format, context, dateOnly) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    return '';
+  }
+  const parts = dateOnly ? birthdayParts(date) : getLocalParts(date, context.timezone);
+  const pad = (n) => String(n).padStart(2, '0');
+
+  return (format || DEFAULT_DATE_FORMAT).replace(/YYYY|YY|MM|M|DD|D/g, (part) => {
+    switch (part) {
+      case 'YYYY': return String(parts.year);
+      case 'YY': return String(parts.year).slice(-2);
+      case 'MM': return pad(parts.month);
+      case 'M': return String(parts.month);
+      case 'DD': return pad(parts.day);
+      default: return String(parts.day);
+    }
+  });
+}
+
+/**
+ * Value of a token as text ('' when missing)
+ */
+function resolveToken(name, format, contact, context) {
+  const token = findToken(name);
+  if (!token) {
+    return '';
+  }
+  const value = token.resolve(contact, context);
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (token.type === 'date' || value instanceof Date) {
+    return formatDate(value, format, context, token.dateOnly);
+  }
+  if (token.type === 'custom' && typeof value === 'string' && DATE_VALUE_REGEX.test(value)) {
+    return formatDate(`${value}T00:00:00Z`, format, context, true);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'yes' : 'no';
+  }
+  return String(value);
+}
+
+/**
+ * Whether a conditional token has a value (0 counts, e.g. days_until_birthday on the day)
+ */
+function isPresent(name, contact, context) {
+  const token = findToken(name);
+  if (!token) {
+    return false;
+  }
+  const value = token.resolve(contact, context);
+  return value !== null && value !== undefined && value !== '' && value !== false;
+}
+
 /**
  * Render template text with contact placeholders
- * Supports both {{first_name}}/{{last_name}} and {{firstName}}/{{lastName}} formats
- * Handles missing fields gracefully (replaces with empty string)
- * 
+ * Supports both {{first_name}}/{{last_name}} and {{firstName}}/{{lastName}} formats,
+ * fallbacks, conditionals and date formatting (see the syntax above)
+ * Handles missing fields gracefully (fallback, otherwise empty string)
+ *
  * @param {string} templateText - Template text with placeholders
- * @param {Object} contact - Contact object with firstName, lastName, email
+ * @param {Object} contact - Contact object with firstName, lastName, email, birthday, customFields
+ * @param {Object} [context] - { company, timezone, offerLink, now } (owner data for store/date tokens)
  * @returns {string} Rendered text
  */
-function render(templateText, contact) {
+function render(templateText, contact, context = {}) {
   if (!templateText) {
     return '';
   }
-  
+
   let rendered = templateText;
-  
-  // Support both {{first_name}} and {{firstName}} formats
-  const firstName = contact.firstName || '';
-  rendered = rendered
-    .replace(/{{\s*first_name\s*}}/gi, firstName)
-    .replace(/{{\s*firstName\s*}}/gi, firstName);
-  
-  // Support both {{last_name}} and {{lastName}} formats
-  const lastName = contact.lastName || '';
-  rendered = rendered
-    .replace(/{{\s*last_name\s*}}/gi, lastName)
-    .replace(/{{\s*lastName\s*}}/gi, lastName);
-  
-  // Legacy support for email (not in new templates but keep for backward compatibility)
-  rendered = rendered.replace(/{{\s*email\s*}}/gi, contact.email || '');
-  
+
+  // Conditionals, innermost first
+  let match;
+  while ((match = rendered.match(IF_BLOCK_REGEX))) {
+    const [whole, name, body] = match;
+    const [whenTrue, whenFalse = ''] = body.split(ELSE_REGEX);
+    const replacement = isPresent(name, contact, context) ? whenTrue : whenFalse;
+    rendered = rendered.slice(0, match.index) + replacement + rendered.slice(match.index + whole.length);
+  }
+
+  rendered = rendered.replace(VARIABLE_REGEX, (whole, name, format, fallback) => {
+    const value = resolveToken(name, format, contact, context);
+    return value || (fallback || '').trim();
+  });
+
   // Clean up any double spaces that might result from missing fields
   rendered = rendered.replace(/\s+/g, ' ').trim();
-  
+
   return rendered;
 }
 
+/**
+ * Check a template before it is saved: every token must be known, date formats
+ * may only be used on dates and conditionals must be closed.
+ *
+ * @param {string} templateText - Template text
+ * @param {Object} [options] - { attributes } owner's contact attributes ({ key, type }); custom tokens must match one
+ * @returns {Object} { ok: true, tokens } or { ok: false, message, unknownTokens }
+ */
+function validateTemplate(templateText, options = {}) {
+  const text = templateText || '';
+  const names = new Set();
+  const unknownTokens = new Set();
+  const attributeTypes = options.attributes ? new Map(options.attributes.map(a => [a.key, a.type])) : null;
+
+  // Type of a token ('custom' resolves to the attribute type when definitions are known)
+  const typeOf = (name) => {
+    const token = findToken(name);
+    if (!token) {
+      return null;
+    }
+    if (token.type === 'custom' && attributeTypes) {
+      return attributeTypes.get(token.key) || null;
+    }
+    return token.type;
+  };
+
+  const check = (name) => {
+    names.add(name);
+    if (!typeOf(name)) {
+      unknownTokens.add(name);
+    }
+  };
+
+  // Remove well-formed conditionals (innermost first), checking their tokens
+  let remaining = text;
+  let match;
+  while ((match = remaining.match(IF_BLOCK_REGEX))) {
+    check(match[1]);
+    const branches = match[2].split(ELSE_REGEX);
+    if (branches.length > 2) {
+      return { ok: false, message: `Only one {{else}} is allowed in {{#if ${match[1]}}}.`, unknownTokens: [] };
+    }
+    remaining = remaining.slice(0, match.index) + branches.join(' ') + remaining.slice(match.index + match[0].length);
+  }
+  if (/{{\s*(#if\b|\/if\b|else\s*}})/i.test(remaining)) {
+    return { ok: false, message: 'Every {{#if ...}} needs a matching {{/if}}.', unknownTokens: [] };
+  }
+
+  for (const [, name, format] of remaining.matchAll(VARIABLE_REGEX)) {
+    check(name);
+    const type = typeOf(name);
+    if (type && format !== undefined) {
+      if (type !== 'date' && type !== 'custom') {
+        return { ok: false, message: `{{${name}}} cannot be formatted as a date.`, unknownTokens: [] };
+      }
+      if (!DATE_FORMAT_REGEX.test(format)) {
+        return { ok: false, message: `Invalid date format "${format}" (use YYYY, YY, MM, M, DD, D).`, unknownTokens: [] };
+      }
+    }
+  }
+
+  // Anything left between braces is not a valid token
+  const leftover = remaining.replace(VARIABLE_REGEX, '').match(/{{[^}]*}}/g);
+  if (leftover) {
+    leftover.forEach(t => unknownTokens.add(t.replace(/^{{\s*|\s*}}$/g, '')));
+  }
+
+  if (unknownTokens.size > 0) {
+    const list = [...unknownTokens];
+    return {
+      ok: false,
+      message: `Unknown personalization token${list.length > 1 ? 's' : ''}: ${list.map(t => `{{${t}}}`).join(', ')}. Available: ${TOKEN_NAMES.join(', ')}.`,
+      unknownTokens: list
+    };
+  }
+
+  return { ok: true, tokens: [...names] };
+}
+
 module.exports = {
-  render
+  render,
+  validateTemplate,
+  TOKEN_NAMES,
+  OFFER_LINK_PLACEHOLDER
 };
-
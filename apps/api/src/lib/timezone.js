@@ -0,0 +1,152 @@
+// apps/api/src/lib/timezone.js
+// Helpers for working with local (owner timezone) dates and times
+
+/**
+ * Convert local date/time in a specific timezone to UTC
+ * @param {string} dateStr - Date string in format "YYYY-MM-DD"
+ * @param {string} timeStr - Time string in format "HH:mm"
+ * @param {string} timezone - IANA timezone (e.g. "Europe/Athens")
+ * @returns {Date|null} UTC Date object or null if invalid
+ */
+function convertLocalToUTC(dateStr, timeStr, timezone) {
+  if (!dateStr || !timeStr || !timezone) {
+    return null;
+  }
+  
+  try {
+    // Parse date and time components
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hour, minute] = timeStr.split(':').map(Number);
+    
+    // Method: We need to find the UTC time that, when displayed in the target timezone,
+    // equals the desired local time (year-month-day hour:minute).
+    // 
+    // Strategy: Use iterative approach to find the correct UTC time.
+    // We'll start with a guess and adjust based on the difference.
+    
+    // Start with a reasonable guess: treat the local time as if it were UTC
+    // Then we'll adjust based on the timezone offset
+    let guessUTC = new Date(Date.UTC(year, month - 1, day, hour, minute, 0));
+    
+    // Create formatter for the target timezone
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false,
+    });
+    
+    // Iteratively adjust until we find the correct UTC time
+    // (This should converge quickly, usually 1-2 iterations)
+    for (let i = 0; i < 5; i++) {
+      // Format the guess UTC time in the target timezone
+      const parts = formatter.formatToParts(guessUTC);
+      const tzYear = parseInt(parts.find(p => p.type === 'year')?.value || '0');
+      const tzMonth = parseInt(parts.find(p => p.type === 'month')?.value || '0');
+      const tzDay = parseInt(parts.find(p => p.type === 'day')?.value || '0');
+      const tzHour = parseInt(parts.find(p => p.type === 'hour')?.value || '0') % 24; // midnight may be formatted as "24"
+      const tzMinute = parseInt(parts.find(p => p.type === 'minute')?.value || '0');
+      
+      // Check if we've found the correct time
+      if (tzYear === year && tzMonth === month && tzDay === day && 
+          tzHour === hour && tzMinute === minute) {
+        return guessUTC;
+      }
+      
+      // Calculate the difference: what we want vs what we got
+      // We want: year-month-day hour:minute in the timezone
+      // We got: tzYear-tzMonth-tzDay tzHour:tzMinute in the timezone
+      // The difference in milliseconds between these two "local times" (as if they were UTC)
+      const desiredLocalMs = Date.UTC(year, month - 1, day, hour, minute, 0);
+      const actualLocalMs = Date.UTC(tzYear, tzMonth - 1, tzDay, tzHour, tzMinute, 0);
+      const diffMs = desiredLocalMs - actualLocalMs;
+      
+      // Adjust the UTC guess by the difference
+      guessUTC = new Date(guessUTC.getTime() + diffMs);
+    }
+    
+    // Final check: format one more time to verify
+    const finalParts = formatter.formatToParts(guessUTC);
+    const finalYear = parseInt(finalParts.find(p => p.type === 'year')?.value || '0');
+    const finalMonth = parseInt(finalParts.find(p => p.type === 'month')?.value || '0');
+    const finalDay = parseInt(finalParts.find(p => p.type === 'day')?.value || '0');
+    const finalHour = parseInt(finalParts.find(p => p.type === 'hour')?.value || '0') % 24;
+    const finalMinute = parseInt(finalParts.find(p => p.type === 'minute')?.value || '0');
+    
+    if (finalYear === year && finalMonth === month && finalDay === day && 
+        finalHour === hour && finalMinute === minute) {
+      return guessUTC;
+    }
+    
+    // If we didn't converge, return null (shouldn't happen in practice)
+    return null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Get the local calendar parts of a UTC date in a specific timezone
+ * @param {Date} date - UTC date
+ * @param {string} timezone - IANA timezone (e.g. "Europe/Athens")
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}}
+ *   month is 1-12, weekday is 0 (Sunday) - 6 (Saturday)
+ */
+function getLocalParts(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hour12: false,
+  });
+  const parts = formatter.formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    year: parseInt(get('year') || '0'),
+    month: parseInt(get('month') || '0'),
+    day: parseInt(get('day') || '0'),
+    hour: parseInt(get('hour') || '0') % 24, // some engines format midnight as "24"
+    minute: parseInt(get('minute') || '0'),
+    weekday: weekdays.indexOf(get('weekday')),
+  };
+}
+
+/**
+ * Format a calendar date as "YYYY-MM-DD"
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {string}
+ */
+function formatLocalDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Add days to a local calendar date (no timezone involved)
+ * @param {string} dateStr - Date string in format "YYYY-MM-DD"
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date string in format "YYYY-MM-DD"
+ */
+function addDaysToLocalDate(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return formatLocalDate(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+}
+
+module.exports = {
+  convertLocalToUTC,
+  getLocalParts,
+  formatLocalDate,
+  addDaysToLocalDate
+};
@@ -0,0 +1,67 @@
+// apps/api/src/lib/transliterate.js
+// Greek -> GSM-7 transliteration (keeps SMS at 160 characters per segment instead of 70)
+
+// Uppercase Greek letters that exist in the GSM-7 alphabet keep their Greek glyph,
+// the rest become the Latin letter that looks the same
+const GREEK_UPPER_TO_GSM = {
+  Α: 'A', Β: 'B', Γ: 'Γ', Δ: 'Δ', Ε: 'E', Ζ: 'Z', Η: 'H', Θ: 'Θ',
+  Ι: 'I', Κ: 'K', Λ: 'Λ', Μ: 'M', Ν: 'N', Ξ: 'Ξ', Ο: 'O', Π: 'Π',
+  Ρ: 'P', Σ: 'Σ', Τ: 'T', Υ: 'Y', Φ: 'Φ', Χ: 'X', Ψ: 'Ψ', Ω: 'Ω'
+};
+
+// Punctuation that is common in Greek text but not in GSM-7
+const PUNCTUATION_TO_GSM = {
+  '\u037E': '?', // Greek question mark (looks like ";")
+  '\u0387': '.', // Greek ano teleia
+  '\u00B7': '.', // middle dot
+  '\u00AB': '"', // «
+  '\u00BB': '"', // »
+  '\u2018': '\'',
+  '\u2019': '\'',
+  '\u201C': '"',
+  '\u201D': '"',
+  '\u2013': '-', // en dash
+  '\u2014': '-', // em dash
+  '\u2026': '...', // ellipsis
+  '\u00A0': ' ' // non-breaking space
+};
+
+/**
+ * Transliterate Greek text to GSM-7-safe characters.
+ * Accents and diaeresis are dropped and Greek is written in capitals:
+ * "Καλημέρα Μαρία!" -> "KAΛHMEPA MAPIA!" (reads as Greek on any handset).
+ * Non-Greek characters are left as they are.
+ *
+ * @param {string} text - Rendered message text
+ * @returns {string} Transliterated text
+ */
+function transliterateGreekToGsm(text) {
+  if (!text) {
+    return text;
+  }
+
+  let result = '';
+  for (const ch of text) {
+    if (PUNCTUATION_TO_GSM[ch] !== undefined) {
+      result += PUNCTUATION_TO_GSM[ch];
+      continue;
+    }
+
+    // Greek and Coptic + Greek Extended blocks
+    const code = ch.codePointAt(0);
+    if ((code >= 0x0370 && code <= 0x03FF) || (code >= 0x1F00 && code <= 0x1FFF)) {
+      // Strip accents/diaeresis (ά -> α, ϊ -> ι), final sigma ς -> Σ
+      const base = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase();
+      result += base.split('').map(c => GREEK_UPPER_TO_GSM[c] || c).join('');
+      continue;
+    }
+
+    result += ch;
+  }
+
+  return result;
+}
+
+module.exports = {
+  transliterateGreekToGsm
+};
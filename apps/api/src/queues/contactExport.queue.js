@@ -0,0 +1,41 @@
+// apps/api/src/queues/contactExport.queue.js
+const { Queue } = require('bullmq');
+const { getRedisClient } = require('../lib/redis');
+
+if (process.env.QUEUE_DISABLED === '1') {
+  console.log('[Contact Export Queue] Disabled via QUEUE_DISABLED=1');
+  module.exports = null;
+} else {
+
+const connection = getRedisClient();
+
+if (!connection) {
+  console.warn('[Contact Export Queue] Redis client not available, contact export queue disabled');
+  module.exports = null;
+} else {
+
+const contactExportQueue = new Queue('contactExportQueue', {
+  connection,
+  defaultJobOptions: {
+    removeOnComplete: {
+      age: 86400, // Keep completed jobs for 24 hours (download window, see contactExport.service)
+      count: 100, // Keep last 100 completed jobs
+    },
+    removeOnFail: {
+      age: 86400, // Keep failed jobs for 24 hours
+    },
+  },
+});
+
+// Log when queue is ready
+if (connection.status === 'ready') {
+  console.log('[Contact Export Queue] Ready');
+} else {
+  connection.once('ready', () => {
+    console.log('[Contact Export Queue] Ready');
+  });
+}
+
+module.exports = contactExportQueue;
+  }
+}
@@ -170,17 +170,23 @@ router.post(
 
 /**
  * PUT /api/user
- * Update user profile (company, senderName, timezone)
- * Note: The User model does not have a 'name' field. Only 'company', 'senderName', and 'timezone' can be updated.
+ * Update user profile (company, senderName, timezone, send window, test numbers)
+ * Note: The User model does not have a 'name' field.
  * @param {string|null} company - Company name (optional, max 160 chars)
  * @param {string|null} senderName - SMS sender name (optional, max 11 chars, alphanumeric)
  * @param {string|null} timezone - IANA timezone (optional, e.g. "Europe/Athens", "America/New_York")
- * @returns {User} Updated user object (id, email, senderName, company, timezone)
+ * @param {string|null} sendWindowStart - Send window start "HH:mm" in the user's timezone (optional, null = no quiet hours)
+ * @param {string|null} sendWindowEnd - Send window end "HH:mm" (required together with sendWindowStart)
+ * @param {number[]} blockedWeekdays - Weekdays with no sending, 0 (Sunday) - 6 (Saturday) (optional)
+ * @param {string[]} testPhoneNumbers - Up to 5 phone numbers for campaign test sends (optional)
+ * @param {number|null} frequencyCapMessages - Max messages per contact per frequencyCapDays (optional, null = no cap)
+ * @param {number} frequencyCapDays - Frequency cap period in days (optional, default 7)
+ * @returns {User} Updated user object (id, email, senderName, company, timezone, send window, test numbers, frequency cap)
  */
 router.put('/user', requireAuth, async (req, res, next) => {
   try {
     const { sanitizeString } = require('../lib/sanitize');
-    const { name, company, senderName, timezone } = req.body || {};
+    const { name, company, senderName, timezone, sendWindowStart, sendWindowEnd, blockedWeekdays, testPhoneNumbers, frequencyCapMessages, frequencyCapDays } = req.body || {};
     const updates = {};
     
     // Note: User model doesn't have a 'name' field - ignore it if provided
@@ -224,6 +230,39 @@ router.put('/user', requireAuth, async (req, res, next) => {
       }
       updates.timezone = timezone || null;
     }
+
+    // Send window (quiet hours): SMS outside it is delayed to the next allowed slot
+    const { validateSendWindow } = require('../services/sendWindow.service');
+    const sendWindow = validateSendWindow({ sendWindowStart, sendWindowEnd, blockedWeekdays });
+    if (!sendWindow.ok) {
+      return res.status(400).json({ 
+        message: sendWindow.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+    Object.assign(updates, sendWindow.data);
+
+    // Numbers that receive campaign test sends
+    const { validateTestPhoneNumbers } = require('../services/campaignTestSend.service');
+    const testNumbers = validateTestPhoneNumbers(testPhoneNumbers);
+    if (!testNumbers.ok) {
+      return res.status(400).json({ 
+        message: testNumbers.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+    Object.assign(updates, testNumbers.data);
+
+    // Frequency cap (campaign recipients over it are skipped)
+    const { validateFrequencyCap } = require('../services/frequencyCap.service');
+    const frequencyCap = validateFrequencyCap({ frequencyCapMessages, frequencyCapDays });
+    if (!frequencyCap.ok) {
+      return res.status(400).json({ 
+        message: frequencyCap.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+    Object.assign(updates, frequencyCap.data);
     
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ 
@@ -240,7 +279,13 @@ router.put('/user', requireAuth, async (req, res, next) => {
         email: true,
         senderName: true,
         company: true,
-        timezone: true
+        timezone: true,
+        sendWindowStart: true,
+        sendWindowEnd: true,
+        blockedWeekdays: true,
+        testPhoneNumbers: true,
+        frequencyCapMessages: true,
+        frequencyCapDays: true
       }
     });
     
@@ -95,12 +95,12 @@ router.get('/automations/:type', requireAuth, async (req, res, next) => {
 /**
  * PUT /api/automations/:type
  * Update automation (enable/disable or edit message)
- * Body: { isActive?: boolean, messageBody?: string }
+ * Body: { isActive?: boolean, messageBody?: string, transliterateGreek?: boolean }
  */
 router.put('/automations/:type', requireAuth, async (req, res, next) => {
   try {
     const { type } = req.params;
-    const { isActive, messageBody } = req.body || {};
+    const { isActive, messageBody, transliterateGreek } = req.body || {};
 
     if (![AUTOMATION_TYPES.WELCOME, AUTOMATION_TYPES.BIRTHDAY].includes(type)) {
       return res.status(400).json({ 
@@ -131,6 +131,26 @@ router.put('/automations/:type', requireAuth, async (req, res, next) => {
       const { sanitizeString } = require('../lib/sanitize');
       // SMS messages are limited to 160 characters, but we allow up to 500 for template variables
       updates.messageBody = sanitizeString(messageBody.trim(), { maxLength: 500 });
+
+      const { validateTemplate } = require('../lib/template');
+      const { listAttributes } = require('../services/contactAttribute.service');
+      const tokens = validateTemplate(updates.messageBody, { attributes: await listAttributes(req.user.id) });
+      if (!tokens.ok) {
+        return res.status(400).json({ 
+          message: tokens.message, 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+    }
+
+    if (transliterateGreek !== undefined) {
+      if (typeof transliterateGreek !== 'boolean') {
+        return res.status(400).json({ 
+          message: 'transliterateGreek must be a boolean value', 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+      updates.transliterateGreek = transliterateGreek;
     }
 
     if (Object.keys(updates).length === 0) {
@@ -147,6 +167,7 @@ router.put('/automations/:type', requireAuth, async (req, res, next) => {
       type: automation.type,
       isActive: automation.isActive,
       messageBody: automation.messageBody,
+      transliterateGreek: automation.transliterateGreek,
       createdAt: automation.createdAt,
       updatedAt: automation.updatedAt
     });
@@ -5,19 +5,30 @@ const requireAuth = require("../middleware/requireAuth");
 const schedulerQueue = require("../queues/scheduler.queue");
 const { enqueueCampaign } = require("../services/campaignEnqueue.service");
 // const { handleError } = require("../lib/errors"); // Unused - using next() pattern
-const { render } = require('../lib/template');
+const { render, validateTemplate } = require('../lib/template');
+const { convertLocalToUTC } = require('../lib/timezone');
 const pino = require('pino');
 
 const router = express.Router();
 const logger = pino({ name: 'campaigns-route' });
 
 const SYSTEM_USER_ID = Number(process.env.SYSTEM_USER_ID || 1);
+const AB_TEST_NEEDS_VARIANTS = 'A test slice (abTestPercent) needs A/B split test variants.';
 function msUntil(dateStr) {
   const when = new Date(dateStr).getTime();
   const now = Date.now();
   return Math.max(0, when - now);
 }
 
+// Owner's segment by (body) ID, null when invalid or not found
+function findCampaignSegment(ownerId, segmentId) {
+  const id = Number(segmentId);
+  if (!Number.isInteger(id) || id <= 0) {
+    return null;
+  }
+  return prisma.segment.findFirst({ where: { id, ownerId } });
+}
+
 /* =========================================================
  * POST /campaigns (protected)
  * Create a campaign (draft or scheduled).
@@ -30,103 +41,29 @@ function msUntil(dateStr) {
  * Create a new campaign with optional filters and scheduling
  * @param {string} name - Campaign name (required, max 200 chars)
  * @param {number} templateId - Template ID (required)
+ * @param {string} [messageText] - Custom text; tokens like {{first_name|there}}, {{birthday:DD/MM}},
+ *   {{#if ...}}...{{/if}} and {{custom.<field>}} are checked (unknown tokens -> 400)
  * @param {string|null} filterGender - Gender filter: 'male', 'female', 'other', 'prefer_not_to_say', or null
  * @param {string|null} filterAgeGroup - Age group filter: '18_24', '25_39', '40_plus', or null
+ * @param {Array|null} [filterAttributes] - Custom attribute conditions: [{ key, op, value }] (all must match)
+ * @param {Array<string>} [filterTags] - Contact tags, contacts with any of them match
+ * @param {number|null} [segmentId] - Saved segment as the audience (replaces the filters above)
+ * @param {Array<number>} [excludeListIds] - Leave out members of these lists
+ * @param {Array<number>} [excludeSegmentIds] - Leave out contacts matching these segments
  * @param {string|null} scheduledAt - ISO date string for scheduled campaigns
+ * @param {Array} [variants] - A/B split test: 2-4 of { templateId?, messageText?, splitPercent } (splits sum to 100)
+ * @param {number|null} [abTestPercent] - Send variants to this % of the audience first, the winner to the rest
+ * @param {number} [abWaitHours] - Hours to wait before picking the winner (default 24)
+ * @param {string} [abWinnerMetric] - 'redemption_rate' (default) or 'offer_view_rate'
+ * @param {number|null} [throttleMaxMessages] - Drip delivery: send at most this many messages...
+ * @param {number|null} [throttleWindowMinutes] - ...per this many minutes (e.g. 500 per 10)
+ * @param {boolean} [transliterateGreek] - Send Greek as GSM-7 characters (fewer segments)
  * @returns {Campaign} Created campaign object
  */
-/**
- * Convert local date/time in a specific timezone to UTC
- * @param {string} dateStr - Date string in format "YYYY-MM-DD"
- * @param {string} timeStr - Time string in format "HH:mm"
- * @param {string} timezone - IANA timezone (e.g. "Europe/Athens")
- * @returns {Date|null} UTC Date object or null if invalid
- */
-function convertLocalToUTC(dateStr, timeStr, timezone) {
-  if (!dateStr || !timeStr || !timezone) {
-    return null;
-  }
-  
-  try {
-    // Parse date and time components
-    const [year, month, day] = dateStr.split('-').map(Number);
-    const [hour, minute] = timeStr.split(':').map(Number);
-    
-    // Method: We need to find the UTC time that, when displayed in the target timezone,
-    // equals the desired local time (year-month-day hour:minute).
-    // 
-    // Strategy: Use iterative approach to find the correct UTC time.
-    // We'll start with a guess and adjust based on the difference.
-    
-    // Start with a reasonable guess: treat the local time as if it were UTC
-    // Then we'll adjust based on the timezone offset
-    let guessUTC = new Date(Date.UTC(year, month - 1, day, hour, minute, 0));
-    
-    // Create formatter for the target timezone
-    const formatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: timezone,
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false,
-    });
-    
-    // Iteratively adjust until we find the correct UTC time
-    // (This should converge quickly, usually 1-2 iterations)
-    for (let i = 0; i < 5; i++) {
-      // Format the guess UTC time in the target timezone
-      const parts = formatter.formatToParts(guessUTC);
-      const tzYear = parseInt(parts.find(p => p.type === 'year')?.value || '0');
-      const tzMonth = parseInt(parts.find(p => p.type === 'month')?.value || '0');
-      const tzDay = parseInt(parts.find(p => p.type === 'day')?.value || '0');
-      const tzHour = parseInt(parts.find(p => p.type === 'hour')?.value || '0');
-      const tzMinute = parseInt(parts.find(p => p.type === 'minute')?.value || '0');
-      
-      // Check if we've found the correct time
-      if (tzYear === year && tzMonth === month && tzDay === day && 
-          tzHour === hour && tzMinute === minute) {
-        return guessUTC;
-      }
-      
-      // Calculate the difference: what we want vs what we got
-      // We want: year-month-day hour:minute in the timezone
-      // We got: tzYear-tzMonth-tzDay tzHour:tzMinute in the timezone
-      // The difference in milliseconds between these two "local times" (as if they were UTC)
-      const desiredLocalMs = Date.UTC(year, month - 1, day, hour, minute, 0);
-      const actualLocalMs = Date.UTC(tzYear, tzMonth - 1, tzDay, tzHour, tzMinute, 0);
-      const diffMs = desiredLocalMs - actualLocalMs;
-      
-      // Adjust the UTC guess by the difference
-      guessUTC = new Date(guessUTC.getTime() + diffMs);
-    }
-    
-    // Final check: format one more time to verify
-    const finalParts = formatter.formatToParts(guessUTC);
-    const finalYear = parseInt(finalParts.find(p => p.type === 'year')?.value || '0');
-    const finalMonth = parseInt(finalParts.find(p => p.type === 'month')?.value || '0');
-    const finalDay = parseInt(finalParts.find(p => p.type === 'day')?.value || '0');
-    const finalHour = parseInt(finalParts.find(p => p.type === 'hour')?.value || '0');
-    const finalMinute = parseInt(finalParts.find(p => p.type === 'minute')?.value || '0');
-    
-    if (finalYear === year && finalMonth === month && finalDay === day && 
-        finalHour === hour && finalMinute === minute) {
-      return guessUTC;
-    }
-    
-    // If we didn't converge, return null (shouldn't happen in practice)
-    return null;
-  } catch (err) {
-    return null;
-  }
-}
-
 router.post("/campaigns", requireAuth, async (req, res, next) => {
   try {
     const { sanitizeString } = require('../lib/sanitize');
-    const { name, templateId, messageText, filterGender, filterAgeGroup, scheduledAt, scheduledDate, scheduledTime } = req.body || {};
+    const { name, templateId, messageText, filterGender, filterAgeGroup, scheduledAt, scheduledDate, scheduledTime, variants, abTestPercent, abWaitHours, abWinnerMetric, throttleMaxMessages, throttleWindowMinutes, transliterateGreek, filterAttributes, filterTags, segmentId, excludeListIds, excludeSegmentIds } = req.body || {};
     
     // Sanitize name
     const sanitizedName = name ? sanitizeString(name, { maxLength: 200 }) : null;
@@ -203,6 +140,16 @@ router.post("/campaigns", requireAuth, async (req, res, next) => {
       ? sanitizeString(messageText, { maxLength: 2000 }) 
       : null;
 
+    // Personalization tokens must be known (never send "{{frist_name}}" to customers)
+    const { listAttributes } = require('../services/contactAttribute.service');
+    const tokens = validateTemplate(sanitizedMessageText || tpl.text, { attributes: await listAttributes(req.user.id) });
+    if (!tokens.ok) {
+      return res.status(400).json({ 
+        message: tokens.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
     // Validate and normalize filters
     const { normalizeGender, normalizeAgeGroup } = require('../lib/validation');
     let normalizedGender = null;
@@ -227,9 +174,55 @@ router.post("/campaigns", requireAuth, async (req, res, next) => {
       }
     }
 
+    const { validateAttributeFilters } = require('../services/contactAttribute.service');
+    const attributeFilters = await validateAttributeFilters(req.user.id, filterAttributes);
+    if (!attributeFilters.ok) {
+      return res.status(400).json({ 
+        message: attributeFilters.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    const { normalizeTags } = require('../services/contactTag.service');
+    const tagFilter = normalizeTags(filterTags);
+    if (!tagFilter.ok) {
+      return res.status(400).json({ 
+        message: `filterTags: ${tagFilter.message}`, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    // Optional saved segment (replaces the filters as the audience)
+    let segment = null;
+    if (segmentId !== undefined && segmentId !== null) {
+      segment = await findCampaignSegment(req.user.id, segmentId);
+      if (!segment) {
+        return res.status(404).json({ 
+          message: "Segment not found", 
+          code: 'RESOURCE_NOT_FOUND' 
+        });
+      }
+    }
+
+    // Audience exclusions (suppressed numbers are always left out when sending)
+    const { validateExclusions } = require('../services/suppression.service');
+    const exclusions = await validateExclusions(req.user.id, { excludeListIds, excludeSegmentIds });
+    if (!exclusions.ok) {
+      return res.status(400).json({ 
+        message: exclusions.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
     // Count audience size (for total)
-    const { countAudience } = require('../services/audience.service');
-    const total = await countAudience(req.user.id, normalizedGender, normalizedAgeGroup);
+    let total;
+    if (segment) {
+      const { countSegmentAudience } = require('../services/segment.service');
+      total = await countSegmentAudience(req.user.id, segment.rules);
+    } else {
+      const { countAudience } = require('../services/audience.service');
+      total = await countAudience(req.user.id, normalizedGender, normalizedAgeGroup, null, attributeFilters.filters, tagFilter.tags);
+    }
 
     // Handle scheduling: support both old format (scheduledAt UTC ISO) and new format (scheduledDate + scheduledTime in user's timezone)
     let scheduledAtDate = null;
@@ -282,6 +275,53 @@ router.post("/campaigns", requireAuth, async (req, res, next) => {
       scheduledAtDate = new Date(scheduledAtDate.toISOString());
     }
 
+    // Optional A/B split test variants
+    let validatedVariants = [];
+    if (Array.isArray(variants) && variants.length > 0) {
+      const { validateVariants } = require('../services/campaignVariant.service');
+      const result = await validateVariants(req.user.id, variants);
+      if (!result.ok) {
+        return res.status(400).json({ 
+          message: result.message, 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+      validatedVariants = result.variants;
+    }
+
+    // Optional winner auto-send (test slice, waiting window, winner metric)
+    const { validateAbTestSettings } = require('../services/campaignVariant.service');
+    const abSettings = validateAbTestSettings({ abTestPercent, abWaitHours, abWinnerMetric });
+    if (!abSettings.ok) {
+      return res.status(400).json({ 
+        message: abSettings.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+    if (abSettings.data.abTestPercent && validatedVariants.length === 0) {
+      return res.status(400).json({ 
+        message: AB_TEST_NEEDS_VARIANTS, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    if (transliterateGreek !== undefined && typeof transliterateGreek !== 'boolean') {
+      return res.status(400).json({ 
+        message: "transliterateGreek must be true or false", 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    // Optional drip delivery (maximum send rate)
+    const { validateThrottle } = require('../services/campaignThrottle.service');
+    const throttleSettings = validateThrottle({ throttleMaxMessages, throttleWindowMinutes });
+    if (!throttleSettings.ok) {
+      return res.status(400).json({ 
+        message: throttleSettings.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
     // Map normalized age group to Prisma enum
     const { mapAgeGroupToPrisma } = require('../lib/routeHelpers');
     const prismaAgeGroup = mapAgeGroupToPrisma(normalizedAgeGroup);
@@ -295,14 +335,28 @@ router.post("/campaigns", requireAuth, async (req, res, next) => {
         listId: null, // No longer using lists for segmentation
         filterGender: normalizedGender,
         filterAgeGroup: prismaAgeGroup,
+        filterAttributes: attributeFilters.filters ?? undefined,
+        filterTags: tagFilter.tags,
+        segmentId: segment ? segment.id : null,
+        excludeListIds: exclusions.excludeListIds,
+        excludeSegmentIds: exclusions.excludeSegmentIds,
         status: initialStatus,
         scheduledAt: scheduledAtDate,
         createdById: req.user.id,
         total,
+        ...abSettings.data,
+        ...throttleSettings.data,
+        transliterateGreek: transliterateGreek === true,
       },
       include: { template: true },
     });
 
+    // Store variants before a scheduled job can pick the campaign up
+    if (validatedVariants.length) {
+      const { replaceVariants } = require('../services/campaignVariant.service');
+      campaign.variants = await replaceVariants(campaign.id, validatedVariants);
+    }
+
     // If scheduled -> add delayed scheduler job
     if (campaign.status === "scheduled" && schedulerQueue) {
       const delay = msUntil(campaign.scheduledAt);
@@ -435,7 +489,7 @@ router.get("/campaigns/:id", requireAuth, async (req, res, next) => {
 
   const c = await prisma.campaign.findFirst({
     where: { id, ownerId: req.user.id },
-    include: { template: true, list: true },
+    include: { template: true, list: true, variants: { orderBy: { label: 'asc' } } },
   });
   if (!c) {
     return res.status(404).json({ 
@@ -456,12 +510,16 @@ router.get("/campaigns/:id", requireAuth, async (req, res, next) => {
 /* =========================================================
  * POST /campaigns/preview-audience (protected)
  * Preview audience based on filters (for campaign creation UI)
- * Query params: filterGender, filterAgeGroup, nameSearch (optional)
- * Returns: count and sample contacts
+ * Query params: filterGender, filterAgeGroup, nameSearch, filterAttributes, filterTags (optional)
+ *   segmentId (optional) - preview a saved segment instead of the filters
+ *   excludeListIds / excludeSegmentIds (optional) - audience exclusions (suppressed numbers are always left out)
+ *   templateId / messageText (optional) - also estimate SMS segments and credits
+ *   (before/after Greek transliteration; transliterateGreek picks the one used for the estimate)
+ * Returns: count and sample contacts, skipped ({ suppressed, excluded }) (+ cost when a message is given)
  * ========================================================= */
 router.post("/campaigns/preview-audience", requireAuth, async (req, res, next) => {
   try {
-    const { filterGender, filterAgeGroup, nameSearch } = req.body || {};
+    const { filterGender, filterAgeGroup, nameSearch, filterAttributes, filterTags, segmentId, excludeListIds, excludeSegmentIds, templateId, messageText, transliterateGreek } = req.body || {};
     
     const { normalizeGender, normalizeAgeGroup } = require('../lib/validation');
     let normalizedGender = null;
@@ -488,10 +546,51 @@ router.post("/campaigns/preview-audience", requireAuth, async (req, res, next) =
       }
     }
 
-    const { buildAudience, countAudience } = require('../services/audience.service');
-    
-    const count = await countAudience(req.user.id, normalizedGender, normalizedAgeGroup, nameSearch);
-    const sample = await buildAudience(req.user.id, normalizedGender, normalizedAgeGroup, nameSearch);
+    const { validateAttributeFilters } = require('../services/contactAttribute.service');
+    const attributeFilters = await validateAttributeFilters(req.user.id, filterAttributes);
+    if (!attributeFilters.ok) {
+      return res.status(400).json({ 
+        message: attributeFilters.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    const { normalizeTags } = require('../services/contactTag.service');
+    const tagFilter = normalizeTags(filterTags);
+    if (!tagFilter.ok) {
+      return res.status(400).json({ 
+        message: `filterTags: ${tagFilter.message}`, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    let sample;
+    if (segmentId !== undefined && segmentId !== null) {
+      const segment = await findCampaignSegment(req.user.id, segmentId);
+      if (!segment) {
+        return res.status(404).json({ 
+          message: "Segment not found", 
+          code: 'RESOURCE_NOT_FOUND' 
+        });
+      }
+      const { getSegmentAudience } = require('../services/segment.service');
+      sample = await getSegmentAudience(req.user.id, segment.rules);
+    } else {
+      const { buildAudience } = require('../services/audience.service');
+      sample = await buildAudience(req.user.id, normalizedGender, normalizedAgeGroup, nameSearch, attributeFilters.filters, tagFilter.tags);
+    }
+
+    const { validateExclusions, applyCampaignExclusions } = require('../services/suppression.service');
+    const exclusions = await validateExclusions(req.user.id, { excludeListIds, excludeSegmentIds });
+    if (!exclusions.ok) {
+      return res.status(400).json({ 
+        message: exclusions.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+    const filtered = await applyCampaignExclusions({ ownerId: req.user.id, ...exclusions }, sample);
+    sample = filtered.contacts;
+    const count = sample.length;
     
     // Return first 10 for preview
     const preview = sample.slice(0, 10).map(contact => ({
@@ -504,10 +603,50 @@ router.post("/campaigns/preview-audience", requireAuth, async (req, res, next) =
       birthday: contact.birthday
     }));
 
+    // Cost estimate for the message being composed (1 credit per SMS segment)
+    let cost = null;
+    if (templateId || (messageText && messageText.trim())) {
+      let template = null;
+      if (templateId) {
+        template = await prisma.messageTemplate.findFirst({
+          where: { id: Number(templateId) || 0, ownerId: { in: [req.user.id, SYSTEM_USER_ID] } },
+          select: { text: true }
+        });
+        if (!template) {
+          return res.status(404).json({ 
+            message: "Template not found", 
+            code: 'RESOURCE_NOT_FOUND' 
+          });
+        }
+      }
+
+      const { estimateCampaignSegments } = require('../services/campaignEnqueue.service');
+      const draft = { id: null, ownerId: req.user.id, messageText: messageText && messageText.trim() ? messageText : null, template };
+      const [original, transliterated] = await Promise.all([
+        estimateCampaignSegments({ ...draft, transliterateGreek: false }, sample, [], 1),
+        estimateCampaignSegments({ ...draft, transliterateGreek: true }, sample, [], 1)
+      ]);
+      const estimate = transliterateGreek === true ? transliterated : original;
+      cost = {
+        segments: estimate.totalSegments,
+        estimatedCredits: estimate.totalSegments,
+        maxSegmentsPerMessage: estimate.maxSegments,
+        ucs2Messages: estimate.ucs2Messages,
+        encoding: estimate.samples[0]?.encoding || null,
+        transliteration: {
+          enabled: transliterateGreek === true,
+          segmentsBefore: original.totalSegments,
+          segmentsAfter: transliterated.totalSegments
+        }
+      };
+    }
+
     res.json({
       count,
       preview,
-      hasMore: count > 10
+      hasMore: count > 10,
+      skipped: filtered.skipped,
+      cost
     });
   } catch (e) {
     next(e);
@@ -518,6 +657,10 @@ router.post("/campaigns/preview-audience", requireAuth, async (req, res, next) =
  * GET /campaigns/:id/preview (protected)
  * Return first 10 rendered messages for preview (scoped).
  * Only for subscribed contacts at the time of preview.
+ * Split tests: each sample is rendered with its contact's variant (variantLabel).
+ * Includes SMS segments per message (with offer/unsubscribe links) and the
+ * estimated credit cost for the whole audience (1 credit per segment),
+ * with and without Greek transliteration.
  * ========================================================= */
 router.get("/campaigns/:id/preview", requireAuth, async (req, res, next) => {
   try {
@@ -531,7 +674,7 @@ router.get("/campaigns/:id/preview", requireAuth, async (req, res, next) => {
 
   const c = await prisma.campaign.findFirst({
     where: { id, ownerId: req.user.id },
-    include: { template: true },
+    include: { template: true, variants: { orderBy: { label: 'asc' }, include: { template: true } } },
   });
   if (!c) {
     return res.status(404).json({ 
@@ -543,21 +686,27 @@ router.get("/campaigns/:id/preview", requireAuth, async (req, res, next) => {
   // Build audience based on filters or legacy listId
   let contacts = [];
   
-  // Use new system-defined segmentation (allows both filters to be null = all eligible contacts)
-  if (c.filterGender !== null || c.filterAgeGroup !== null || c.listId === null) {
+  if (c.segmentId) {
+    // Saved segment
+    const segment = await prisma.segment.findFirst({ where: { id: c.segmentId, ownerId: c.ownerId } });
+    if (segment) {
+      const { getSegmentAudience } = require('../services/segment.service');
+      contacts = await getSegmentAudience(c.ownerId, segment.rules);
+    }
+  } else if (c.filterGender !== null || c.filterAgeGroup !== null || c.filterAttributes || (c.filterTags && c.filterTags.length) || c.listId === null) {
+    // Use new system-defined segmentation (allows both filters to be null = all eligible contacts)
     const { buildAudience } = require('../services/audience.service');
     
     // Map Prisma enum back to normalized format
     const { mapAgeGroupToApi } = require('../lib/routeHelpers');
     const ageGroup = mapAgeGroupToApi(c.filterAgeGroup);
     
-    contacts = await buildAudience(c.ownerId, c.filterGender, ageGroup, null);
+    contacts = await buildAudience(c.ownerId, c.filterGender, ageGroup, null, c.filterAttributes || null, c.filterTags || null);
   } else if (c.listId) {
     // Legacy: use list memberships (only if filters are not set and listId exists)
     const members = await prisma.listMembership.findMany({
       where: { listId: c.listId, contact: { isSubscribed: true } },
       include: { contact: true },
-      take: 10,
     });
     contacts = members.map(m => m.contact);
   } else {
@@ -567,15 +716,130 @@ router.get("/campaigns/:id/preview", requireAuth, async (req, res, next) => {
     });
   }
 
+  // Same recipients as the send: no suppressed numbers or excluded contacts
+  const { applyCampaignExclusions } = require('../services/suppression.service');
+  ({ contacts } = await applyCampaignExclusions(c, contacts));
+
   // Use custom messageText if provided, otherwise use template text
   const messageTemplate = c.messageText || c.template?.text || '';
   
-  const sample = contacts.slice(0, 10).map((contact) => ({
-    to: contact.phone,
-    text: render(messageTemplate, contact),
-  }));
+  // Segment counts use the final text (variant, personalization, links)
+  const { estimateCampaignSegments, loadTemplateContext } = require('../services/campaignEnqueue.service');
+  const { transliterateGreekToGsm } = require('../lib/transliterate');
+  const templateContext = await loadTemplateContext(c.ownerId);
+  const [original, transliterated] = await Promise.all([
+    estimateCampaignSegments({ ...c, transliterateGreek: false }, contacts, c.variants),
+    estimateCampaignSegments({ ...c, transliterateGreek: true }, contacts, c.variants)
+  ]);
+  const cost = c.transliterateGreek ? transliterated : original;
+
+  // Each sample uses the text of the A/B variant its contact is assigned to
+  const { assignVariant } = require('../services/campaignVariant.service');
+  const sample = contacts.slice(0, 10).map((contact, i) => {
+    const variant = assignVariant(c.variants, c.id, contact.id);
+    const variantText = variant ? (variant.messageText || variant.template?.text || messageTemplate) : messageTemplate;
+    const text = render(variantText, contact, templateContext);
+    return {
+      to: contact.phone,
+      variantLabel: variant ? variant.label : null,
+      text: c.transliterateGreek ? transliterateGreekToGsm(text) : text,
+      encoding: cost.samples[i].encoding,
+      segments: cost.samples[i].segments,
+    };
+  });
 
-  res.json({ sample, count: contacts.length });
+  res.json({
+    sample,
+    count: contacts.length,
+    segments: cost.totalSegments,
+    estimatedCredits: cost.totalSegments,
+    maxSegmentsPerMessage: cost.maxSegments,
+    ucs2Messages: cost.ucs2Messages,
+    transliteration: {
+      enabled: c.transliterateGreek,
+      segmentsBefore: original.totalSegments,
+      segmentsAfter: transliterated.totalSegments
+    }
+  });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /campaigns/:id/test-send (protected)
+ * Send the campaign to the owner's test phone numbers (User.testPhoneNumbers, max 5),
+ * rendered for a sample contact with the shortened offer and unsubscribe links (scoped).
+ * Body: { contactId?, variantLabel? } - sample contact (default: first in the audience)
+ *   and A/B variant to test (default: A)
+ * Each test SMS costs one credit per SMS segment; no campaign messages or stats are created.
+ * ========================================================= */
+router.post("/campaigns/:id/test-send", requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        message: "Invalid campaign ID",
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { contactId, variantLabel } = req.body || {};
+    const contactIdNum = contactId !== undefined && contactId !== null ? Number(contactId) : null;
+    if (contactIdNum !== null && (!contactIdNum || isNaN(contactIdNum))) {
+      return res.status(400).json({
+        message: "Invalid contact ID",
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { sendTestMessages } = require('../services/campaignTestSend.service');
+    const result = await sendTestMessages(id, req.user.id, {
+      contactId: contactIdNum,
+      variantLabel: variantLabel ? String(variantLabel).toUpperCase() : null
+    });
+
+    if (!result.ok) {
+      if (result.reason === 'not_found') {
+        return res.status(404).json({
+          message: "Campaign not found",
+          code: 'RESOURCE_NOT_FOUND'
+        });
+      }
+      if (result.reason === 'contact_not_found') {
+        return res.status(404).json({
+          message: "Sample contact not found",
+          code: 'RESOURCE_NOT_FOUND'
+        });
+      }
+      if (result.reason === 'variant_not_found') {
+        return res.status(400).json({
+          message: "Variant not found for this campaign",
+          code: 'VALIDATION_ERROR'
+        });
+      }
+      return res.status(400).json({
+        message: "No test phone numbers configured. Add them in your account settings.",
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Subscription/credit problems are the same for every recipient
+    const nothingSent = !result.results.some(r => r.sent);
+    if (nothingSent && result.results.some(r => r.reason === 'inactive_subscription')) {
+      return res.status(403).json({
+        message: "An active subscription is required to send test messages.",
+        code: 'INACTIVE_SUBSCRIPTION'
+      });
+    }
+    if (nothingSent && result.results.some(r => r.reason === 'insufficient_credits')) {
+      return res.status(402).json({
+        message: "You don't have enough SMS credits to send test messages. Please purchase additional credits and try again.",
+        code: "INSUFFICIENT_CREDITS"
+      });
+    }
+
+    res.json(result);
   } catch (e) {
     next(e);
   }
@@ -638,6 +902,12 @@ router.post("/campaigns/:id/enqueue", requireAuth, async (req, res, next) => {
           code: "INSUFFICIENT_CREDITS"
         });
       }
+      if (result.reason === "recurring_campaign") {
+        return res.status(409).json({ 
+          message: "Recurring campaigns are sent automatically on their schedule.", 
+          code: 'INVALID_STATUS' 
+        });
+      }
       if (result.reason === "no_filters_or_list") {
         return res.status(400).json({ 
           message: "Campaign has no target audience defined. Please add filters or select a list.", 
@@ -659,18 +929,30 @@ router.post("/campaigns/:id/enqueue", requireAuth, async (req, res, next) => {
 /* =========================================================
  * POST /campaigns/:id/schedule (protected)
  * Set or change scheduledAt and create/update delayed job (scoped).
- * Body: { scheduledAt }
+ * Body: { scheduledAt } or { scheduledDate, scheduledTime }
+ *   optional recurrence: { frequency: daily|weekly|monthly, weekdays?, dayOfMonth?, endDate? }
+ *   - repeats at the scheduled local time from the scheduled date on;
+ *     each occurrence creates a child run campaign
+ *   optional sendTimeOptimization: boolean
+ *   - each recipient gets the message at the hour they usually engage,
+ *     within 24h of the scheduled time (no history -> scheduled time)
  * ========================================================= */
 router.post("/campaigns/:id/schedule", requireAuth, async (req, res, next) => {
   try {
   const id = Number(req.params.id);
-  const { scheduledAt, scheduledDate, scheduledTime } = req.body || {};
+  const { scheduledAt, scheduledDate, scheduledTime, recurrence, sendTimeOptimization } = req.body || {};
   if (!id || isNaN(id)) {
     return res.status(400).json({ 
       message: "Invalid campaign ID", 
       code: 'VALIDATION_ERROR' 
     });
   }
+  if (sendTimeOptimization !== undefined && typeof sendTimeOptimization !== 'boolean') {
+    return res.status(400).json({ 
+      message: "sendTimeOptimization must be true or false", 
+      code: 'VALIDATION_ERROR' 
+    });
+  }
   
   let scheduledAtDate = null;
   
@@ -726,10 +1008,60 @@ router.post("/campaigns/:id/schedule", requireAuth, async (req, res, next) => {
     });
   }
 
+  // Recurrence rule (a one-off schedule clears any previous rule)
+  const recurrenceService = require('../services/campaignRecurrence.service');
+  let recurrenceData = {
+    recurrenceFrequency: null,
+    recurrenceWeekdays: [],
+    recurrenceDayOfMonth: null,
+    recurrenceTime: null,
+    recurrenceEndDate: null
+  };
+  let firstRunAt = utcDate;
+
+  if (recurrence) {
+    const owner = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { timezone: true }
+    });
+    const userTimezone = owner?.timezone || 'UTC';
+
+    // Time of day in the owner's timezone
+    let time = scheduledTime;
+    if (!time) {
+      const { getLocalParts } = require('../lib/timezone');
+      const local = getLocalParts(utcDate, userTimezone);
+      time = `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+    }
+
+    const rule = recurrenceService.validateRecurrence(recurrence, time);
+    if (!rule.ok) {
+      return res.status(400).json({ 
+        message: rule.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+    recurrenceData = rule.data;
+
+    // First occurrence at or after the scheduled start
+    firstRunAt = recurrenceService.getNextOccurrence(rule.data, userTimezone, new Date(utcDate.getTime() - 1));
+    if (!firstRunAt) {
+      return res.status(400).json({ 
+        message: "The recurrence has no occurrence between the start date and the end date.", 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+  }
+
   // Use updateMany with ownerId scope for security
   const result = await prisma.campaign.updateMany({
     where: { id, ownerId: req.user.id }, // SCOPE
-    data: { status: "scheduled", scheduledAt: utcDate },
+    data: {
+      status: "scheduled",
+      scheduledAt: firstRunAt,
+      ...recurrenceData,
+      ...(sendTimeOptimization !== undefined ? { sendTimeOptimization } : {})
+    },
   });
   
   if (result.count === 0) {
@@ -751,7 +1083,14 @@ router.post("/campaigns/:id/schedule", requireAuth, async (req, res, next) => {
     });
   }
 
-  if (schedulerQueue && updated.scheduledAt) {
+  // Drop the job of a previous recurring schedule
+  if (camp.recurrenceFrequency) {
+    await recurrenceService.removeRecurringJob(camp);
+  }
+
+  if (updated.recurrenceFrequency) {
+    await recurrenceService.scheduleRecurringJob(updated);
+  } else if (schedulerQueue && updated.scheduledAt) {
     const delay = msUntil(updated.scheduledAt);
     
     if (delay <= 0) {
@@ -789,7 +1128,13 @@ router.post("/campaigns/:id/schedule", requireAuth, async (req, res, next) => {
     logger.warn({ campaignId: id }, 'Scheduler queue is disabled, cannot schedule campaign');
   }
 
-  res.json({ ok: true, scheduledAt: updated.scheduledAt });
+  res.json({ ok: true, scheduledAt: updated.scheduledAt, sendTimeOptimization: updated.sendTimeOptimization, recurrence: updated.recurrenceFrequency ? {
+    frequency: updated.recurrenceFrequency,
+    weekdays: updated.recurrenceWeekdays,
+    dayOfMonth: updated.recurrenceDayOfMonth,
+    time: updated.recurrenceTime,
+    endDate: updated.recurrenceEndDate
+  } : null });
   } catch (e) {
     next(e);
   }
@@ -798,7 +1143,10 @@ router.post("/campaigns/:id/schedule", requireAuth, async (req, res, next) => {
 /* =========================================================
  * PUT /campaigns/:id (protected)
  * Update campaign (only draft and scheduled campaigns can be edited).
- * Body: { name?, templateId?, messageText?, filterGender?, filterAgeGroup?, scheduledDate?, scheduledTime? }
+ * Body: { name?, templateId?, messageText?, filterGender?, filterAgeGroup?, scheduledDate?, scheduledTime?,
+ *         variants?, abTestPercent?, abWaitHours?, abWinnerMetric?, throttleMaxMessages?, throttleWindowMinutes?,
+ *         transliterateGreek?, filterAttributes?, filterTags?, segmentId? (null = back to the filters),
+ *         excludeListIds?, excludeSegmentIds? }
  * ========================================================= */
 router.put("/campaigns/:id", requireAuth, async (req, res, next) => {
   try {
@@ -811,12 +1159,12 @@ router.put("/campaigns/:id", requireAuth, async (req, res, next) => {
   }
 
     const { sanitizeString } = require('../lib/sanitize');
-    const { name, templateId, messageText, filterGender, filterAgeGroup, scheduledDate, scheduledTime } = req.body || {};
+    const { name, templateId, messageText, filterGender, filterAgeGroup, scheduledDate, scheduledTime, variants, abTestPercent, abWaitHours, abWinnerMetric, throttleMaxMessages, throttleWindowMinutes, transliterateGreek, filterAttributes, filterTags, segmentId, excludeListIds, excludeSegmentIds } = req.body || {};
 
     // Find campaign and verify ownership
     const existingCampaign = await prisma.campaign.findFirst({
       where: { id, ownerId: req.user.id },
-      select: { id: true, status: true, filterGender: true, filterAgeGroup: true }
+      select: { id: true, status: true, filterGender: true, filterAgeGroup: true, filterAttributes: true, filterTags: true, segmentId: true, templateId: true, messageText: true, abTestPercent: true }
     });
 
     if (!existingCampaign) {
@@ -849,6 +1197,7 @@ router.put("/campaigns/:id", requireAuth, async (req, res, next) => {
     }
 
     // Update templateId if provided
+    let newTemplate = null;
     if (templateId !== undefined) {
       const templateIdNum = Number(templateId);
       if (!templateIdNum || isNaN(templateIdNum)) {
@@ -872,6 +1221,7 @@ router.put("/campaigns/:id", requireAuth, async (req, res, next) => {
         });
       }
       updates.templateId = templateIdNum;
+      newTemplate = tpl;
     }
 
     // Update messageText if provided
@@ -879,10 +1229,40 @@ router.put("/campaigns/:id", requireAuth, async (req, res, next) => {
       updates.messageText = messageText && messageText.trim() 
         ? sanitizeString(messageText, { maxLength: 2000 }) 
         : null;
+
+      if (updates.messageText) {
+        const { listAttributes } = require('../services/contactAttribute.service');
+        const tokens = validateTemplate(updates.messageText, { attributes: await listAttributes(req.user.id) });
+        if (!tokens.ok) {
+          return res.status(400).json({ 
+            message: tokens.message, 
+            code: 'VALIDATION_ERROR' 
+          });
+        }
+      }
+    }
+
+    // Without a custom message the template text is what gets sent, so its tokens must be known too
+    const finalMessageText = updates.messageText !== undefined ? updates.messageText : existingCampaign.messageText;
+    if (!finalMessageText && (newTemplate || updates.messageText === null)) {
+      const tpl = newTemplate || await prisma.messageTemplate.findUnique({
+        where: { id: existingCampaign.templateId },
+        select: { text: true }
+      });
+      if (tpl) {
+        const { listAttributes } = require('../services/contactAttribute.service');
+        const tokens = validateTemplate(tpl.text, { attributes: await listAttributes(req.user.id) });
+        if (!tokens.ok) {
+          return res.status(400).json({ 
+            message: tokens.message, 
+            code: 'VALIDATION_ERROR' 
+          });
+        }
+      }
     }
 
     // Update filters if provided
-    if (filterGender !== undefined || filterAgeGroup !== undefined) {
+    if (filterGender !== undefined || filterAgeGroup !== undefined || filterAttributes !== undefined || filterTags !== undefined) {
       const { normalizeGender, normalizeAgeGroup } = require('../lib/validation');
       
       if (filterGender !== undefined) {
@@ -907,13 +1287,84 @@ router.put("/campaigns/:id", requireAuth, async (req, res, next) => {
         updates.filterAgeGroup = mapAgeGroupToPrisma(normalizedAgeGroup);
       }
 
+      let finalAttributes = existingCampaign.filterAttributes || null;
+      if (filterAttributes !== undefined) {
+        const { validateAttributeFilters } = require('../services/contactAttribute.service');
+        const attributeFilters = await validateAttributeFilters(req.user.id, filterAttributes);
+        if (!attributeFilters.ok) {
+          return res.status(400).json({ 
+            message: attributeFilters.message, 
+            code: 'VALIDATION_ERROR' 
+          });
+        }
+        const { Prisma } = require('@prisma/client');
+        updates.filterAttributes = attributeFilters.filters ?? Prisma.DbNull;
+        finalAttributes = attributeFilters.filters;
+      }
+
+      let finalTags = existingCampaign.filterTags || null;
+      if (filterTags !== undefined) {
+        const { normalizeTags } = require('../services/contactTag.service');
+        const tagFilter = normalizeTags(filterTags);
+        if (!tagFilter.ok) {
+          return res.status(400).json({ 
+            message: `filterTags: ${tagFilter.message}`, 
+            code: 'VALIDATION_ERROR' 
+          });
+        }
+        updates.filterTags = tagFilter.tags;
+        finalTags = tagFilter.tags;
+      }
+
       // Recalculate total if filters changed
       const { countAudience } = require('../services/audience.service');
       const finalGender = updates.filterGender !== undefined ? updates.filterGender : existingCampaign.filterGender;
       const finalAgeGroup = updates.filterAgeGroup !== undefined ? updates.filterAgeGroup : existingCampaign.filterAgeGroup;
       const { mapAgeGroupToApi } = require('../lib/routeHelpers');
       const normalizedAgeGroup = mapAgeGroupToApi(finalAgeGroup);
-      updates.total = await countAudience(req.user.id, finalGender, normalizedAgeGroup);
+      updates.total = await countAudience(req.user.id, finalGender, normalizedAgeGroup, null, finalAttributes, finalTags);
+    } else if (segmentId === null && existingCampaign.segmentId) {
+      // Back to the stored filters
+      const { countAudience } = require('../services/audience.service');
+      const { mapAgeGroupToApi } = require('../lib/routeHelpers');
+      updates.total = await countAudience(req.user.id, existingCampaign.filterGender, mapAgeGroupToApi(existingCampaign.filterAgeGroup), null, existingCampaign.filterAttributes || null, existingCampaign.filterTags || null);
+    }
+
+    // Update the saved segment audience if provided (null clears it)
+    if (segmentId !== undefined) {
+      updates.segmentId = null;
+      if (segmentId !== null) {
+        const segment = await findCampaignSegment(req.user.id, segmentId);
+        if (!segment) {
+          return res.status(404).json({ 
+            message: "Segment not found", 
+            code: 'RESOURCE_NOT_FOUND' 
+          });
+        }
+        updates.segmentId = segment.id;
+      }
+    }
+
+    // Audience exclusions (only the given ones are replaced)
+    if (excludeListIds !== undefined || excludeSegmentIds !== undefined) {
+      const { validateExclusions } = require('../services/suppression.service');
+      const exclusions = await validateExclusions(req.user.id, { excludeListIds, excludeSegmentIds });
+      if (!exclusions.ok) {
+        return res.status(400).json({ 
+          message: exclusions.message, 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+      if (excludeListIds !== undefined) {updates.excludeListIds = exclusions.excludeListIds;}
+      if (excludeSegmentIds !== undefined) {updates.excludeSegmentIds = exclusions.excludeSegmentIds;}
+    }
+
+    // A segment replaces the filters as the audience, so it decides the total
+    const finalSegmentId = updates.segmentId !== undefined ? updates.segmentId : existingCampaign.segmentId;
+    if (finalSegmentId && (updates.segmentId !== undefined || updates.total !== undefined)) {
+      const segment = await prisma.segment.findFirst({ where: { id: finalSegmentId, ownerId: req.user.id } });
+      const { countSegmentAudience } = require('../services/segment.service');
+      updates.total = segment ? await countSegmentAudience(req.user.id, segment.rules) : 0;
     }
 
     // Handle scheduling updates
@@ -954,13 +1405,85 @@ router.put("/campaigns/:id", requireAuth, async (req, res, next) => {
       }
     }
 
-    if (Object.keys(updates).length === 0) {
+    // Winner auto-send settings
+    const { validateAbTestSettings } = require('../services/campaignVariant.service');
+    const abSettings = validateAbTestSettings({ abTestPercent, abWaitHours, abWinnerMetric });
+    if (!abSettings.ok) {
+      return res.status(400).json({ 
+        message: abSettings.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+    Object.assign(updates, abSettings.data);
+
+    // Drip delivery (null for both values turns throttling off)
+    const { validateThrottle } = require('../services/campaignThrottle.service');
+    const throttleSettings = validateThrottle({ throttleMaxMessages, throttleWindowMinutes });
+    if (!throttleSettings.ok) {
+      return res.status(400).json({ 
+        message: throttleSettings.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+    Object.assign(updates, throttleSettings.data);
+
+    if (transliterateGreek !== undefined) {
+      if (typeof transliterateGreek !== 'boolean') {
+        return res.status(400).json({ 
+          message: "transliterateGreek must be true or false", 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+      updates.transliterateGreek = transliterateGreek;
+    }
+
+    // Replace A/B split test variants if provided (null or [] turns split testing off)
+    let validatedVariants;
+    if (variants !== undefined) {
+      validatedVariants = [];
+      if (Array.isArray(variants) && variants.length > 0) {
+        const { validateVariants } = require('../services/campaignVariant.service');
+        const result = await validateVariants(req.user.id, variants);
+        if (!result.ok) {
+          return res.status(400).json({ 
+            message: result.message, 
+            code: 'VALIDATION_ERROR' 
+          });
+        }
+        validatedVariants = result.variants;
+      }
+    }
+
+    // A winner test slice only works with variants (without them no winner is ever picked)
+    const finalAbTestPercent = updates.abTestPercent !== undefined ? updates.abTestPercent : existingCampaign.abTestPercent;
+    if (finalAbTestPercent) {
+      const variantCount = validatedVariants !== undefined
+        ? validatedVariants.length
+        : await prisma.campaignVariant.count({ where: { campaignId: id } });
+      if (variantCount === 0) {
+        if (updates.abTestPercent) {
+          return res.status(400).json({ 
+            message: AB_TEST_NEEDS_VARIANTS, 
+            code: 'VALIDATION_ERROR' 
+          });
+        }
+        // Variants removed: the test phase goes with them
+        updates.abTestPercent = null;
+      }
+    }
+
+    if (Object.keys(updates).length === 0 && validatedVariants === undefined) {
       return res.status(400).json({ 
         message: "No updates provided", 
         code: 'VALIDATION_ERROR' 
       });
     }
 
+    if (validatedVariants !== undefined) {
+      const { replaceVariants } = require('../services/campaignVariant.service');
+      await replaceVariants(id, validatedVariants);
+    }
+
     // Update campaign
     const updated = await prisma.campaign.updateMany({
       where: { id, ownerId: req.user.id },
@@ -977,7 +1500,7 @@ router.put("/campaigns/:id", requireAuth, async (req, res, next) => {
     // Fetch updated campaign for response
     const campaign = await prisma.campaign.findFirst({
       where: { id, ownerId: req.user.id },
-      include: { template: true }
+      include: { template: true, variants: { orderBy: { label: 'asc' } } }
     });
 
     if (!campaign) {
@@ -1070,9 +1593,10 @@ router.post("/campaigns/:id/unschedule", requireAuth, async (req, res, next) =>
   }
 
     // Use updateMany with ownerId scope for security
+    // (also stops a recurring schedule - runs already sent are kept)
     const result = await prisma.campaign.updateMany({
       where: { id, ownerId: req.user.id }, // SCOPE
-      data: { status: "draft", scheduledAt: null },
+      data: { status: "draft", scheduledAt: null, recurrenceFrequency: null, recurrenceWeekdays: [], recurrenceDayOfMonth: null, recurrenceTime: null, recurrenceEndDate: null },
     });
     
     if (result.count === 0) {
@@ -1090,12 +1614,180 @@ router.post("/campaigns/:id/unschedule", requireAuth, async (req, res, next) =>
       }
   }
 
+  if (camp.recurrenceFrequency) {
+    const { removeRecurringJob } = require('../services/campaignRecurrence.service');
+    await removeRecurringJob(camp);
+  }
+
   res.json({ ok: true });
   } catch (e) {
     next(e);
   }
 });
 
+/* =========================================================
+ * POST /campaigns/:id/pause (protected)
+ * Halt a sending campaign (scoped).
+ * Remaining messages stay queued and are not charged until resumed.
+ * ========================================================= */
+router.post("/campaigns/:id/pause", requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        message: "Invalid campaign ID",
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { pauseCampaign } = require('../services/campaignControl.service');
+    const result = await pauseCampaign(id, req.user.id);
+    if (!result.ok) {
+      if (result.reason === "not_found") {
+        return res.status(404).json({
+          message: "Campaign not found",
+          code: 'RESOURCE_NOT_FOUND'
+        });
+      }
+      return res.status(409).json({
+        message: "Only campaigns that are currently sending can be paused.",
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    res.json({ ok: true, status: 'paused', queued: result.queued });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /campaigns/:id/resume (protected)
+ * Continue a paused campaign from where it stopped (scoped).
+ * Only messages that were never sent are re-enqueued.
+ * ========================================================= */
+router.post("/campaigns/:id/resume", requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        message: "Invalid campaign ID",
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { resumeCampaign } = require('../services/campaignControl.service');
+    const result = await resumeCampaign(id, req.user.id);
+    if (!result.ok) {
+      if (result.reason === "not_found") {
+        return res.status(404).json({
+          message: "Campaign not found",
+          code: 'RESOURCE_NOT_FOUND'
+        });
+      }
+      if (result.reason === "insufficient_credits") {
+        return res.status(402).json({
+          message: "You don't have enough SMS credits to resume this campaign. Please purchase additional credits and try again.",
+          code: "INSUFFICIENT_CREDITS"
+        });
+      }
+      if (result.reason === "inactive_subscription") {
+        return res.status(403).json({
+          message: "An active subscription is required to resume this campaign.",
+          code: 'INACTIVE_SUBSCRIPTION'
+        });
+      }
+      return res.status(409).json({
+        message: "Only paused campaigns can be resumed.",
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    res.json({ ok: true, status: 'sending', remaining: result.remaining, enqueuedJobs: result.enqueuedJobs });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /campaigns/:id/cancel (protected)
+ * Stop a sending, paused or scheduled campaign for good (scoped).
+ * Unsent messages are marked cancelled and their credits refunded.
+ * ========================================================= */
+router.post("/campaigns/:id/cancel", requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        message: "Invalid campaign ID",
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { cancelCampaign } = require('../services/campaignControl.service');
+    const result = await cancelCampaign(id, req.user.id);
+    if (!result.ok) {
+      if (result.reason === "not_found") {
+        return res.status(404).json({
+          message: "Campaign not found",
+          code: 'RESOURCE_NOT_FOUND'
+        });
+      }
+      return res.status(409).json({
+        message: "Only sending, paused or scheduled campaigns can be cancelled.",
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    res.json({ ok: true, status: 'cancelled', cancelled: result.cancelled, refunded: result.refunded });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /campaigns/:id/duplicate (protected)
+ * Copy a campaign into a new draft (scoped).
+ * Body: { name? } (defaults to "<name> (copy)")
+ * Copies message, variants, filters/list and delivery preferences;
+ * never messages, counters or the schedule.
+ * ========================================================= */
+router.post("/campaigns/:id/duplicate", requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        message: "Invalid campaign ID",
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { sanitizeString } = require('../lib/sanitize');
+    const { name } = req.body || {};
+    const sanitizedName = name ? sanitizeString(name, { maxLength: 200 }) : null;
+    if (name !== undefined && name !== null && !sanitizedName) {
+      return res.status(400).json({
+        message: "Campaign name cannot be empty",
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { duplicateCampaign } = require('../services/campaignDuplicate.service');
+    const result = await duplicateCampaign(id, req.user.id, { name: sanitizedName });
+    if (!result.ok) {
+      return res.status(404).json({
+        message: "Campaign not found",
+        code: 'RESOURCE_NOT_FOUND'
+      });
+    }
+
+    const { mapAgeGroupToApi } = require('../lib/routeHelpers');
+    res.status(201).json({ ...result.campaign, filterAgeGroup: mapAgeGroupToApi(result.campaign.filterAgeGroup) });
+  } catch (e) {
+    next(e);
+  }
+});
+
 /* =========================================================
  * GET /campaigns/:id/status (protected)
  * Lightweight metrics (scoped).
@@ -1121,7 +1813,7 @@ router.get("/campaigns/:id/status", requireAuth, async (req, res, next) => {
   }
 
   // Phase 2.2: Count messages by status (sent = only actually sent, not processed)
-  const [queued, success, failed] = await Promise.all([
+  const [queued, success, failed, cancelled] = await Promise.all([
     prisma.campaignMessage.count({
       where: { ownerId: req.user.id, campaignId: id, status: "queued" },
     }),
@@ -1131,6 +1823,9 @@ router.get("/campaigns/:id/status", requireAuth, async (req, res, next) => {
     prisma.campaignMessage.count({
       where: { ownerId: req.user.id, campaignId: id, status: "failed" },
     }),
+    prisma.campaignMessage.count({
+      where: { ownerId: req.user.id, campaignId: id, status: "cancelled" },
+    }),
   ]);
 
   // Calculate processed (sent + failed) - Phase 2.2
@@ -1148,7 +1843,9 @@ router.get("/campaigns/:id/status", requireAuth, async (req, res, next) => {
       queued, 
       success,           // Successfully sent messages (status='sent') - Phase 2.2
       processed,         // Processed messages (success + failed) - Phase 2.2
-      failed             // Failed messages (status='failed') - Phase 2.2
+      failed,            // Failed messages (status='failed') - Phase 2.2
+      cancelled,         // Never sent because the campaign was cancelled
+      skipped: c.skipped || { suppressed: 0, excluded: 0, frequencyCap: 0 } // Left out at enqueue, by reason
     } 
   });
   } catch (e) {
@@ -1156,6 +1853,58 @@ router.get("/campaigns/:id/status", requireAuth, async (req, res, next) => {
   }
 });
 
+/* =========================================================
+ * GET /campaigns/:id/runs (protected)
+ * Child runs of a recurring campaign with their own stats (scoped).
+ * Query: page (default 1), pageSize (default 20, max 100)
+ * ========================================================= */
+router.get("/campaigns/:id/runs", requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        message: "Invalid campaign ID",
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const parent = await prisma.campaign.findFirst({
+      where: { id, ownerId: req.user.id },
+      select: { id: true }
+    });
+    if (!parent) {
+      return res.status(404).json({
+        message: "Campaign not found",
+        code: 'RESOURCE_NOT_FOUND'
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize || '20', 10)));
+
+    const [runs, total] = await Promise.all([
+      prisma.campaign.findMany({
+        where: { parentCampaignId: id, ownerId: req.user.id },
+        orderBy: { scheduledAt: "desc" },
+        take: pageSize,
+        skip: (page - 1) * pageSize,
+        select: { id: true, name: true, status: true, scheduledAt: true, startedAt: true, finishedAt: true }
+      }),
+      prisma.campaign.count({ where: { parentCampaignId: id, ownerId: req.user.id } })
+    ]);
+
+    const { getManyCampaignsStats } = require('../services/campaignStats.service');
+    const stats = await getManyCampaignsStats(runs.map(r => r.id), req.user.id);
+    const statsMap = new Map(stats.map(s => [s.campaignId, s]));
+
+    const items = runs.map(run => ({ ...run, stats: statsMap.get(run.id) || null }));
+
+    res.json({ items, total, page, pageSize });
+  } catch (e) {
+    next(e);
+  }
+});
+
 /* =========================================================
  * POST /campaigns/:id/fake-send (protected, dev only)
  * Force-advance N queued -> sent (scoped). Auto-complete if none left.
@@ -5,7 +5,6 @@ const prisma = require('../lib/prisma');
 const requireAuth = require('../middleware/requireAuth');
 // const { handleError } = require('../lib/errors'); // Unused - using next() pattern
 const crypto = require('node:crypto');
-const { scoped } = require('../lib/policies');
 const { normalizePhoneToE164 } = require('../lib/phone');
 // const { isValidPhone } = require('../lib/phone'); // Unused - kept for potential future use
 const { normalizeGender, isValidBirthday, isValidEmail } = require('../lib/validation');
@@ -13,6 +12,7 @@ const { normalizeGender, isValidBirthday, isValidEmail } = require('../lib/valid
 const { sanitizeString, sanitizeEmail } = require('../lib/sanitize');
 const pino = require('pino');
 const contactImportQueue = require('../queues/contactImport.queue');
+const contactExportQueue = require('../queues/contactExport.queue');
 const { generateTemplateFile } = require('../services/contactImport.service');
 // const { processImportJob } = require('../services/contactImport.service'); // Unused - kept for potential future use
 
@@ -53,6 +53,8 @@ const unsubTokenLimiter = createLimiter({ keyPrefix: 'rl:unsub:token', points: 5
  * @param {string} lastName - Last name (optional, max 120 chars)
  * @param {string|null} gender - Gender: 'male', 'female', 'other', 'prefer_not_to_say', or null
  * @param {string|Date} birthday - Birthday date (optional, must be in the past)
+ * @param {Object} customFields - Custom attribute values { key: value } (optional, see /contacts/attributes)
+ * @param {Array<string>} tags - Tags, e.g. ["vip", "wholesale"] (optional, see /contacts/tags)
  * @returns {Contact} Created contact object
  */
 router.post(
@@ -61,7 +63,7 @@ router.post(
   rateLimitByIp(writeIpLimiter),
   async (req, res, next) => {
     try {
-      const { phone, email, firstName, lastName, gender, birthday } = req.body || {};
+      const { phone, email, firstName, lastName, gender, birthday, customFields, tags } = req.body || {};
       if (!phone) {
         return res.status(400).json({ 
           message: 'Phone number is required', 
@@ -116,6 +118,29 @@ router.post(
         birthdayDate = birthday instanceof Date ? birthday : new Date(birthday);
       }
 
+      // Validate custom attribute values if provided
+      let customFieldValues;
+      if (customFields !== undefined && customFields !== null) {
+        const { listAttributes, applyCustomFields } = require('../services/contactAttribute.service');
+        const result = applyCustomFields(await listAttributes(req.user.id), customFields);
+        if (!result.ok) {
+          return res.status(400).json({ 
+            message: result.message, 
+            code: 'VALIDATION_ERROR' 
+          });
+        }
+        customFieldValues = result.customFields;
+      }
+
+      const { normalizeTags } = require('../services/contactTag.service');
+      const tagValues = normalizeTags(tags);
+      if (!tagValues.ok) {
+        return res.status(400).json({ 
+          message: tagValues.message, 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+
       // Prepare unsubscribe token hash if absent; we don't return raw token here.
       const { hash } = newUnsubTokenHash();
 
@@ -128,11 +153,17 @@ router.post(
           lastName: sanitizedLastName,
           gender: normalizedGender,
           birthday: birthdayDate,
+          customFields: customFieldValues,
+          tags: tagValues.tags,
           isSubscribed: true,                  // New contacts are subscribed by default
           unsubscribeTokenHash: hash            // store only the hash (raw can be rotated later)
         }
       });
 
+      // Filtered lists pick up the new contact
+      const { syncContactListMembershipsSafe } = require('../services/listSegmentation.service');
+      await syncContactListMembershipsSafe(req.user.id, [contact.id]);
+
       // Trigger welcome automation (non-blocking, fire and forget)
       const { triggerWelcomeAutomation } = require('../services/automation.service');
       triggerWelcomeAutomation(req.user.id, contact).catch(err => {
@@ -156,130 +187,263 @@ router.post(
 /* ---------------------------------------------------------
  * GET /contacts  (protected)
  * List contacts (paginated + search).
+ * Query: page?, pageSize?, q?, isSubscribed?, listId?, tag?
  * --------------------------------------------------------- */
 router.get('/contacts', requireAuth, async (req, res, next) => {
   try {
   const page = Math.max(1, parseInt(req.query.page || '1', 10));
   const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize || '20', 10)));
-  const q = (req.query.q || '').toString().trim();
-  const sub = (req.query.isSubscribed || '').toString().toLowerCase();
-  const listIdRaw = req.query.listId ? String(req.query.listId) : null;
-
-  const where = { ...scoped(req.user.id) };
-
-  // If listId is provided, filter by list membership
-  if (listIdRaw) {
-    // Check if it's a predefined (virtual) list (string IDs like "gender_male", "age_18_24", "all")
-    if (listIdRaw.startsWith('gender_') || listIdRaw.startsWith('age_') || listIdRaw === 'all') {
-      // Predefined list - get ALL contacts first (we'll filter and paginate in memory)
-      const { getPredefinedListContacts } = require('../services/predefinedLists.service');
-      // Get all contacts (use a large pageSize to get all, then filter)
-      const result = await getPredefinedListContacts(listIdRaw, req.user.id, 1, 10000);
-      
-      // Apply search filter if provided (BEFORE pagination)
-      let filteredItems = result.items;
-      if (q) {
-        filteredItems = filteredItems.filter(contact => {
-          const searchLower = q.toLowerCase();
-          return (
-            (contact.phone && contact.phone.toLowerCase().includes(searchLower)) ||
-            (contact.email && contact.email.toLowerCase().includes(searchLower)) ||
-            (contact.firstName && contact.firstName.toLowerCase().includes(searchLower)) ||
-            (contact.lastName && contact.lastName.toLowerCase().includes(searchLower))
-          );
-        });
-      }
-      
-      // Apply subscribed filter if provided (BEFORE pagination)
-      if (sub === 'true') {
-        filteredItems = filteredItems.filter(c => c.isSubscribed);
-      } else if (sub === 'false') {
-        filteredItems = filteredItems.filter(c => !c.isSubscribed);
-      }
-      
-      // Now paginate the filtered results
-      const total = filteredItems.length;
-      const start = (page - 1) * pageSize;
-      const end = start + pageSize;
-      const paginatedItems = filteredItems.slice(start, end);
-      
-      return res.json({
-        items: paginatedItems,
-        total,
-        page,
-        pageSize
-      });
-    } else {
-      // Database list - validate list ownership
-      const listIdNum = Number(listIdRaw);
-      if (isNaN(listIdNum)) {
+
+  // Same filters as bulk tagging, bulk list membership and export
+  const { buildContactSearchWhere } = require('../services/contactSearch.service');
+  const search = await buildContactSearchWhere(req.user.id, {
+    q: req.query.q,
+    isSubscribed: req.query.isSubscribed,
+    listId: req.query.listId,
+    tag: req.query.tag
+  });
+  if (!search.ok) {
+    return res.status(search.reason === 'not_found' ? 404 : 400).json({ 
+      message: search.message, 
+      code: search.reason === 'not_found' ? 'RESOURCE_NOT_FOUND' : 'VALIDATION_ERROR' 
+    });
+  }
+  const where = search.where;
+
+  const [items, total] = await Promise.all([
+    prisma.contact.findMany({
+      where,
+      orderBy: { id: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize
+    }),
+    prisma.contact.count({ where })
+  ]);
+
+  res.json({ items, total, page, pageSize });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* ---------------------------------------------------------
+ * Contact attributes (protected)
+ * Owner-defined typed fields (string, number, date, boolean, enum).
+ * Values are set per contact via customFields, imported from columns named
+ * after the key or label, used as {{custom.<key>}} tokens and as campaign
+ * audience filters (filterAttributes).
+ * --------------------------------------------------------- */
+const ATTRIBUTE_ERROR_STATUS = { invalid: 400, duplicate: 409, not_found: 404 };
+const ATTRIBUTE_ERROR_CODE = { invalid: 'VALIDATION_ERROR', duplicate: 'DUPLICATE_RESOURCE', not_found: 'RESOURCE_NOT_FOUND' };
+
+router.get('/contacts/attributes', requireAuth, async (req, res, next) => {
+  try {
+    const { listAttributes } = require('../services/contactAttribute.service');
+    res.json({ items: await listAttributes(req.user.id) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/contacts/attributes
+ * Body: { key, label, type: 'string'|'number'|'date'|'boolean'|'enum', options? (enum values) }
+ */
+router.post(
+  '/contacts/attributes',
+  requireAuth,
+  rateLimitByIp(writeIpLimiter),
+  async (req, res, next) => {
+    try {
+      const { createAttribute } = require('../services/contactAttribute.service');
+      const result = await createAttribute(req.user.id, req.body || {});
+      if (!result.ok) {
+        return res.status(ATTRIBUTE_ERROR_STATUS[result.reason]).json({ 
+          message: result.message, 
+          code: ATTRIBUTE_ERROR_CODE[result.reason] 
+        });
+      }
+      res.status(201).json(result.attribute);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/**
+ * PUT /api/contacts/attributes/:attributeId
+ * Body: { label?, options? } (key and type cannot change)
+ */
+router.put(
+  '/contacts/attributes/:attributeId',
+  requireAuth,
+  rateLimitByIp(writeIpLimiter),
+  async (req, res, next) => {
+    try {
+      const attributeId = Number(req.params.attributeId);
+      if (!attributeId || isNaN(attributeId)) {
         return res.status(400).json({ 
-          message: 'Invalid list ID', 
+          message: 'Invalid attribute ID', 
           code: 'VALIDATION_ERROR' 
         });
       }
-      
-      const list = await prisma.list.findFirst({
-        where: { id: listIdNum, ownerId: req.user.id }
-      });
-      if (!list) {
-        return res.status(404).json({ 
-          message: 'List not found', 
-          code: 'RESOURCE_NOT_FOUND' 
+
+      const { updateAttribute } = require('../services/contactAttribute.service');
+      const result = await updateAttribute(req.user.id, attributeId, req.body || {});
+      if (!result.ok) {
+        return res.status(ATTRIBUTE_ERROR_STATUS[result.reason]).json({ 
+          message: result.message, 
+          code: ATTRIBUTE_ERROR_CODE[result.reason] 
         });
       }
+      res.json(result.attribute);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
 
-      // If list has filters, use dynamic segmentation
-      if (list.filterGender || list.filterAgeMin !== null || list.filterAgeMax !== null) {
-        const { getContactsMatchingFilters } = require('../services/listSegmentation.service');
-        const matchingContactIds = await getContactsMatchingFilters(listIdNum, req.user.id);
-        if (matchingContactIds.length === 0) {
-          return res.json({ items: [], total: 0, page, pageSize });
-        }
-        where.id = { in: matchingContactIds };
-      } else {
-        // If no filters, use list memberships
-        const memberships = await prisma.listMembership.findMany({
-          where: { listId: listIdNum },
-          select: { contactId: true }
-        });
-        const contactIds = memberships.map(m => m.contactId);
-        if (contactIds.length === 0) {
-          return res.json({ items: [], total: 0, page, pageSize });
-        }
-        where.id = { in: contactIds };
+/**
+ * DELETE /api/contacts/attributes/:attributeId
+ * Removes the attribute and its values from all contacts
+ */
+router.delete(
+  '/contacts/attributes/:attributeId',
+  requireAuth,
+  rateLimitByIp(writeIpLimiter),
+  async (req, res, next) => {
+    try {
+      const attributeId = Number(req.params.attributeId);
+      if (!attributeId || isNaN(attributeId)) {
+        return res.status(400).json({ 
+          message: 'Invalid attribute ID', 
+          code: 'VALIDATION_ERROR' 
+        });
       }
+
+      const { deleteAttribute } = require('../services/contactAttribute.service');
+      const result = await deleteAttribute(req.user.id, attributeId);
+      if (!result.ok) {
+        return res.status(404).json({ 
+          message: 'Attribute not found', 
+          code: 'RESOURCE_NOT_FOUND' 
+        });
+      }
+      res.json({ ok: true });
+    } catch (e) {
+      next(e);
     }
   }
+);
 
-  if (q) {
-    where.OR = [
-      { phone: { contains: q, mode: 'insensitive' } },
-      { email: { contains: q, mode: 'insensitive' } },
-      { firstName: { contains: q, mode: 'insensitive' } },
-      { lastName: { contains: q, mode: 'insensitive' } },
-    ];
+/* ---------------------------------------------------------
+ * Contact tags (protected)
+ * Free-form labels ("vip", "wholesale", "staff"), stored lowercase.
+ * Set per contact via tags on POST/PUT /contacts, in bulk below, or
+ * imported from a "tags" column. Filter with GET /contacts?tag=, segment
+ * rules ({ field: 'tag' }) and campaign filterTags.
+ * --------------------------------------------------------- */
+router.get('/contacts/tags', requireAuth, async (req, res, next) => {
+  try {
+    const { listTags } = require('../services/contactTag.service');
+    res.json({ items: await listTags(req.user.id) });
+  } catch (e) {
+    next(e);
   }
+});
 
-  if (sub === 'true') {where.isSubscribed = true;}
-  if (sub === 'false') {where.isSubscribed = false;}
+/**
+ * POST /api/contacts/tags/bulk
+ * Body: { add?: string[], remove?: string[] } with { contactIds: number[] }
+ *   or { filter: { q?, isSubscribed?, listId?, tag? } } (same search as GET /contacts)
+ * Returns: { matched, updated, tooManyTags } (contacts that would exceed the tag limit are left unchanged)
+ */
+router.post(
+  '/contacts/tags/bulk',
+  requireAuth,
+  rateLimitByIp(writeIpLimiter),
+  async (req, res, next) => {
+    try {
+      const { add, remove, contactIds, filter } = req.body || {};
+      const { bulkUpdateTags } = require('../services/contactTag.service');
+      const result = await bulkUpdateTags(req.user.id, { add, remove, contactIds, filter });
+      if (!result.ok) {
+        return res.status(result.reason === 'not_found' ? 404 : 400).json({
+          message: result.message,
+          code: result.reason === 'not_found' ? 'RESOURCE_NOT_FOUND' : 'VALIDATION_ERROR'
+        });
+      }
+      res.json({ matched: result.matched, updated: result.updated, tooManyTags: result.tooManyTags });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
 
-  const [items, total] = await Promise.all([
-    prisma.contact.findMany({
-      where,
-      orderBy: { id: 'desc' },
-      skip: (page - 1) * pageSize,
-      take: pageSize
-    }),
-    prisma.contact.count({ where })
-  ]);
+/* ---------------------------------------------------------
+ * Duplicate contacts (protected)
+ * GET lists groups of likely duplicates (same normalized phone, same email,
+ * same name); POST /contacts/merge merges a group into one contact.
+ * --------------------------------------------------------- */
 
-  res.json({ items, total, page, pageSize });
+/**
+ * GET /api/contacts/duplicates
+ * Query: matchOn? (comma separated: phone,email,name), page?, pageSize?
+ */
+router.get('/contacts/duplicates', requireAuth, async (req, res, next) => {
+  try {
+    const { findDuplicateContacts } = require('../services/contactMerge.service');
+    const matchOn = req.query.matchOn
+      ? String(req.query.matchOn).split(',').map(s => s.trim()).filter(Boolean)
+      : undefined;
+
+    const result = await findDuplicateContacts(req.user.id, {
+      matchOn,
+      page: Number(req.query.page) || 1,
+      pageSize: Number(req.query.pageSize) || 20
+    });
+    if (!result.ok) {
+      return res.status(400).json({
+        message: result.message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { items, total, page, pageSize } = result;
+    res.json({ items, total, page, pageSize });
   } catch (e) {
     next(e);
   }
 });
 
+/**
+ * POST /api/contacts/merge
+ * Body: { survivorId, duplicateIds: number[] }
+ * Moves messages, redemptions, conversions, NFC scans, offer views and list
+ * memberships to the survivor, then deletes the duplicates.
+ */
+router.post(
+  '/contacts/merge',
+  requireAuth,
+  rateLimitByIp(writeIpLimiter),
+  async (req, res, next) => {
+    try {
+      const { survivorId, duplicateIds } = req.body || {};
+      const { mergeContacts } = require('../services/contactMerge.service');
+      const result = await mergeContacts(req.user.id, survivorId, duplicateIds);
+      if (!result.ok) {
+        return res.status(result.reason === 'not_found' ? 404 : 400).json({
+          message: result.message,
+          code: result.reason === 'not_found' ? 'RESOURCE_NOT_FOUND' : 'VALIDATION_ERROR'
+        });
+      }
+      res.json({ contact: result.contact, merged: result.merged });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
 /* ---------------------------------------------------------
  * GET /contacts/:id  (protected)
  * Fetch one contact scoped to owner.
@@ -310,9 +474,48 @@ router.get('/contacts/:id', requireAuth, async (req, res, next) => {
   }
 });
 
+/* ---------------------------------------------------------
+ * GET /contacts/:id/timeline  (protected)
+ * Everything that happened to the contact: campaign and automation
+ * messages (with delivery status), offer views, redemptions, NFC scans,
+ * conversions, list joins/leaves and subscription changes.
+ * Query: limit? (max 200), order? (desc = newest first | asc),
+ *        cursor? (nextCursor of the previous page)
+ * --------------------------------------------------------- */
+router.get('/contacts/:id/timeline', requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ 
+        message: 'Invalid contact ID', 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    const { getContactTimeline } = require('../services/contactTimeline.service');
+    const result = await getContactTimeline(req.user.id, id, {
+      limit: Number(req.query.limit) || undefined,
+      order: req.query.order ? String(req.query.order) : undefined,
+      cursor: req.query.cursor ? String(req.query.cursor) : undefined
+    });
+    if (!result.ok) {
+      return res.status(result.reason === 'not_found' ? 404 : 400).json({ 
+        message: result.message, 
+        code: result.reason === 'not_found' ? 'RESOURCE_NOT_FOUND' : 'VALIDATION_ERROR' 
+      });
+    }
+
+    res.json({ items: result.items, nextCursor: result.nextCursor });
+  } catch (e) {
+    next(e);
+  }
+});
+
 /* ---------------------------------------------------------
  * PUT /contacts/:id  (protected)
  * Update a contact (scoped).
+ * customFields: { key: value } is merged into the current values (null clears a field).
+ * tags: replaces the contact's tags ([] removes all).
  * --------------------------------------------------------- */
 router.put(
   '/contacts/:id',
@@ -328,7 +531,7 @@ router.put(
     });
   }
 
-      const { phone, email, firstName, lastName, gender, birthday, isSubscribed } = req.body || {};
+      const { phone, email, firstName, lastName, gender, birthday, isSubscribed, customFields, tags } = req.body || {};
       const data = {};
 
       if (phone !== undefined) {
@@ -390,7 +593,42 @@ router.put(
         }
       }
 
+      if (customFields !== undefined) {
+        const current = await prisma.contact.findFirst({
+          where: { id, ownerId: req.user.id },
+          select: { customFields: true }
+        });
+        if (!current) {
+          return res.status(404).json({ 
+            message: 'Contact not found', 
+            code: 'RESOURCE_NOT_FOUND' 
+          });
+        }
+        const { listAttributes, applyCustomFields } = require('../services/contactAttribute.service');
+        const result = applyCustomFields(await listAttributes(req.user.id), customFields || {}, current.customFields);
+        if (!result.ok) {
+          return res.status(400).json({ 
+            message: result.message, 
+            code: 'VALIDATION_ERROR' 
+          });
+        }
+        data.customFields = result.customFields;
+      }
+
+      if (tags !== undefined) {
+        const { normalizeTags } = require('../services/contactTag.service');
+        const result = normalizeTags(tags);
+        if (!result.ok) {
+          return res.status(400).json({ 
+            message: result.message, 
+            code: 'VALIDATION_ERROR' 
+          });
+        }
+        data.tags = result.tags;
+      }
+
       // Optional allow toggling isSubscribed from admin
+      let wasSubscribed;
       if (isSubscribed !== undefined) {
         data.isSubscribed = Boolean(isSubscribed);
         if (data.isSubscribed === false) {
@@ -398,6 +636,11 @@ router.put(
         } else {
           data.unsubscribedAt = null;
         }
+        const before = await prisma.contact.findFirst({
+          where: { id, ownerId: req.user.id },
+          select: { isSubscribed: true }
+        });
+        wasSubscribed = before ? before.isSubscribed : undefined;
       }
 
       const r = await prisma.contact.updateMany({
@@ -416,6 +659,15 @@ router.put(
         where: { id, ownerId: req.user.id }
       });
 
+      if (data.isSubscribed !== undefined && wasSubscribed !== undefined && data.isSubscribed !== wasSubscribed) {
+        const { recordContactEvents, subscriptionEvents } = require('../services/contactEvent.service');
+        await recordContactEvents(subscriptionEvents(req.user.id, [id], data.isSubscribed, 'manual'));
+      }
+
+      // Gender, birthday or subscription may have changed filtered list membership
+      const { syncContactListMembershipsSafe } = require('../services/listSegmentation.service');
+      await syncContactListMembershipsSafe(req.user.id, [id]);
+
       res.json(updated);
     } catch (e) {
       next(e);
@@ -530,6 +782,12 @@ router.post(
         }
       });
 
+      const { recordContactEvents, subscriptionEvents } = require('../services/contactEvent.service');
+      await recordContactEvents(subscriptionEvents(contact.ownerId, [contact.id], false, 'unsubscribe_link'));
+
+      const { syncContactListMembershipsSafe } = require('../services/listSegmentation.service');
+      await syncContactListMembershipsSafe(contact.ownerId, [contact.id]);
+
       const storeName = contact.owner.company || contact.owner.senderName || 'this store';
 
       res.json({ 
@@ -628,7 +886,18 @@ router.get(
 
 /* ---------------------------------------------------------
  * POST /contacts/import  (protected)
- * Upload Excel file and create import job
+ * Upload an Excel/CSV file and create import job, either in one step
+ * (columns matched by name) or in two steps:
+ *   1. POST /contacts/import/preview with the file -> uploadId, headers,
+ *      sample rows and a suggested mapping
+ *   2. POST /contacts/import { uploadId, mapping: { column: field } }
+ * Optional fields:
+ *   mode       - create (default, existing phones skipped), update (only
+ *                existing contacts) or upsert
+ *   fieldRules - { field: 'overwrite' | 'keep' } for updated contacts
+ *                (subscribed defaults to keep)
+ *   listId     - put every imported row into an existing list
+ *   listName   - ... or into a new list created for this import
  * --------------------------------------------------------- */
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -636,18 +905,25 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB max
   },
   fileFilter: (req, file, cb) => {
-    // Only accept .xlsx files
+    // Only accept .xlsx and .csv files
+    const name = file.originalname.toLowerCase();
     if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-        file.originalname.endsWith('.xlsx')) {
+        file.mimetype === 'text/csv' ||
+        name.endsWith('.xlsx') || name.endsWith('.csv')) {
       cb(null, true);
     } else {
-      cb(new Error('Only .xlsx files are allowed'), false);
+      cb(new Error('Only .xlsx and .csv files are allowed'), false);
     }
   },
 });
 
+/**
+ * POST /api/contacts/import/preview
+ * Form fields: file, encoding? and delimiter? (CSV overrides, detected otherwise)
+ * The upload is kept for 1 hour, submit its mapping with POST /contacts/import.
+ */
 router.post(
-  '/contacts/import',
+  '/contacts/import/preview',
   requireAuth,
   upload.single('file'),
   rateLimitByIp(writeIpLimiter),
@@ -660,6 +936,47 @@ router.post(
         });
       }
 
+      const { createImportUpload } = require('../services/contactImport.service');
+      const { encoding, delimiter } = req.body || {};
+      const result = await createImportUpload(req.user.id, req.file.buffer, {
+        encoding: encoding || undefined,
+        delimiter: delimiter || undefined,
+      });
+      if (!result.ok) {
+        return res.status(result.reason === 'unavailable' ? 503 : 400).json({ 
+          message: result.message, 
+          code: result.reason === 'unavailable' ? 'SERVICE_UNAVAILABLE' : 'VALIDATION_ERROR' 
+        });
+      }
+
+      res.json(result.preview);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.post(
+  '/contacts/import',
+  requireAuth,
+  upload.single('file'),
+  rateLimitByIp(writeIpLimiter),
+  async (req, res, next) => {
+    try {
+      const { uploadId, listId, listName } = req.body || {};
+      if (req.file && uploadId) {
+        return res.status(400).json({ 
+          message: 'Provide either a file or an uploadId, not both', 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+      if (!req.file && !uploadId) {
+        return res.status(400).json({ 
+          message: 'No file uploaded', 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+
       if (!contactImportQueue) {
         return res.status(503).json({ 
           message: 'Import service is currently unavailable', 
@@ -667,14 +984,129 @@ router.post(
         });
       }
 
+      const {
+        getImportUpload,
+        deleteImportUpload,
+        parseImportFile,
+        validateColumnMapping,
+      } = require('../services/contactImport.service');
+
+      // File: direct upload or a previewed upload
+      let fileBuffer = req.file ? req.file.buffer : null;
+      let csvOptions = {};
+      let headers = null;
+      if (uploadId) {
+        const stored = await getImportUpload(req.user.id, String(uploadId));
+        if (!stored) {
+          return res.status(404).json({ 
+            message: 'Upload not found or expired, upload the file again', 
+            code: 'RESOURCE_NOT_FOUND' 
+          });
+        }
+        fileBuffer = stored.fileBuffer;
+        csvOptions = { encoding: stored.encoding, delimiter: stored.delimiter };
+        headers = stored.headers;
+      }
+
+      // Column mapping and field rules (JSON strings in multipart forms)
+      let { mapping, fieldRules } = req.body || {};
+      try {
+        mapping = typeof mapping === 'string' ? JSON.parse(mapping) : mapping;
+        fieldRules = typeof fieldRules === 'string' ? JSON.parse(fieldRules) : fieldRules;
+      } catch (err) {
+        return res.status(400).json({ 
+          message: 'mapping and fieldRules must be valid JSON', 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+
+      const { validateImportOptions } = require('../services/contactImport.service');
+      const importOptions = validateImportOptions({ mode: req.body?.mode, fieldRules });
+      if (!importOptions.ok) {
+        return res.status(400).json({ 
+          message: importOptions.message, 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+      if (uploadId && !mapping) {
+        return res.status(400).json({ 
+          message: 'mapping is required', 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+      if (mapping) {
+        if (!headers) {
+          try {
+            headers = parseImportFile(fileBuffer).headers;
+          } catch (err) {
+            return res.status(400).json({ 
+              message: err.message, 
+              code: 'VALIDATION_ERROR' 
+            });
+          }
+        }
+        const { listAttributes } = require('../services/contactAttribute.service');
+        const checked = validateColumnMapping(mapping, headers, await listAttributes(req.user.id));
+        if (!checked.ok) {
+          return res.status(400).json({ 
+            message: checked.message, 
+            code: 'VALIDATION_ERROR' 
+          });
+        }
+        mapping = checked.mapping;
+      }
+
+      // Optional target list
+      let targetList = null;
+      if (listId && listName) {
+        return res.status(400).json({ 
+          message: 'Provide either listId or listName, not both', 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+      if (listId) {
+        const listIdNum = Number(listId);
+        targetList = listIdNum ? await prisma.list.findFirst({ where: { id: listIdNum, ownerId: req.user.id } }) : null;
+        if (!targetList) {
+          return res.status(404).json({ 
+            message: 'List not found', 
+            code: 'RESOURCE_NOT_FOUND' 
+          });
+        }
+        const { hasListFilters } = require('../services/listSegmentation.service');
+        if (hasListFilters(targetList)) {
+          return res.status(400).json({ 
+            message: 'Members of a list with filters are managed automatically', 
+            code: 'VALIDATION_ERROR' 
+          });
+        }
+      } else if (listName) {
+        const { sanitizeString } = require('../lib/sanitize');
+        const name = sanitizeString(String(listName), { maxLength: 160 });
+        if (!name) {
+          return res.status(400).json({ 
+            message: 'List name is required', 
+            code: 'VALIDATION_ERROR' 
+          });
+        }
+        // Duplicate names -> 409 DUPLICATE_RESOURCE via the error handler
+        targetList = await prisma.list.create({ data: { ownerId: req.user.id, name } });
+      }
+
       // Create import job
       const job = await contactImportQueue.add(
         'importContacts',
         {
           userId: req.user.id,
-          fileBuffer: req.file.buffer,
+          fileBuffer,
           options: {
             skipDuplicates: true, // Always skip duplicates per user requirement
+            mode: importOptions.mode,
+            fieldRules: importOptions.fieldRules,
+            listId: targetList ? targetList.id : null,
+            mapping: mapping || null,
+            encoding: csvOptions.encoding || null,
+            delimiter: csvOptions.delimiter || null,
           },
         },
         {
@@ -682,12 +1114,18 @@ router.post(
         }
       );
 
+      if (uploadId) {
+        await deleteImportUpload(String(uploadId));
+      }
+
       logger.info({ userId: req.user.id, jobId: job.id }, 'Contact import job created');
 
       res.status(202).json({
         jobId: job.id,
         status: 'pending',
+        mode: importOptions.mode,
         message: 'Import job created successfully',
+        list: targetList ? { id: targetList.id, name: targetList.name } : null,
       });
     } catch (e) {
       next(e);
@@ -698,6 +1136,10 @@ router.post(
 /* ---------------------------------------------------------
  * GET /contacts/import/:jobId  (protected)
  * Get import job status and results
+ * ?download=xlsx|csv returns the results file instead: every row of the
+ * uploaded file with its status (created/updated/skipped/error) and reason.
+ * ?status=error,skipped limits the file to those rows (to fix and re-upload).
+ * Available while the finished job is kept (1 hour).
  * --------------------------------------------------------- */
 router.get('/contacts/import/:jobId', requireAuth, async (req, res, next) => {
   try {
@@ -733,6 +1175,33 @@ router.get('/contacts/import/:jobId', requireAuth, async (req, res, next) => {
     const result = job.returnvalue || null;
     const failedReason = job.failedReason || null;
 
+    if (req.query.download) {
+      const format = String(req.query.download).toLowerCase();
+      if (!['xlsx', 'csv'].includes(format)) {
+        return res.status(400).json({ 
+          message: 'download must be xlsx or csv', 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+      if (state !== 'completed' || !result || !result.rows) {
+        return res.status(409).json({ 
+          message: 'Import results are available once the job has completed', 
+          code: 'INVALID_STATUS' 
+        });
+      }
+
+      const statuses = req.query.status
+        ? String(req.query.status).split(',').map(s => s.trim()).filter(Boolean)
+        : undefined;
+      const { buildImportResultsFile } = require('../services/contactImport.service');
+      const file = buildImportResultsFile(job.data, result, { format, statuses });
+
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="import_${job.id}_results.${file.extension}"`);
+      res.setHeader('Content-Length', file.buffer.length);
+      return res.send(file.buffer);
+    }
+
     const response = {
       jobId: job.id,
       status: state,
@@ -745,8 +1214,10 @@ router.get('/contacts/import/:jobId', requireAuth, async (req, res, next) => {
     if (state === 'completed' && result) {
       response.results = {
         created: result.created || 0,
+        updated: result.updated || 0,
         skipped: result.skipped || 0,
         errors: result.errors || [],
+        list: result.list || null,
       };
     } else if (state === 'failed') {
       response.error = failedReason || 'Import job failed';
@@ -764,7 +1235,8 @@ router.get('/contacts/import/:jobId', requireAuth, async (req, res, next) => {
  * --------------------------------------------------------- */
 router.get('/contacts/import/template', requireAuth, async (req, res, next) => {
   try {
-    const templateBuffer = generateTemplateFile();
+    const { listAttributes } = require('../services/contactAttribute.service');
+    const templateBuffer = generateTemplateFile(await listAttributes(req.user.id));
 
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', 'attachment; filename="contacts_template.xlsx"');
@@ -776,4 +1248,163 @@ router.get('/contacts/import/template', requireAuth, async (req, res, next) => {
   }
 });
 
+/* ---------------------------------------------------------
+ * POST /contacts/export  (protected)
+ * Export contacts to XLSX or CSV in the background.
+ * Body: { format?: 'xlsx' | 'csv', q?, isSubscribed?, listId?, tag? }
+ * (same filters as GET /contacts, incl. gender_* / age_* lists)
+ * Poll GET /contacts/export/:jobId, then download the file from
+ * GET /contacts/export/:jobId/download (kept for 24 hours).
+ * --------------------------------------------------------- */
+router.post(
+  '/contacts/export',
+  requireAuth,
+  rateLimitByIp(writeIpLimiter),
+  async (req, res, next) => {
+    try {
+      if (!contactExportQueue) {
+        return res.status(503).json({ 
+          message: 'Export service is currently unavailable', 
+          code: 'SERVICE_UNAVAILABLE' 
+        });
+      }
+
+      const { validateExportRequest } = require('../services/contactExport.service');
+      const request = await validateExportRequest(req.user.id, req.body || {});
+      if (!request.ok) {
+        return res.status(request.reason === 'not_found' ? 404 : 400).json({ 
+          message: request.message, 
+          code: request.reason === 'not_found' ? 'RESOURCE_NOT_FOUND' : 'VALIDATION_ERROR' 
+        });
+      }
+
+      const job = await contactExportQueue.add(
+        'exportContacts',
+        {
+          userId: req.user.id,
+          filters: request.filters,
+          format: request.format,
+        },
+        {
+          attempts: 1,
+        }
+      );
+
+      logger.info({ userId: req.user.id, jobId: job.id, format: request.format }, 'Contact export job created');
+
+      res.status(202).json({
+        jobId: job.id,
+        status: 'pending',
+        format: request.format,
+        message: 'Export job created successfully',
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/** Export job of the current user, or sends the error response and returns null */
+async function findExportJob(req, res) {
+  if (!contactExportQueue) {
+    res.status(503).json({ 
+      message: 'Export service is currently unavailable', 
+      code: 'SERVICE_UNAVAILABLE' 
+    });
+    return null;
+  }
+
+  const job = await contactExportQueue.getJob(req.params.jobId);
+  if (!job) {
+    res.status(404).json({ 
+      message: 'Export job not found', 
+      code: 'RESOURCE_NOT_FOUND' 
+    });
+    return null;
+  }
+  if (job.data.userId !== req.user.id) {
+    res.status(403).json({ 
+      message: 'Access denied', 
+      code: 'AUTHORIZATION_ERROR' 
+    });
+    return null;
+  }
+  return job;
+}
+
+/* ---------------------------------------------------------
+ * GET /contacts/export/:jobId  (protected)
+ * Export job status
+ * --------------------------------------------------------- */
+router.get('/contacts/export/:jobId', requireAuth, async (req, res, next) => {
+  try {
+    const job = await findExportJob(req, res);
+    if (!job) {return;}
+
+    const state = await job.getState();
+    const progress = job.progress || { processed: 0, total: 0 };
+    const response = {
+      jobId: job.id,
+      status: state,
+      format: job.data.format,
+      progress: {
+        processed: progress.processed || 0,
+        total: progress.total || 0,
+      },
+    };
+
+    if (state === 'completed' && job.returnvalue) {
+      response.results = {
+        rows: job.returnvalue.rows || 0,
+        fileName: job.returnvalue.fileName,
+      };
+    } else if (state === 'failed') {
+      response.error = job.failedReason || 'Export job failed';
+    }
+
+    res.json(response);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* ---------------------------------------------------------
+ * GET /contacts/export/:jobId/download  (protected)
+ * Download the exported file
+ * --------------------------------------------------------- */
+router.get('/contacts/export/:jobId/download', requireAuth, async (req, res, next) => {
+  try {
+    const job = await findExportJob(req, res);
+    if (!job) {return;}
+
+    const state = await job.getState();
+    if (state !== 'completed' || !job.returnvalue) {
+      return res.status(409).json({ 
+        message: 'Export file is available once the job has completed', 
+        code: 'INVALID_STATUS' 
+      });
+    }
+
+    const { getExportFile } = require('../services/contactExport.service');
+    const file = await getExportFile(job.id);
+    if (!file) {
+      return res.status(404).json({ 
+        message: 'Export file has expired, start a new export', 
+        code: 'RESOURCE_NOT_FOUND' 
+      });
+    }
+
+    const { format, fileName } = job.returnvalue;
+    res.setHeader('Content-Type', format === 'csv'
+      ? 'text/csv; charset=utf-8'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', file.length);
+
+    res.send(file);
+  } catch (e) {
+    next(e);
+  }
+});
+
 module.exports = router;
@@ -220,6 +220,52 @@ router.get('/lists/:listId', requireAuth, async (req, res, next) => {
   }
 });
 
+/* =========================================================
+ * POST /lists/:listId/contacts/bulk-add  (protected)
+ * POST /lists/:listId/contacts/bulk-remove  (protected)
+ * Add/remove many contacts at once (scoped).
+ * Body: { contactIds: number[] }  or  { filter: { q?, isSubscribed?, listId?, tag? } }
+ *   (filter = same search as GET /contacts, e.g. every subscribed "Maria")
+ * Returns: { matched, added } / { matched, removed }
+ * Lists with segmentation filters are managed automatically -> 400
+ * ========================================================= */
+const BULK_ERROR_STATUS = { invalid: 400, not_found: 404 };
+const BULK_ERROR_CODE = { invalid: 'VALIDATION_ERROR', not_found: 'RESOURCE_NOT_FOUND' };
+
+function bulkMembershipHandler(action) {
+  return async (req, res, next) => {
+    try {
+      const listId = Number(req.params.listId);
+      if (!listId || isNaN(listId)) {
+        return res.status(400).json({ 
+          message: 'Invalid list ID', 
+          code: 'VALIDATION_ERROR' 
+        });
+      }
+
+      const { contactIds, filter } = req.body || {};
+      const { bulkUpdateMembership } = require('../services/listMembership.service');
+      const result = await bulkUpdateMembership(req.user.id, listId, action, { contactIds, filter });
+      if (!result.ok) {
+        return res.status(BULK_ERROR_STATUS[result.reason]).json({ 
+          message: result.message, 
+          code: BULK_ERROR_CODE[result.reason] 
+        });
+      }
+
+      res.json(action === 'add'
+        ? { matched: result.matched, added: result.added }
+        : { matched: result.matched, removed: result.removed });
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+// Registered before /lists/:listId/contacts/:contactId so "bulk-add" is not read as a contact ID
+router.post('/lists/:listId/contacts/bulk-add', requireAuth, bulkMembershipHandler('add'));
+router.post('/lists/:listId/contacts/bulk-remove', requireAuth, bulkMembershipHandler('remove'));
+
 /* =========================================================
  * POST /lists/:listId/contacts/:contactId  (protected)
  * Add a contact to a list (scoped). Validates both belong to owner.
@@ -249,6 +295,10 @@ router.post('/lists/:listId/contacts/:contactId', requireAuth, async (req, res,
     }
 
     const m = await prisma.listMembership.create({ data: { listId, contactId } });
+
+    const { recordContactEvents, listMembershipEvents } = require('../services/contactEvent.service');
+    await recordContactEvents(listMembershipEvents(req.user.id, listId, [contactId], 'list_joined', 'manual'));
+
     res.status(201).json(m);
   } catch (e) {
     next(e);
@@ -279,7 +329,11 @@ router.delete('/lists/:listId/contacts/:contactId', requireAuth, async (req, res
     });
   }
 
-  await prisma.listMembership.deleteMany({ where: { listId, contactId } });
+  const removed = await prisma.listMembership.deleteMany({ where: { listId, contactId } });
+  if (removed.count > 0) {
+    const { recordContactEvents, listMembershipEvents } = require('../services/contactEvent.service');
+    await recordContactEvents(listMembershipEvents(req.user.id, listId, [contactId], 'list_left', 'manual'));
+  }
   res.json({ ok: true });
   } catch (e) {
     next(e);
@@ -457,6 +511,7 @@ router.put('/lists/:listId', requireAuth, async (req, res, next) => {
 /* =========================================================
  * POST /lists/:listId/sync  (protected)
  * Manually sync list memberships based on segmentation filters
+ * (filtered lists also sync on contact changes and nightly)
  * ========================================================= */
 router.post('/lists/:listId/sync', requireAuth, async (req, res, next) => {
   try {
@@ -495,4 +550,39 @@ router.post('/lists/:listId/sync', requireAuth, async (req, res, next) => {
   }
 });
 
+/* =========================================================
+ * GET /lists/:listId/history  (protected)
+ * Member count over time (one point per full sync: nightly, manual, filter changes)
+ * Optional: days (default 90, max 365)
+ * ========================================================= */
+router.get('/lists/:listId/history', requireAuth, async (req, res, next) => {
+  try {
+    const listId = Number(req.params.listId);
+    if (!listId || isNaN(listId)) {
+      return res.status(400).json({ 
+        message: 'Invalid list ID', 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    const list = await prisma.list.findFirst({
+      where: { id: listId, ownerId: req.user.id }, // << SCOPE
+      select: { id: true, lastSyncedAt: true }
+    });
+    if (!list) {
+      return res.status(404).json({ 
+        message: 'List not found', 
+        code: 'RESOURCE_NOT_FOUND' 
+      });
+    }
+
+    const { getListMemberCountHistory } = require('../services/listSegmentation.service');
+    const items = await getListMemberCountHistory(listId, { days: parseInt(req.query.days || '90', 10) || 90 });
+
+    res.json({ listId, lastSyncedAt: list.lastSyncedAt, items });
+  } catch (e) {
+    next(e);
+  }
+});
+
 module.exports = router;
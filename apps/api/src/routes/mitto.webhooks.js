@@ -234,10 +234,31 @@ router.post('/webhooks/mitto/inbound', async (req, res) => {
     if (/^\s*stop\b/i.test(text)) {
       // Note: This updates all contacts with this phone across all owners
       // In a multi-tenant system, you might want to scope by owner if phone is not globally unique
-      const r = await prisma.contact.updateMany({
+      const subscribed = await prisma.contact.findMany({
         where: { phone, isSubscribed: true },
+        select: { id: true, ownerId: true }
+      });
+      const r = await prisma.contact.updateMany({
+        where: { id: { in: subscribed.map(c => c.id) }, isSubscribed: true },
         data: { isSubscribed: false, unsubscribedAt: new Date() }
       });
+      const { recordContactEvents } = require('../services/contactEvent.service');
+      await recordContactEvents(subscribed.map(c => ({
+        ownerId: c.ownerId,
+        contactId: c.id,
+        type: 'unsubscribed',
+        source: 'sms_stop'
+      })));
+
+      // Filtered lists drop the unsubscribed contacts (one sync per owner)
+      const { syncContactListMembershipsSafe } = require('../services/listSegmentation.service');
+      const idsByOwner = new Map();
+      for (const c of subscribed) {
+        idsByOwner.set(c.ownerId, [...(idsByOwner.get(c.ownerId) || []), c.id]);
+      }
+      for (const [ownerId, contactIds] of idsByOwner) {
+        await syncContactListMembershipsSafe(ownerId, contactIds);
+      }
       logger.info({ phone, count: r.count }, 'Inbound STOP → unsubscribed');
     }
 
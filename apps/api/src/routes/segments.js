@@ -0,0 +1,186 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/requireAuth');
+const { scoped } = require('../lib/policies');
+
+const router = express.Router();
+
+const SEGMENT_ERROR_STATUS = { invalid: 400, duplicate: 409, not_found: 404 };
+const SEGMENT_ERROR_CODE = { invalid: 'VALIDATION_ERROR', duplicate: 'DUPLICATE_RESOURCE', not_found: 'RESOURCE_NOT_FOUND' };
+
+/* =========================================================
+ * Segments (protected)
+ * Saved rule-based audiences: nested AND/OR conditions over contact
+ * fields, subscription, list membership, custom attributes and
+ * activity (redemptions, offer views, NFC scans...). Rule format in
+ * services/segment.service.js. Usable as a campaign audience (segmentId).
+ * ========================================================= */
+
+/* =========================================================
+ * GET /segments  (protected)
+ * List owner's segments. Optional: page/pageSize/q (name search)
+ * ========================================================= */
+router.get('/segments', requireAuth, async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize || '50', 10)));
+    const q = (req.query.q || '').toString().trim();
+
+    const where = { ...scoped(req.user.id) };
+    if (q) {where.name = { contains: q, mode: 'insensitive' };}
+
+    const [items, total] = await Promise.all([
+      prisma.segment.findMany({
+        where,
+        orderBy: { id: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        include: { _count: { select: { campaigns: true } } }
+      }),
+      prisma.segment.count({ where })
+    ]);
+
+    res.json({ items, total, page, pageSize });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /segments/preview  (protected)
+ * Count and sample contacts matching rules without saving them
+ * Body: { rules }
+ * ========================================================= */
+router.post('/segments/preview', requireAuth, async (req, res, next) => {
+  try {
+    const { validateSegmentRules, previewSegment } = require('../services/segment.service');
+    const validation = await validateSegmentRules(req.user.id, (req.body || {}).rules);
+    if (!validation.ok) {
+      return res.status(400).json({ 
+        message: validation.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    res.json(await previewSegment(req.user.id, validation.rules));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /segments  (protected)
+ * Body: { name, description?, rules }
+ * ========================================================= */
+router.post('/segments', requireAuth, async (req, res, next) => {
+  try {
+    const { createSegment } = require('../services/segment.service');
+    const result = await createSegment(req.user.id, req.body || {});
+    if (!result.ok) {
+      return res.status(SEGMENT_ERROR_STATUS[result.reason]).json({ 
+        message: result.message, 
+        code: SEGMENT_ERROR_CODE[result.reason] 
+      });
+    }
+    res.status(201).json(result.segment);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * GET /segments/:segmentId  (protected)
+ * Fetch a segment with its current counts (all matches / campaign-eligible)
+ * ========================================================= */
+router.get('/segments/:segmentId', requireAuth, async (req, res, next) => {
+  try {
+    const segmentId = Number(req.params.segmentId);
+    if (!segmentId || isNaN(segmentId)) {
+      return res.status(400).json({ 
+        message: 'Invalid segment ID', 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    const segment = await prisma.segment.findFirst({
+      where: { id: segmentId, ownerId: req.user.id } // << SCOPE
+    });
+    if (!segment) {
+      return res.status(404).json({ 
+        message: 'Segment not found', 
+        code: 'RESOURCE_NOT_FOUND' 
+      });
+    }
+
+    const { previewSegment } = require('../services/segment.service');
+    const { count, audienceCount, sample } = await previewSegment(req.user.id, segment.rules);
+
+    res.json({ ...segment, matchCount: count, audienceCount, sample });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * PUT /segments/:segmentId  (protected)
+ * Body: { name?, description?, rules? }
+ * ========================================================= */
+router.put('/segments/:segmentId', requireAuth, async (req, res, next) => {
+  try {
+    const segmentId = Number(req.params.segmentId);
+    if (!segmentId || isNaN(segmentId)) {
+      return res.status(400).json({ 
+        message: 'Invalid segment ID', 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    const { updateSegment } = require('../services/segment.service');
+    const result = await updateSegment(req.user.id, segmentId, req.body || {});
+    if (!result.ok) {
+      return res.status(SEGMENT_ERROR_STATUS[result.reason]).json({ 
+        message: result.message, 
+        code: SEGMENT_ERROR_CODE[result.reason] 
+      });
+    }
+    res.json(result.segment);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * DELETE /segments/:segmentId  (protected)
+ * Not allowed while campaigns use the segment as their audience
+ * ========================================================= */
+router.delete('/segments/:segmentId', requireAuth, async (req, res, next) => {
+  try {
+    const segmentId = Number(req.params.segmentId);
+    if (!segmentId || isNaN(segmentId)) {
+      return res.status(400).json({ 
+        message: 'Invalid segment ID', 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    const { deleteSegment } = require('../services/segment.service');
+    const result = await deleteSegment(req.user.id, segmentId);
+    if (!result.ok) {
+      if (result.reason === 'in_use') {
+        return res.status(409).json({ 
+          message: `Segment is used by ${result.campaigns} campaign(s)`, 
+          code: 'RESOURCE_IN_USE' 
+        });
+      }
+      return res.status(404).json({ 
+        message: 'Segment not found', 
+        code: 'RESOURCE_NOT_FOUND' 
+      });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+
+const router = express.Router();
+
+/* =========================================================
+ * Suppression list (protected)
+ * Owner-level list of phone numbers (E.164) that never receive campaigns
+ * or automations (welcome, birthday), e.g. staff numbers. Skipped campaign
+ * recipients are counted in the campaign's `skipped.suppressed`.
+ * ========================================================= */
+
+/* =========================================================
+ * GET /suppressions  (protected)
+ * Optional: page/pageSize/q (phone search)
+ * ========================================================= */
+router.get('/suppressions', requireAuth, async (req, res, next) => {
+  try {
+    const { listSuppressedPhones } = require('../services/suppression.service');
+    const result = await listSuppressedPhones(req.user.id, {
+      page: parseInt(req.query.page || '1', 10) || 1,
+      pageSize: parseInt(req.query.pageSize || '50', 10) || 50,
+      q: (req.query.q || '').toString().trim()
+    });
+    res.json(result);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /suppressions  (protected)
+ * Body: { phones: string[], reason? }
+ * Returns: { added, invalid } (numbers already on the list are ignored)
+ * ========================================================= */
+router.post('/suppressions', requireAuth, async (req, res, next) => {
+  try {
+    const { phones, reason } = req.body || {};
+    const { addSuppressedPhones } = require('../services/suppression.service');
+    const result = await addSuppressedPhones(req.user.id, phones, reason);
+    if (!result.ok) {
+      return res.status(400).json({ 
+        message: result.message, 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+    res.status(201).json({ added: result.added, invalid: result.invalid });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * DELETE /suppressions/:suppressionId  (protected)
+ * ========================================================= */
+router.delete('/suppressions/:suppressionId', requireAuth, async (req, res, next) => {
+  try {
+    const suppressionId = Number(req.params.suppressionId);
+    if (!suppressionId || isNaN(suppressionId)) {
+      return res.status(400).json({ 
+        message: 'Invalid suppression ID', 
+        code: 'VALIDATION_ERROR' 
+      });
+    }
+
+    const { removeSuppressedPhone } = require('../services/suppression.service');
+    const result = await removeSuppressedPhone(req.user.id, suppressionId);
+    if (!result.ok) {
+      return res.status(404).json({ 
+        message: 'Suppressed number not found', 
+        code: 'RESOURCE_NOT_FOUND' 
+      });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
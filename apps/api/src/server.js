@@ -260,6 +260,8 @@ app.get('/api/me', requireAuth, async (req, res, next) => {
 // Contacts & Lists
 app.use('/api', require('./routes/contacts'));
 app.use('/api', require('./routes/lists'));
+app.use('/api', require('./routes/segments'));
+app.use('/api', require('./routes/suppressions'));
 
 // Templates (system + owner)
 app.use('/api', require('./routes/templates'));
@@ -351,11 +353,35 @@ if (STATUS_REFRESH_ENABLED && process.env.QUEUE_DISABLED !== '1') {
   }
 }
 
+// ========= SETUP NIGHTLY FILTERED LIST SYNC =========
+// Ages change without contact updates, so filtered lists are re-evaluated every night
+const LIST_SYNC_ENABLED = process.env.LIST_SYNC_ENABLED !== '0'; // Default: enabled
+const LIST_SYNC_CRON = process.env.LIST_SYNC_CRON || '0 3 * * *'; // Default: 03:00 every day (server time)
+
+if (LIST_SYNC_ENABLED && process.env.QUEUE_DISABLED !== '1') {
+  const schedulerQueue = require('./queues/scheduler.queue');
+  if (schedulerQueue) {
+    schedulerQueue.add(
+      'syncFilteredLists',
+      {},
+      {
+        repeat: { pattern: LIST_SYNC_CRON },
+        jobId: 'filtered-list-sync-nightly' // Unique ID to prevent duplicates
+      }
+    ).then(() => {
+      console.log(`[List Sync] Scheduled nightly filtered list sync (${LIST_SYNC_CRON})`);
+    }).catch(err => {
+      console.error('[List Sync] Failed to schedule nightly sync:', err.message);
+    });
+  }
+}
+
 // ========= START WORKERS (if enabled) =========
 let workerProcess = null;
 let schedulerWorkerProcess = null;
 let statusRefreshWorkerProcess = null;
 let contactImportWorkerProcess = null;
+let contactExportWorkerProcess = null;
 const WORKER_ENABLED = process.env.START_WORKER !== '0'; // Default: enabled, set START_WORKER=0 to disable
 
 if (WORKER_ENABLED && process.env.QUEUE_DISABLED !== '1') {
@@ -493,6 +519,35 @@ if (WORKER_ENABLED && process.env.QUEUE_DISABLED !== '1') {
       console.warn(`[Server] Contact import worker process closed with code ${code}`);
     }
   });
+
+  // Start contact export worker
+  const contactExportWorkerPath = path.resolve(__dirname, '../../worker/src/contactExport.worker.js');
+  console.log('[Server] Starting contact export worker...');
+  contactExportWorkerProcess = spawn('node', [contactExportWorkerPath], {
+    stdio: 'inherit',
+    cwd: apiPath,
+    env: workerEnv
+  });
+  
+  contactExportWorkerProcess.on('error', (err) => {
+    console.error('[Server] Failed to start contact export worker:', err.message);
+  });
+  
+  contactExportWorkerProcess.on('exit', (code, signal) => {
+    if (signal) {
+      console.log(`[Server] Contact export worker stopped by signal: ${signal}`);
+    } else if (code !== 0) {
+      console.error(`[Server] Contact export worker exited with code ${code}`);
+    } else {
+      console.log('[Server] Contact export worker exited normally');
+    }
+  });
+  
+  contactExportWorkerProcess.on('close', (code) => {
+    if (code !== 0 && code !== null) {
+      console.warn(`[Server] Contact export worker process closed with code ${code}`);
+    }
+  });
 }
 
 // ========= START SERVER =========
@@ -520,6 +575,10 @@ async function shutdown(signal) {
     console.log('[Server] Stopping contact import worker...');
     contactImportWorkerProcess.kill('SIGTERM');
   }
+  if (contactExportWorkerProcess) {
+    console.log('[Server] Stopping contact export worker...');
+    contactExportWorkerProcess.kill('SIGTERM');
+  }
   if (schedulerWorkerProcess) {
     console.log('[Server] Stopping scheduler worker...');
     schedulerWorkerProcess.kill('SIGTERM');
@@ -529,7 +588,7 @@ async function shutdown(signal) {
     workerProcess.kill('SIGTERM');
   }
   // Wait a bit for workers to clean up
-  if (workerProcess || schedulerWorkerProcess || statusRefreshWorkerProcess || contactImportWorkerProcess) {
+  if (workerProcess || schedulerWorkerProcess || statusRefreshWorkerProcess || contactImportWorkerProcess || contactExportWorkerProcess) {
     await new Promise(resolve => setTimeout(resolve, 2000));
   }
   
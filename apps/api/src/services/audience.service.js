@@ -12,9 +12,11 @@ const logger = pino({ name: 'audience-service' });
  * @param {string|null} filterGender - Gender filter (null = Any, 'male', 'female', etc.)
  * @param {string|null} filterAgeGroup - Age group filter (null = Any, '18_24', '25_39', '40_plus')
  * @param {string|null} nameSearch - Optional name search (searches firstName and lastName)
+ * @param {Array|null} attributeFilters - Custom attribute conditions (validated by contactAttribute.service.validateAttributeFilters)
+ * @param {Array<string>|null} tagFilter - Contact tags (normalized), contacts with any of them match
  * @returns {Promise<Array>} Array of contacts matching filters
  */
-async function buildAudience(ownerId, filterGender = null, filterAgeGroup = null, nameSearch = null) {
+async function buildAudience(ownerId, filterGender = null, filterAgeGroup = null, nameSearch = null, attributeFilters = null, tagFilter = null) {
   if (!ownerId || typeof ownerId !== 'number' || ownerId <= 0) {
     logger.warn({ ownerId }, 'Invalid ownerId in buildAudience');
     return [];
@@ -40,6 +42,11 @@ async function buildAudience(ownerId, filterGender = null, filterAgeGroup = null
   }
   // If filterGender is null/undefined, include all genders (Any)
 
+  // Tag filter (any of the tags)
+  if (tagFilter && tagFilter.length > 0) {
+    where.tags = { hasSome: tagFilter };
+  }
+
   // Name search filter (searches firstName and lastName)
   if (nameSearch && nameSearch.trim()) {
     const searchTerm = nameSearch.trim();
@@ -61,7 +68,9 @@ async function buildAudience(ownerId, filterGender = null, filterAgeGroup = null
         firstName: true,
         lastName: true,
         gender: true,
-        birthday: true
+        birthday: true,
+        customFields: true,
+        tags: true
       }
     });
   } catch (err) {
@@ -69,6 +78,12 @@ async function buildAudience(ownerId, filterGender = null, filterAgeGroup = null
     return [];
   }
 
+  // Filter by custom attributes (all conditions must match)
+  if (attributeFilters && attributeFilters.length > 0) {
+    const { matchesAttributeFilters } = require('./contactAttribute.service');
+    contacts = contacts.filter(contact => matchesAttributeFilters(contact.customFields, attributeFilters));
+  }
+
   // Filter by age group if specified
   if (filterAgeGroup) {
     const normalizedAgeGroup = normalizeAgeGroup(filterAgeGroup);
@@ -105,10 +120,12 @@ async function buildAudience(ownerId, filterGender = null, filterAgeGroup = null
  * @param {string|null} filterGender - Gender filter
  * @param {string|null} filterAgeGroup - Age group filter
  * @param {string|null} nameSearch - Optional name search
+ * @param {Array|null} attributeFilters - Custom attribute conditions
+ * @param {Array<string>|null} tagFilter - Contact tags (any of them)
  * @returns {Promise<number>} Count of matching contacts
  */
-async function countAudience(ownerId, filterGender = null, filterAgeGroup = null, nameSearch = null) {
-  const contacts = await buildAudience(ownerId, filterGender, filterAgeGroup, nameSearch);
+async function countAudience(ownerId, filterGender = null, filterAgeGroup = null, nameSearch = null, attributeFilters = null, tagFilter = null) {
+  const contacts = await buildAudience(ownerId, filterGender, filterAgeGroup, nameSearch, attributeFilters, tagFilter);
   return contacts.length;
 }
 
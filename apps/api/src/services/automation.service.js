@@ -4,7 +4,8 @@
 const prisma = require('../lib/prisma');
 const { sendSMSWithCredits } = require('./sms.service');
 const { shortenUrl } = require('./urlShortener.service');
-const { render } = require('../lib/template');
+const { render, OFFER_LINK_PLACEHOLDER } = require('../lib/template');
+const { transliterateGreekToGsm } = require('../lib/transliterate');
 const crypto = require('node:crypto');
 const pino = require('pino');
 
@@ -31,11 +32,58 @@ function newTrackingId() {
   return crypto.randomBytes(9).toString('base64url');
 }
 
+/**
+ * Personalize an automation message ({{offer_link}} stays a placeholder until addOfferLink)
+ */
+async function renderAutomationText(automation, contact) {
+  const { loadTemplateContext } = require('./campaignEnqueue.service');
+  const context = await loadTemplateContext(automation.ownerId);
+  let messageText = render(automation.messageBody, contact, { ...context, offerLink: OFFER_LINK_PLACEHOLDER });
+  if (automation.transliterateGreek) {
+    messageText = transliterateGreekToGsm(messageText);
+  }
+  return messageText;
+}
+
+/**
+ * Put the (shortened) offer link where {{offer_link}} was used, otherwise append it
+ */
+function addOfferLink(messageText, shortenedOfferUrl) {
+  if (messageText.includes(OFFER_LINK_PLACEHOLDER)) {
+    return messageText.split(OFFER_LINK_PLACEHOLDER).join(shortenedOfferUrl);
+  }
+  return `${messageText}\n\nView offer: ${shortenedOfferUrl}`;
+}
+
 const AUTOMATION_TYPES = {
   WELCOME: 'welcome_message',
   BIRTHDAY: 'birthday_message'
 };
 
+/**
+ * Queue an automation message for the owner's next allowed send slot (quiet hours).
+ * Handled by the scheduler worker, which calls back into this service.
+ *
+ * @returns {Promise<boolean>} true if the send was deferred
+ */
+async function deferAutomationSend(jobName, { ownerId, contactId }, delayMs) {
+  const schedulerQueue = require('../queues/scheduler.queue');
+  if (!schedulerQueue) {
+    logger.warn({ ownerId, contactId, jobName }, 'Scheduler queue is disabled, cannot defer automation outside send window');
+    return false;
+  }
+
+  // Keyed by the slot it is sent at (the window opening, a whole minute): triggering it again
+  // before then (a second birthday run, a repeated welcome) adds no duplicate job
+  const sendAt = Math.round((Date.now() + delayMs) / 60000) * 60000;
+  await schedulerQueue.add(jobName, { ownerId, contactId }, {
+    jobId: `automation:${jobName}:${ownerId}:${contactId}:${sendAt}`,
+    delay: Math.max(0, sendAt - Date.now())
+  });
+  logger.info({ ownerId, contactId, jobName, delayMs }, 'Outside send window, automation message deferred');
+  return true;
+}
+
 /**
  * Get or create automation for a store
  * Ensures exactly two automations exist per store (welcome and birthday)
@@ -86,6 +134,7 @@ async function getAutomations(ownerId) {
       type: welcome.type,
       isActive: welcome.isActive,
       messageBody: welcome.messageBody,
+      transliterateGreek: welcome.transliterateGreek,
       createdAt: welcome.createdAt,
       updatedAt: welcome.updatedAt
     },
@@ -94,6 +143,7 @@ async function getAutomations(ownerId) {
       type: birthday.type,
       isActive: birthday.isActive,
       messageBody: birthday.messageBody,
+      transliterateGreek: birthday.transliterateGreek,
       createdAt: birthday.createdAt,
       updatedAt: birthday.updatedAt
     }
@@ -115,6 +165,7 @@ async function updateAutomation(ownerId, type, updates) {
     data: {
       ...(updates.isActive !== undefined && { isActive: updates.isActive }),
       ...(updates.messageBody !== undefined && { messageBody: updates.messageBody }),
+      ...(updates.transliterateGreek !== undefined && { transliterateGreek: updates.transliterateGreek }),
       updatedAt: new Date()
     }
   });
@@ -153,6 +204,13 @@ async function triggerWelcomeAutomation(ownerId, contact) {
     return { sent: false, reason: 'contact_not_subscribed' };
   }
 
+  // Numbers on the owner's suppression list are never messaged
+  const { isPhoneSuppressed } = require('./suppression.service');
+  if (await isPhoneSuppressed(ownerId, contact.phone)) {
+    logger.info({ ownerId, contactId: contact.id }, 'Welcome automation skipped: phone is suppressed');
+    return { sent: false, reason: 'suppressed' };
+  }
+
   // Get welcome automation
   const automation = await prisma.automation.findUnique({
     where: {
@@ -174,8 +232,23 @@ async function triggerWelcomeAutomation(ownerId, contact) {
     return { sent: false, reason: 'automation_inactive' };
   }
 
+  // Contacts that already reached the owner's frequency cap are not messaged
+  const { applyFrequencyCap } = require('./frequencyCap.service');
+  if ((await applyFrequencyCap(ownerId, [contact])).capped) {
+    logger.info({ ownerId, contactId: contact.id }, 'Welcome automation skipped: frequency cap reached');
+    return { sent: false, reason: 'frequency_cap' };
+  }
+
+  // Quiet hours: outside the owner's send window, send at the next allowed slot instead
+  const { getSendDelay } = require('./sendWindow.service');
+  const windowDelay = await getSendDelay(ownerId);
+  if (windowDelay > 0) {
+    const deferred = await deferAutomationSend('sendWelcomeAutomation', { ownerId, contactId: contact.id }, windowDelay);
+    return { sent: false, reason: 'outside_send_window', deferred, delayMs: windowDelay };
+  }
+
   // Render message with contact placeholders
-  let messageText = render(automation.messageBody, contact);
+  let messageText = await renderAutomationText(automation, contact);
   
   if (!messageText || !messageText.trim()) {
     logger.error({ ownerId, contactId: contact.id, messageBody: automation.messageBody }, 'Welcome automation message is empty after rendering');
@@ -187,8 +260,8 @@ async function triggerWelcomeAutomation(ownerId, contact) {
   const offerUrl = `${OFFER_BASE_URL}/o/${trackingId}`;
   const shortenedOfferUrl = await shortenUrl(offerUrl);
   
-  // Append offer link to message (with shortened URL)
-  messageText += `\n\nView offer: ${shortenedOfferUrl}`;
+  // Add offer link to message (with shortened URL)
+  messageText = addOfferLink(messageText, shortenedOfferUrl);
 
   // Get sender name (using resolveSender which handles user lookup internally)
   const { resolveSender } = require('./mitto.service');
@@ -296,6 +369,126 @@ async function triggerWelcomeAutomation(ownerId, contact) {
   return result;
 }
 
+/**
+ * Send the birthday message of an automation to one contact
+ * (renders the message, sends with credits, records an AutomationMessage)
+ */
+async function sendBirthdayMessage(automation, contact, sender) {
+  // Validate phone number
+  if (!contact.phone || !contact.phone.trim()) {
+    logger.error({ 
+      ownerId: automation.ownerId, 
+      contactId: contact.id 
+    }, 'Contact phone number is missing for birthday automation');
+    return { sent: false, reason: 'invalid_phone' };
+  }
+
+  // Render message with contact placeholders
+  let messageText = await renderAutomationText(automation, contact);
+
+  if (!messageText || !messageText.trim()) {
+    logger.error({ 
+      ownerId: automation.ownerId, 
+      contactId: contact.id, 
+      messageBody: automation.messageBody 
+    }, 'Birthday automation message is empty after rendering');
+    return { sent: false, reason: 'empty_message' };
+  }
+
+  // Generate trackingId and offer link
+  const trackingId = newTrackingId();
+  const offerUrl = `${OFFER_BASE_URL}/o/${trackingId}`;
+  const shortenedOfferUrl = await shortenUrl(offerUrl);
+
+  // Add offer link to message (with shortened URL)
+  messageText = addOfferLink(messageText, shortenedOfferUrl);
+
+  // Send SMS via Mitto with credit enforcement
+  const result = await sendSMSWithCredits({
+    ownerId: automation.ownerId,
+    destination: contact.phone,
+    text: messageText,
+    sender: sender,
+    contactId: contact.id, // Pass contactId for unsubscribe link generation
+    meta: {
+      reason: 'automation:birthday',
+      automationType: AUTOMATION_TYPES.BIRTHDAY,
+      automationId: automation.id
+    }
+  });
+
+  // Create AutomationMessage record
+  try {
+    if (result.sent && result.messageId) {
+      // Message sent successfully
+      await prisma.automationMessage.create({
+        data: {
+          ownerId: automation.ownerId,
+          automationId: automation.id,
+          contactId: contact.id,
+          to: contact.phone,
+          text: messageText,
+          trackingId,
+          status: 'sent',
+          providerMessageId: result.messageId,
+          sentAt: new Date()
+        }
+      });
+      logger.debug({ ownerId: automation.ownerId, automationId: automation.id, contactId: contact.id, trackingId }, 'AutomationMessage created (sent)');
+    } else {
+      // Message failed to send
+      await prisma.automationMessage.create({
+        data: {
+          ownerId: automation.ownerId,
+          automationId: automation.id,
+          contactId: contact.id,
+          to: contact.phone,
+          text: messageText,
+          trackingId,
+          status: 'failed',
+          error: result.error || result.reason || 'Send failed',
+          failedAt: new Date()
+        }
+      });
+      logger.debug({ ownerId: automation.ownerId, automationId: automation.id, contactId: contact.id, trackingId }, 'AutomationMessage created (failed)');
+    }
+  } catch (dbErr) {
+    logger.error({ ownerId: automation.ownerId, automationId: automation.id, contactId: contact.id, err: dbErr.message }, 'Failed to create AutomationMessage record');
+    // Don't fail the automation if DB write fails - message was already sent
+  }
+
+  // Log result
+  if (result.sent) {
+    logger.info({ 
+      ownerId: automation.ownerId, 
+      contactId: contact.id,
+      messageId: result.messageId,
+      destination: contact.phone,
+      trackingId
+    }, 'Birthday automation message sent successfully');
+  } else if (result.reason === 'inactive_subscription') {
+    logger.warn({ 
+      ownerId: automation.ownerId, 
+      contactId: contact.id
+    }, 'Birthday automation blocked: inactive subscription');
+  } else if (result.reason === 'insufficient_credits') {
+    logger.warn({ 
+      ownerId: automation.ownerId, 
+      contactId: contact.id,
+      balance: result.balanceAfter
+    }, 'Birthday automation blocked: insufficient credits');
+  } else {
+    logger.error({ 
+      ownerId: automation.ownerId, 
+      contactId: contact.id,
+      reason: result.reason,
+      error: result.error 
+    }, 'Birthday automation send failed');
+  }
+
+  return result;
+}
+
 /**
  * Process birthday automations for all stores
  * Should be called daily (via scheduled job)
@@ -330,6 +523,12 @@ async function processBirthdayAutomations() {
   let totalProcessed = 0;
   let totalSent = 0;
   let totalFailed = 0;
+  let totalDeferred = 0;
+  let totalSuppressed = 0;
+  let totalCapped = 0;
+  const { getSendDelay } = require('./sendWindow.service');
+  const { getSuppressedPhoneSet } = require('./suppression.service');
+  const { applyFrequencyCap } = require('./frequencyCap.service');
 
   for (const automation of activeBirthdayAutomations) {
     logger.debug({ ownerId: automation.ownerId }, 'Processing birthday automation for store');
@@ -345,13 +544,26 @@ async function processBirthdayAutomations() {
       }
     });
 
-    // Filter contacts whose birthday is today
-    const birthdayContacts = contacts.filter(contact => {
+    // Filter contacts whose birthday is today (suppressed numbers are skipped)
+    const suppressed = await getSuppressedPhoneSet(automation.ownerId);
+    const todaysContacts = contacts.filter(contact => {
       if (!contact.birthday) {return false;}
       const birthDate = new Date(contact.birthday);
-      return birthDate.getMonth() + 1 === month && birthDate.getDate() === day;
+      if (birthDate.getMonth() + 1 !== month || birthDate.getDate() !== day) {return false;}
+      if (suppressed.has(contact.phone)) {
+        totalSuppressed++;
+        return false;
+      }
+      return true;
     });
 
+    // Contacts that already reached the owner's frequency cap are skipped
+    const { contacts: birthdayContacts, capped } = await applyFrequencyCap(automation.ownerId, todaysContacts);
+    if (capped) {
+      totalCapped += capped;
+      logger.info({ ownerId: automation.ownerId, capped }, 'Birthday automation skipped contacts: frequency cap reached');
+    }
+
     if (birthdayContacts.length === 0) {
       logger.debug({ ownerId: automation.ownerId }, 'No contacts with birthday today for this store');
       continue;
@@ -362,6 +574,17 @@ async function processBirthdayAutomations() {
       contactCount: birthdayContacts.length 
     }, 'Found contacts with birthday today');
 
+    // Quiet hours: outside the owner's send window, defer the messages to the next allowed slot
+    const windowDelay = await getSendDelay(automation.ownerId);
+    if (windowDelay > 0) {
+      for (const contact of birthdayContacts) {
+        if (await deferAutomationSend('sendBirthdayAutomation', { ownerId: automation.ownerId, contactId: contact.id }, windowDelay)) {
+          totalDeferred++;
+        }
+      }
+      continue;
+    }
+
     // Get sender name
     const { resolveSender } = require('./mitto.service');
     let sender;
@@ -391,120 +614,10 @@ async function processBirthdayAutomations() {
       }, 'Processing birthday message for contact');
 
       try {
-        // Validate phone number
-        if (!contact.phone || !contact.phone.trim()) {
-          logger.error({ 
-            ownerId: automation.ownerId, 
-            contactId: contact.id 
-          }, 'Contact phone number is missing for birthday automation');
-          totalFailed++;
-          continue;
-        }
-
-        // Render message with contact placeholders
-        let messageText = render(automation.messageBody, contact);
-        
-        if (!messageText || !messageText.trim()) {
-          logger.error({ 
-            ownerId: automation.ownerId, 
-            contactId: contact.id, 
-            messageBody: automation.messageBody 
-          }, 'Birthday automation message is empty after rendering');
-          totalFailed++;
-          continue;
-        }
-
-        // Generate trackingId and offer link
-        const trackingId = newTrackingId();
-        const offerUrl = `${OFFER_BASE_URL}/o/${trackingId}`;
-        const shortenedOfferUrl = await shortenUrl(offerUrl);
-        
-        // Append offer link to message (with shortened URL)
-        messageText += `\n\nView offer: ${shortenedOfferUrl}`;
-
-        // Send SMS via Mitto with credit enforcement
-        const result = await sendSMSWithCredits({
-          ownerId: automation.ownerId,
-          destination: contact.phone,
-          text: messageText,
-          sender: sender,
-          contactId: contact.id, // Pass contactId for unsubscribe link generation
-          meta: {
-            reason: 'automation:birthday',
-            automationType: AUTOMATION_TYPES.BIRTHDAY,
-            automationId: automation.id
-          }
-        });
-
-        // Create AutomationMessage record
-        try {
-          if (result.sent && result.messageId) {
-            // Message sent successfully
-            await prisma.automationMessage.create({
-              data: {
-                ownerId: automation.ownerId,
-                automationId: automation.id,
-                contactId: contact.id,
-                to: contact.phone,
-                text: messageText,
-                trackingId,
-                status: 'sent',
-                providerMessageId: result.messageId,
-                sentAt: new Date()
-              }
-            });
-            logger.debug({ ownerId: automation.ownerId, automationId: automation.id, contactId: contact.id, trackingId }, 'AutomationMessage created (sent)');
-          } else {
-            // Message failed to send
-            await prisma.automationMessage.create({
-              data: {
-                ownerId: automation.ownerId,
-                automationId: automation.id,
-                contactId: contact.id,
-                to: contact.phone,
-                text: messageText,
-                trackingId,
-                status: 'failed',
-                error: result.error || result.reason || 'Send failed',
-                failedAt: new Date()
-              }
-            });
-            logger.debug({ ownerId: automation.ownerId, automationId: automation.id, contactId: contact.id, trackingId }, 'AutomationMessage created (failed)');
-          }
-        } catch (dbErr) {
-          logger.error({ ownerId: automation.ownerId, automationId: automation.id, contactId: contact.id, err: dbErr.message }, 'Failed to create AutomationMessage record');
-          // Don't fail the automation if DB write fails - message was already sent
-        }
-
-        // Log result
+        const result = await sendBirthdayMessage(automation, contact, sender);
         if (result.sent) {
           totalSent++;
-          logger.info({ 
-            ownerId: automation.ownerId, 
-            contactId: contact.id,
-            messageId: result.messageId,
-            destination: contact.phone,
-            trackingId
-          }, 'Birthday automation message sent successfully');
-        } else if (result.reason === 'inactive_subscription') {
-          logger.warn({ 
-            ownerId: automation.ownerId, 
-            contactId: contact.id
-          }, 'Birthday automation blocked: inactive subscription');
-        } else if (result.reason === 'insufficient_credits') {
-          logger.warn({ 
-            ownerId: automation.ownerId, 
-            contactId: contact.id,
-            balance: result.balanceAfter
-          }, 'Birthday automation blocked: insufficient credits');
-          totalFailed++;
-        } else {
-          logger.error({ 
-            ownerId: automation.ownerId, 
-            contactId: contact.id,
-            reason: result.reason,
-            error: result.error 
-          }, 'Birthday automation send failed');
+        } else if (result.reason !== 'inactive_subscription') {
           totalFailed++;
         }
       } catch (err) {
@@ -523,6 +636,9 @@ async function processBirthdayAutomations() {
     processed: totalProcessed,
     sent: totalSent,
     failed: totalFailed,
+    deferred: totalDeferred,
+    suppressed: totalSuppressed,
+    frequencyCapped: totalCapped,
     storesProcessed: activeBirthdayAutomations.length
   }, 'Birthday automations processing completed');
 
@@ -530,15 +646,82 @@ async function processBirthdayAutomations() {
     processed: totalProcessed,
     sent: totalSent,
     failed: totalFailed,
+    deferred: totalDeferred,
+    suppressed: totalSuppressed,
+    frequencyCapped: totalCapped,
     storesProcessed: activeBirthdayAutomations.length
   };
 }
 
+/**
+ * Send an automation message that was deferred by the send window
+ * (called by the scheduler worker at the next allowed slot)
+ *
+ * @param {string} jobName - 'sendWelcomeAutomation' or 'sendBirthdayAutomation'
+ * @param {number} ownerId - Owner ID
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Object>} Send result ({ sent, reason?, ... })
+ */
+async function sendDeferredAutomation(jobName, ownerId, contactId) {
+  const contact = await prisma.contact.findFirst({
+    where: { id: contactId, ownerId }
+  });
+  if (!contact) {
+    return { sent: false, reason: 'contact_not_found' };
+  }
+
+  if (jobName === 'sendWelcomeAutomation') {
+    return triggerWelcomeAutomation(ownerId, contact);
+  }
+
+  // Birthday: re-check the same conditions as the daily run
+  if (!contact.isSubscribed) {
+    return { sent: false, reason: 'contact_not_subscribed' };
+  }
+
+  const { isPhoneSuppressed } = require('./suppression.service');
+  if (await isPhoneSuppressed(ownerId, contact.phone)) {
+    return { sent: false, reason: 'suppressed' };
+  }
+
+  const automation = await prisma.automation.findUnique({
+    where: { ownerId_type: { ownerId, type: AUTOMATION_TYPES.BIRTHDAY } }
+  });
+  if (!automation || !automation.isActive) {
+    return { sent: false, reason: 'automation_inactive' };
+  }
+
+  // The window may have changed since the message was deferred
+  const { getSendDelay } = require('./sendWindow.service');
+  const windowDelay = await getSendDelay(ownerId);
+  if (windowDelay > 0) {
+    const deferred = await deferAutomationSend('sendBirthdayAutomation', { ownerId, contactId }, windowDelay);
+    return { sent: false, reason: 'outside_send_window', deferred, delayMs: windowDelay };
+  }
+
+  // Messages sent since it was deferred count too
+  const { applyFrequencyCap } = require('./frequencyCap.service');
+  if ((await applyFrequencyCap(ownerId, [contact])).capped) {
+    logger.info({ ownerId, contactId }, 'Birthday automation skipped: frequency cap reached');
+    return { sent: false, reason: 'frequency_cap' };
+  }
+
+  const { resolveSender } = require('./mitto.service');
+  const sender = await resolveSender(ownerId, null);
+  if (!sender) {
+    logger.error({ ownerId }, 'No sender configured for birthday automation');
+    return { sent: false, reason: 'no_sender_configured' };
+  }
+
+  return sendBirthdayMessage(automation, contact, sender);
+}
+
 module.exports = {
   getAutomations,
   updateAutomation,
   triggerWelcomeAutomation,
   processBirthdayAutomations,
+  sendDeferredAutomation,
   AUTOMATION_TYPES
 };
 
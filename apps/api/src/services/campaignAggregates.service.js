@@ -18,7 +18,7 @@ async function updateCampaignAggregates(campaignId, ownerId) {
     // Verify campaign exists and belongs to owner
     const campaign = await prisma.campaign.findFirst({
       where: { id: campaignId, ownerId },
-      select: { id: true }
+      select: { id: true, status: true, abTestPercent: true, abWinnerPickedAt: true, _count: { select: { variants: true } } }
     });
 
     if (!campaign) {
@@ -50,20 +50,27 @@ async function updateCampaignAggregates(campaignId, ownerId) {
     // Calculate processed (sent + failed) - Phase 2.2
     const processed = success + failed;
 
-    // Check if all messages are processed (no queued messages remaining)
+    // Check if all messages are processed (no queued or in-flight messages remaining)
     const queuedCount = await prisma.campaignMessage.count({
       where: {
         campaignId,
         ownerId,
-        status: 'queued'
+        status: { in: ['queued', 'sending'] }
       }
     });
 
     // Determine campaign status based on message states
     let campaignStatus = null;
-    if (queuedCount > 0) {
+    if (campaign.status === 'paused' || campaign.status === 'cancelled') {
+      // Paused/cancelled by the owner - keep status (a cancelled campaign never completes)
+      campaignStatus = null;
+    } else if (queuedCount > 0) {
       // Still has queued messages - keep as 'sending'
       campaignStatus = 'sending';
+    } else if (campaign.abTestPercent && campaign._count.variants > 0 && !campaign.abWinnerPickedAt && total > 0) {
+      // A/B test cohort done, winner not sent to the rest of the audience yet
+      // (without variants there is no test phase - enqueueCampaign sends to everyone)
+      campaignStatus = 'sending';
     } else if (total > 0 && processed === total) {
       // All messages have been processed (sent or failed) - Phase 2.2
       campaignStatus = 'completed';
@@ -87,10 +94,19 @@ async function updateCampaignAggregates(campaignId, ownerId) {
       }
     }
 
-    await prisma.campaign.updateMany({
-      where: { id: campaignId, ownerId },
-      data: updateData
-    });
+    // The status read above may be outdated: never overwrite a pause or cancel that happened since
+    const where = { id: campaignId, ownerId };
+    if (updateData.status) {
+      where.status = { notIn: ['paused', 'cancelled'] };
+    }
+    const updated = await prisma.campaign.updateMany({ where, data: updateData });
+    if (updated.count === 0 && updateData.status) {
+      // Paused/cancelled in the meantime: still record the counts
+      delete updateData.status;
+      delete updateData.finishedAt;
+      await prisma.campaign.updateMany({ where: { id: campaignId, ownerId }, data: updateData });
+      campaignStatus = null;
+    }
 
     logger.info({ 
       campaignId, 
@@ -0,0 +1,323 @@
+// apps/api/src/services/campaignControl.service.js
+// Pause / resume / cancel of campaigns that are already sending
+
+const prisma = require('../lib/prisma');
+const pino = require('pino');
+
+const logger = pino({ name: 'campaign-control-service' });
+
+// A batch hands its claimed ('sending') messages to the provider within seconds; a claim older
+// than this was left behind by a worker that crashed or a job that stalled mid-batch
+const SENDING_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Put messages claimed by a batch that never finished back to 'queued'
+ * (stale 'sending' claims with no providerMessageId).
+ *
+ * @param {number} campaignId - Campaign ID
+ * @param {number} ownerId - Owner ID
+ * @returns {Promise<number>} Number of messages released
+ */
+async function releaseStaleClaims(campaignId, ownerId) {
+  const result = await prisma.campaignMessage.updateMany({
+    where: {
+      campaignId,
+      ownerId,
+      status: 'sending',
+      providerMessageId: null,
+      OR: [{ claimedAt: null }, { claimedAt: { lt: new Date(Date.now() - SENDING_CLAIM_TIMEOUT_MS) } }]
+    },
+    data: { status: 'queued' }
+  });
+  if (result.count > 0) {
+    logger.warn({ campaignId, ownerId, released: result.count }, 'Released stale sending claims');
+  }
+  return result.count;
+}
+
+/**
+ * Remove the campaign's bulk SMS jobs that have not started yet.
+ * Jobs that are already active are not touched - the worker re-checks the
+ * campaign status before sending, so they stop on their own.
+ *
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<number>} Number of jobs removed
+ */
+async function removePendingCampaignJobs(campaignId) {
+  const smsQueue = require('../queues/sms.queue');
+  if (!smsQueue) {
+    return 0;
+  }
+
+  const jobs = await smsQueue.getJobs(['waiting', 'delayed', 'prioritized', 'paused']);
+  let removed = 0;
+
+  for (const job of jobs) {
+    if (!job || job.name !== 'sendBulkSMS' || job.data?.campaignId !== campaignId) {
+      continue;
+    }
+    try {
+      await job.remove();
+      removed++;
+    } catch (err) {
+      // Job may have been picked up by the worker in the meantime
+      logger.warn({ campaignId, jobId: job.id, err: err.message }, 'Failed to remove pending campaign job');
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Pause a sending campaign.
+ * Remaining messages stay 'queued' (no credits are debited for them) and
+ * pending jobs are removed from the SMS queue.
+ *
+ * @param {number} campaignId - Campaign ID
+ * @param {number} ownerId - Owner ID (for scoping)
+ * @returns {Promise<Object>} { ok, reason?, queued, removedJobs }
+ */
+async function pauseCampaign(campaignId, ownerId) {
+  const camp = await prisma.campaign.findFirst({
+    where: { id: campaignId, ownerId },
+    select: { id: true, status: true }
+  });
+  if (!camp) {
+    return { ok: false, reason: 'not_found' };
+  }
+
+  // Atomic status transition (only a sending campaign can be paused)
+  const upd = await prisma.campaign.updateMany({
+    where: { id: campaignId, ownerId, status: 'sending' },
+    data: { status: 'paused', pauseReason: null }
+  });
+  if (upd.count === 0) {
+    return { ok: false, reason: `invalid_status:${camp.status}` };
+  }
+
+  const removedJobs = await removePendingCampaignJobs(campaignId);
+
+  const queued = await prisma.campaignMessage.count({
+    where: { ownerId, campaignId, status: 'queued' }
+  });
+
+  logger.info({ campaignId, ownerId, queued, removedJobs }, 'Campaign paused');
+
+  return { ok: true, queued, removedJobs };
+}
+
+/**
+ * Resume a paused campaign.
+ * Re-enqueues only the messages that are still queued and have no
+ * providerMessageId, so contacts that already received it are not sent a duplicate.
+ * Messages of a batch that was already running when the campaign was paused are
+ * 'sending' (claimed by the worker) and are left to that batch, unless the claim is
+ * stale (the batch never finished) - those are queued again.
+ * A campaign in its A/B test phase gets its winner job again (right away when the
+ * blocked winner send paused it).
+ *
+ * @param {number} campaignId - Campaign ID
+ * @param {number} ownerId - Owner ID (for scoping)
+ * @returns {Promise<Object>} { ok, reason?, created, enqueuedJobs, remaining }
+ */
+async function resumeCampaign(campaignId, ownerId) {
+  const camp = await prisma.campaign.findFirst({
+    where: { id: campaignId, ownerId },
+    select: {
+      id: true,
+      ownerId: true,
+      status: true,
+      sendTimeOptimization: true,
+      throttleMaxMessages: true,
+      throttleWindowMinutes: true,
+      abTestPercent: true,
+      abWaitHours: true,
+      abWinnerPickedAt: true,
+      pauseReason: true,
+      startedAt: true
+    }
+  });
+  if (!camp) {
+    return { ok: false, reason: 'not_found', enqueuedJobs: 0 };
+  }
+
+  if (camp.status !== 'paused') {
+    return { ok: false, reason: `invalid_status:${camp.status}`, enqueuedJobs: 0 };
+  }
+
+  await releaseStaleClaims(campaignId, ownerId);
+
+  const remainingAgg = await prisma.campaignMessage.aggregate({
+    where: { ownerId, campaignId, status: 'queued', providerMessageId: null },
+    _count: { _all: true },
+    _sum: { segments: true }
+  });
+  const remaining = remainingAgg._count._all;
+  const requiredCredits = remainingAgg._sum.segments || 0;
+
+  if (remaining > 0) {
+    // Same checks as the initial enqueue, for the messages that are left
+    const { isSubscriptionActive } = require('./subscription.service');
+    const subscriptionActive = await isSubscriptionActive(ownerId);
+    if (!subscriptionActive) {
+      logger.warn({ campaignId, ownerId }, 'Inactive subscription - campaign resume blocked');
+      return { ok: false, reason: 'inactive_subscription', enqueuedJobs: 0 };
+    }
+
+    const { getBalance } = require('./wallet.service');
+    const currentBalance = await getBalance(ownerId);
+    if (currentBalance < requiredCredits) {
+      logger.warn({ campaignId, ownerId, currentBalance, requiredCredits }, 'Insufficient credits to resume campaign');
+      return { ok: false, reason: 'insufficient_credits', enqueuedJobs: 0 };
+    }
+  }
+
+  const upd = await prisma.campaign.updateMany({
+    where: { id: campaignId, ownerId, status: 'paused' },
+    data: { status: 'sending', pauseReason: null }
+  });
+  if (upd.count === 0) {
+    return { ok: false, reason: 'already_sending', enqueuedJobs: 0 };
+  }
+
+  const { enqueueQueuedMessages } = require('./campaignEnqueue.service');
+  const enqueuedJobs = await enqueueQueuedMessages(camp);
+
+  // Still in the A/B test phase: the winner job does not run while paused, so schedule it again -
+  // right away if the winner send was what paused it, otherwise at the end of the waiting window
+  if (camp.abTestPercent && !camp.abWinnerPickedAt) {
+    const waitEndsAt = new Date(camp.startedAt || Date.now()).getTime() + (camp.abWaitHours || 0) * 60 * 60 * 1000;
+    const { scheduleWinnerJob } = require('./campaignWinner.service');
+    await scheduleWinnerJob(camp, camp.pauseReason ? 0 : Math.max(0, waitEndsAt - Date.now()));
+  }
+
+  // Nothing left to send -> let aggregates mark the campaign as completed
+  if (remaining === 0) {
+    const { updateCampaignAggregates } = require('./campaignAggregates.service');
+    await updateCampaignAggregates(campaignId, ownerId);
+  }
+
+  logger.info({ campaignId, ownerId, remaining, enqueuedJobs }, 'Campaign resumed');
+
+  return { ok: true, created: 0, enqueuedJobs, remaining, campaignId };
+}
+
+/**
+ * Refund credits that were debited for messages that never went out.
+ * Credits are normally only debited after a successful send, so this is
+ * usually 0 - but a debit can land for a message whose status update was lost,
+ * and those credits must come back when the message is cancelled.
+ *
+ * @param {number} campaignId - Campaign ID
+ * @param {number} ownerId - Owner ID
+ * @param {number[]} messageIds - IDs of the cancelled messages
+ * @returns {Promise<number>} Credits refunded
+ */
+async function refundUnsentCredits(campaignId, ownerId, messageIds) {
+  if (messageIds.length === 0) {
+    return 0;
+  }
+
+  const txns = await prisma.creditTransaction.findMany({
+    where: {
+      ownerId,
+      campaignId,
+      messageId: { in: messageIds },
+      OR: [{ type: 'debit' }, { type: 'refund' }]
+    },
+    select: { type: true, amount: true }
+  });
+
+  // Net debited amount (ignore anything that was already refunded)
+  const net = txns.reduce((sum, t) => sum + (t.type === 'debit' ? t.amount : -t.amount), 0);
+  if (net <= 0) {
+    return 0;
+  }
+
+  const { refund } = require('./wallet.service');
+  await refund(ownerId, net, {
+    reason: `campaign:cancel:${campaignId}`,
+    campaignId,
+    meta: { cancelledMessages: messageIds.length }
+  });
+
+  return net;
+}
+
+/**
+ * Cancel a campaign that is sending, paused or scheduled.
+ * Pending jobs are removed, unsent messages are marked 'cancelled' and any
+ * credits debited for them are refunded. Messages already sent are kept.
+ *
+ * @param {number} campaignId - Campaign ID
+ * @param {number} ownerId - Owner ID (for scoping)
+ * @returns {Promise<Object>} { ok, reason?, cancelled, refunded, removedJobs }
+ */
+async function cancelCampaign(campaignId, ownerId) {
+  const camp = await prisma.campaign.findFirst({
+    where: { id: campaignId, ownerId },
+    select: { id: true, status: true }
+  });
+  if (!camp) {
+    return { ok: false, reason: 'not_found' };
+  }
+
+  // Atomic status transition (prevents racing with the worker completing the campaign)
+  const upd = await prisma.campaign.updateMany({
+    where: {
+      id: campaignId,
+      ownerId,
+      OR: [{ status: 'sending' }, { status: 'paused' }, { status: 'scheduled' }]
+    },
+    data: { status: 'cancelled', finishedAt: new Date() }
+  });
+  if (upd.count === 0) {
+    return { ok: false, reason: `invalid_status:${camp.status}` };
+  }
+
+  if (camp.status === 'scheduled') {
+    const schedulerQueue = require('../queues/scheduler.queue');
+    if (schedulerQueue) {
+      try {
+        await schedulerQueue.remove(`campaign:schedule:${campaignId}`);
+      } catch (_) {
+        // Ignore errors when removing job (job might not exist)
+      }
+    }
+  }
+
+  const removedJobs = await removePendingCampaignJobs(campaignId);
+
+  // Leftover messages that were never handed to the provider, including claims of a batch
+  // that never finished (a batch that is still running overwrites them with its result)
+  const unsent = await prisma.campaignMessage.findMany({
+    where: { ownerId, campaignId, status: { in: ['queued', 'sending'] }, providerMessageId: null },
+    select: { id: true }
+  });
+  const messageIds = unsent.map(m => m.id);
+
+  if (messageIds.length > 0) {
+    await prisma.campaignMessage.updateMany({
+      where: { id: { in: messageIds }, status: { in: ['queued', 'sending'] }, providerMessageId: null },
+      data: { status: 'cancelled' }
+    });
+  }
+
+  const refunded = await refundUnsentCredits(campaignId, ownerId, messageIds);
+
+  const { updateCampaignAggregates } = require('./campaignAggregates.service');
+  await updateCampaignAggregates(campaignId, ownerId);
+
+  logger.info({ campaignId, ownerId, cancelled: messageIds.length, refunded, removedJobs }, 'Campaign cancelled');
+
+  return { ok: true, cancelled: messageIds.length, refunded, removedJobs };
+}
+
+module.exports = {
+  SENDING_CLAIM_TIMEOUT_MS,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  removePendingCampaignJobs,
+  releaseStaleClaims
+};
@@ -0,0 +1,106 @@
+// apps/api/src/services/campaignDuplicate.service.js
+// Campaign cloning: copy a campaign's message, audience and delivery settings into a new draft
+
+const prisma = require('../lib/prisma');
+const pino = require('pino');
+
+const logger = pino({ name: 'campaign-duplicate-service' });
+
+/**
+ * Copy a campaign into a new draft.
+ * Copies the message (template, messageText, A/B variants), the audience
+ * (filterGender, filterAgeGroup, filterAttributes, filterTags, segmentId, listId, exclusions) and the delivery preferences
+ * (send-time optimization, send rate). Messages, counters, stats and the
+ * schedule itself are not copied - the draft is scheduled like any new campaign.
+ *
+ * @param {number} campaignId - Source campaign ID
+ * @param {number} ownerId - Owner ID (scope)
+ * @param {Object} [options] - { name? } (defaults to "<name> (copy)")
+ * @returns {Promise<Object>} { ok: true, campaign } or { ok: false, reason }
+ */
+async function duplicateCampaign(campaignId, ownerId, options = {}) {
+  const source = await prisma.campaign.findFirst({
+    where: { id: campaignId, ownerId },
+    include: { variants: { orderBy: { label: 'asc' } } }
+  });
+  if (!source) {
+    return { ok: false, reason: 'not_found' };
+  }
+
+  const total = await countCampaignAudience(source);
+
+  const campaign = await prisma.$transaction(async (tx) => {
+    const created = await tx.campaign.create({
+      data: {
+        ownerId,
+        createdById: ownerId,
+        name: (options.name || `${source.name} (copy)`).slice(0, 200),
+        templateId: source.templateId,
+        messageText: source.messageText,
+        listId: source.listId,
+        filterGender: source.filterGender,
+        filterAgeGroup: source.filterAgeGroup,
+        filterAttributes: source.filterAttributes ?? undefined,
+        filterTags: source.filterTags,
+        segmentId: source.segmentId,
+        excludeListIds: source.excludeListIds,
+        excludeSegmentIds: source.excludeSegmentIds,
+        abTestPercent: source.abTestPercent,
+        abWaitHours: source.abWaitHours,
+        abWinnerMetric: source.abWinnerMetric,
+        sendTimeOptimization: source.sendTimeOptimization,
+        throttleMaxMessages: source.throttleMaxMessages,
+        throttleWindowMinutes: source.throttleWindowMinutes,
+        transliterateGreek: source.transliterateGreek,
+        status: 'draft',
+        total
+      }
+    });
+
+    if (source.variants.length) {
+      await tx.campaignVariant.createMany({
+        data: source.variants.map(v => ({
+          campaignId: created.id,
+          label: v.label,
+          templateId: v.templateId,
+          messageText: v.messageText,
+          splitPercent: v.splitPercent
+        }))
+      });
+    }
+
+    return tx.campaign.findUnique({
+      where: { id: created.id },
+      include: { template: true, list: true, variants: { orderBy: { label: 'asc' } } }
+    });
+  });
+
+  logger.info({ campaignId: source.id, ownerId, newCampaignId: campaign.id }, 'Campaign duplicated');
+
+  return { ok: true, campaign };
+}
+
+/**
+ * Current audience size for the copied targeting (same rules as enqueueCampaign).
+ */
+async function countCampaignAudience(camp) {
+  if (camp.segmentId) {
+    const segment = await prisma.segment.findFirst({ where: { id: camp.segmentId, ownerId: camp.ownerId } });
+    const { countSegmentAudience } = require('./segment.service');
+    return segment ? countSegmentAudience(camp.ownerId, segment.rules) : 0;
+  }
+
+  if (camp.filterGender !== null || camp.filterAgeGroup !== null || camp.filterAttributes || (camp.filterTags && camp.filterTags.length) || camp.listId === null) {
+    const { countAudience } = require('./audience.service');
+    const { mapAgeGroupToApi } = require('../lib/routeHelpers');
+    return countAudience(camp.ownerId, camp.filterGender, mapAgeGroupToApi(camp.filterAgeGroup), null, camp.filterAttributes || null, camp.filterTags || null);
+  }
+
+  return prisma.listMembership.count({
+    where: { listId: camp.listId, contact: { isSubscribed: true } }
+  });
+}
+
+module.exports = {
+  duplicateCampaign
+};
@@ -1,6 +1,8 @@
 // apps/api/src/services/campaignEnqueue.service.js
 const prisma = require('../lib/prisma');
-const { render } = require('../lib/template');
+const { render, OFFER_LINK_PLACEHOLDER } = require('../lib/template');
+const { countSegments, creditsForText } = require('../lib/smsSegments');
+const { transliterateGreekToGsm } = require('../lib/transliterate');
 const { generateUnsubscribeToken } = require('./token.service');
 const { shortenUrl, shortenUrlsInText } = require('./urlShortener.service');
 const crypto = require('node:crypto');
@@ -33,43 +35,367 @@ function newTrackingId() {
   return crypto.randomBytes(9).toString('base64url');
 }
 
-exports.enqueueCampaign = async (campaignId) => {
-  // 0) Fetch campaign and build audience OUTSIDE transaction (heavy work)
-  const camp = await prisma.campaign.findUnique({
-    where: { id: campaignId },
-    include: { template: true }
+/**
+ * Owner data used by store and date tokens ({{company}}, {{today}}, age, ...).
+ * Load once per campaign and pass it to renderMessageText / buildMessageData.
+ *
+ * @param {number} ownerId - Owner ID
+ * @returns {Promise<Object>} { company, timezone }
+ */
+async function loadTemplateContext(ownerId) {
+  const owner = await prisma.user.findUnique({
+    where: { id: ownerId },
+    select: { company: true, timezone: true }
   });
-  if (!camp) {return { ok: false, reason: 'not_found', enqueuedJobs: 0 };}
+  return { company: owner?.company || null, timezone: owner?.timezone || 'UTC' };
+}
 
-  if (!['draft', 'scheduled', 'paused'].includes(camp.status)) {
-    return { ok: false, reason: `invalid_status:${camp.status}`, enqueuedJobs: 0 };
+/**
+ * Add the offer and unsubscribe links to a personalized message.
+ * The offer link is only appended when the text does not place it with {{offer_link}}.
+ */
+function appendLinks(messageText, offerUrl, unsubscribeUrl) {
+  let result = messageText;
+  if (result.includes(OFFER_LINK_PLACEHOLDER)) {
+    result = result.split(OFFER_LINK_PLACEHOLDER).join(offerUrl);
+  } else {
+    result += `\n\nView offer: ${offerUrl}`;
+  }
+  result += `\n\nTo unsubscribe, tap: ${unsubscribeUrl}`;
+  return result;
+}
+
+/**
+ * Load the recipients of a campaign: a saved segment, system-defined
+ * segmentation, or the legacy list when no filters are set.
+ *
+ * @param {Object} camp - Campaign
+ * @returns {Promise<Array|null>} Contacts, or null if the campaign has neither filters nor a list
+ */
+async function loadCampaignAudience(camp) {
+  if (camp.segmentId) {
+    const segment = await prisma.segment.findFirst({ where: { id: camp.segmentId, ownerId: camp.ownerId } });
+    if (!segment) {
+      return [];
+    }
+    const { getSegmentAudience } = require('./segment.service');
+    return getSegmentAudience(camp.ownerId, segment.rules);
   }
 
-  // Build audience OUTSIDE transaction (this can be slow with many contacts)
-  let contacts = [];
-  
   // Use new system-defined segmentation (allows both filters to be null = all eligible contacts)
-  if (camp.filterGender !== null || camp.filterAgeGroup !== null || camp.listId === null) {
+  if (camp.filterGender !== null || camp.filterAgeGroup !== null || camp.filterAttributes || (camp.filterTags && camp.filterTags.length) || camp.listId === null) {
     const { buildAudience } = require('./audience.service');
     
     // Map Prisma enum back to normalized format
     const { mapAgeGroupToApi } = require('../lib/routeHelpers');
     const ageGroup = mapAgeGroupToApi(camp.filterAgeGroup);
     
-    contacts = await buildAudience(
+    return buildAudience(
       camp.ownerId,
       camp.filterGender,
       ageGroup,
-      null // No name search when enqueuing
+      null, // No name search when enqueuing
+      camp.filterAttributes || null,
+      camp.filterTags || null
     );
-  } else if (camp.listId) {
+  }
+
+  if (camp.listId) {
     // Legacy: use list memberships (only if filters are not set and listId exists)
     const members = await prisma.listMembership.findMany({
       where: { listId: camp.listId, contact: { isSubscribed: true } },
       include: { contact: true }
     });
-    contacts = members.map(m => m.contact);
+    return members.map(m => m.contact);
+  }
+
+  return null;
+}
+
+/**
+ * Render the final SMS text for one recipient: personalize the template and
+ * add the (shortened) offer and unsubscribe links.
+ *
+ * @param {Object} camp - Campaign ({ id, ownerId, transliterateGreek? })
+ * @param {Object} contact - Contact used for personalization
+ * @param {string} text - Message template text
+ * @param {Object} [options] - { unsubscribeContactId (defaults to contact.id), context (see loadTemplateContext) }
+ * @returns {Promise<Object>} { text, trackingId }
+ */
+async function renderMessageText(camp, contact, text, options = {}) {
+  const ownerId = camp.ownerId;
+  const unsubscribeContactId = options.unsubscribeContactId !== undefined ? options.unsubscribeContactId : contact.id;
+  const context = options.context || await loadTemplateContext(ownerId);
+
+  // Render message template
+  let messageText = render(text, contact, { ...context, offerLink: OFFER_LINK_PLACEHOLDER });
+  
+  // Shorten any URLs in the message text first
+  messageText = await shortenUrlsInText(messageText);
+
+  // Opt-in: Greek -> GSM-7 so the message is not sent as UCS-2
+  if (camp.transliterateGreek) {
+    messageText = transliterateGreekToGsm(messageText);
+  }
+  
+  // Generate tracking ID for offer link
+  const trackingId = newTrackingId();
+  const offerUrl = `${OFFER_BASE_URL}/o/${trackingId}`;
+  const shortenedOfferUrl = await shortenUrl(offerUrl);
+  
+  // Generate unsubscribe token
+  const unsubscribeToken = generateUnsubscribeToken(unsubscribeContactId, ownerId, camp.id);
+  const unsubscribeUrl = `${UNSUBSCRIBE_BASE_URL}/unsubscribe/${unsubscribeToken}`;
+  const shortenedUnsubscribeUrl = await shortenUrl(unsubscribeUrl);
+  
+  // Add offer link and unsubscribe link to message (with shortened URLs)
+  // Format: [Personalized message]\n\nView offer: {url}\n\nTo unsubscribe, tap: {unsubscribeUrl}
+  // ({{offer_link}} in the message places the offer link inline instead)
+  messageText = appendLinks(messageText, shortenedOfferUrl, shortenedUnsubscribeUrl);
+  
+  return { text: messageText, trackingId };
+}
+
+/**
+ * Build a CampaignMessage row for one recipient (see renderMessageText).
+ *
+ * @param {Object} camp - Campaign ({ id, ownerId })
+ * @param {Object} contact - Recipient contact
+ * @param {string} text - Message template text
+ * @param {number|null} variantId - A/B variant (null when not split testing)
+ * @param {Object} [context] - Template context (see loadTemplateContext)
+ * @returns {Promise<Object>} Data for prisma.campaignMessage.createMany
+ */
+async function buildMessageData(camp, contact, text, variantId, context) {
+  const rendered = await renderMessageText(camp, contact, text, { context });
+  
+  return {
+    ownerId: camp.ownerId,
+    campaignId: camp.id,
+    contactId: contact.id,
+    variantId,
+    to: contact.phone,
+    text: rendered.text,
+    segments: creditsForText(rendered.text),
+    trackingId: rendered.trackingId,
+    status: 'queued'
+  };
+}
+
+/**
+ * Estimate the SMS segments (= credits) a campaign needs for an audience,
+ * before any message is created. Texts are personalized per contact; the
+ * offer and unsubscribe links have the same length for every recipient, so
+ * they are shortened once.
+ *
+ * @param {Object} camp - Campaign ({ id, ownerId, messageText, template, transliterateGreek? }) - id may be null for a draft preview
+ * @param {Array} contacts - Audience
+ * @param {Array} [variants] - A/B variants (with template)
+ * @param {number} [sampleSize] - Per-message details for the first N contacts
+ * @returns {Promise<Object>} { recipients, totalSegments, maxSegments, ucs2Messages, samples }
+ */
+async function estimateCampaignSegments(camp, contacts, variants = [], sampleSize = 10) {
+  const { assignVariant } = require('./campaignVariant.service');
+  const context = await loadTemplateContext(camp.ownerId);
+  const offerUrl = await shortenUrl(`${OFFER_BASE_URL}/o/${newTrackingId()}`);
+  const unsubscribeUrl = await shortenUrl(`${UNSUBSCRIBE_BASE_URL}/unsubscribe/${generateUnsubscribeToken(0, camp.ownerId, camp.id)}`);
+  const baseText = camp.messageText || camp.template?.text || '';
+
+  // URLs in the message body are shortened once per distinct text
+  const shortened = new Map();
+  const shortenOnce = async (text) => {
+    if (!shortened.has(text)) {
+      shortened.set(text, await shortenUrlsInText(text));
+    }
+    return shortened.get(text);
+  };
+
+  let totalSegments = 0;
+  let maxSegments = 0;
+  let ucs2Messages = 0;
+  const samples = [];
+  for (const contact of contacts) {
+    const variant = assignVariant(variants, camp.id, contact.id);
+    const text = variant ? (variant.messageText || variant.template?.text || baseText) : baseText;
+    let body = render(await shortenOnce(text), contact, { ...context, offerLink: OFFER_LINK_PLACEHOLDER });
+    if (camp.transliterateGreek) {
+      body = transliterateGreekToGsm(body);
+    }
+    const finalText = appendLinks(body, offerUrl, unsubscribeUrl);
+    const info = countSegments(finalText);
+    const segments = Math.max(1, info.segments);
+
+    totalSegments += segments;
+    maxSegments = Math.max(maxSegments, segments);
+    if (info.encoding === 'UCS-2') {
+      ucs2Messages++;
+    }
+    if (samples.length < sampleSize) {
+      samples.push({ contactId: contact.id, encoding: info.encoding, length: info.length, segments });
+    }
+  }
+
+  return { recipients: contacts.length, totalSegments, maxSegments, ucs2Messages, samples };
+}
+
+/**
+ * Split messages into groups that share a job delay.
+ * Without send-time optimization everything goes out now; with it, each
+ * recipient waits (up to 24h) for the hour they usually engage, and contacts
+ * without engagement history go out now.
+ *
+ * @param {Object} camp - Campaign ({ id, ownerId, sendTimeOptimization })
+ * @param {Array} messages - [{ id, contactId }]
+ * @returns {Promise<Array>} [{ delay, messages }]
+ */
+async function groupBySendDelay(camp, messages) {
+  if (!camp.sendTimeOptimization) {
+    return [{ delay: 0, messages }];
+  }
+
+  const owner = await prisma.user.findUnique({
+    where: { id: camp.ownerId },
+    select: { timezone: true }
+  });
+  const timezone = owner?.timezone || 'UTC';
+
+  const { getPreferredHours, delayUntilHour } = require('./sendTime.service');
+  const preferredHours = await getPreferredHours(camp.ownerId, [...new Set(messages.map(m => m.contactId))], timezone);
+
+  const now = new Date();
+  const groups = new Map();
+  for (const message of messages) {
+    const hour = preferredHours.get(message.contactId);
+    const delay = hour === undefined ? 0 : delayUntilHour(hour, timezone, now);
+    if (!groups.has(delay)) {
+      groups.set(delay, []);
+    }
+    groups.get(delay).push(message);
+  }
+
+  logger.info({ campaignId: camp.id, withHistory: preferredHours.size, sendGroups: groups.size }, 'Send-time optimization applied');
+
+  return [...groups.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([delay, groupMessages]) => ({ delay, messages: groupMessages }));
+}
+
+/**
+ * Enqueue bulk SMS jobs for every queued, unsent message of a campaign.
+ * Used by the initial enqueue and when a paused campaign is resumed
+ * (only messages without a providerMessageId are picked up, so nothing is sent twice).
+ *
+ * @param {Object} camp - Campaign ({ id, ownerId, sendTimeOptimization?, throttleMaxMessages?, throttleWindowMinutes? })
+ * @param {Object} [filter] - Extra CampaignMessage conditions (e.g. only a second wave)
+ * @returns {Promise<number>} Number of messages enqueued
+ */
+async function enqueueQueuedMessages(camp, filter = {}) {
+  const smsQueue = require('../queues/sms.queue');
+  const toEnqueue = await prisma.campaignMessage.findMany({
+    where: { ...filter, ownerId: camp.ownerId, campaignId: camp.id, status: 'queued', providerMessageId: null },
+    select: { id: true, contactId: true }
+  });
+
+  let enqueuedJobs = 0;
+  if (smsQueue && toEnqueue.length > 0) {
+    // Campaigns always use bulk SMS with fixed batch size
+    // Mitto's bulk API can handle 1M+ messages, so we use a simple fixed batch size
+    // This protects our infrastructure while keeping logic simple and predictable
+    // Throttled campaigns send at most one rate window's worth per batch
+    const { getThrottle, spreadBatches } = require('./campaignThrottle.service');
+    const throttle = getThrottle(camp);
+    const BATCH_SIZE = Math.min(Number(process.env.SMS_BATCH_SIZE || 5000), throttle ? throttle.maxMessages : Infinity);
+
+    // Group messages into fixed-size batches (per send-time group when optimizing)
+    const grouped = [];
+    for (const group of await groupBySendDelay(camp, toEnqueue)) {
+      for (let i = 0; i < group.messages.length; i += BATCH_SIZE) {
+        grouped.push({ messageIds: group.messages.slice(i, i + BATCH_SIZE).map(m => m.id), delay: group.delay });
+      }
+    }
+    const batches = spreadBatches(camp, grouped);
+
+    logger.info({ 
+      campaignId: camp.id, 
+      ownerId: camp.ownerId,
+      totalMessages: toEnqueue.length,
+      batchCount: batches.length,
+      batchSize: BATCH_SIZE,
+      sendTimeOptimization: !!camp.sendTimeOptimization,
+      throttle: throttle ? { maxMessages: throttle.maxMessages, windowMs: throttle.windowMs } : null,
+      lastBatchDelayMs: batches.length ? batches[batches.length - 1].delay : 0
+    }, 'Enqueuing bulk SMS batch jobs');
+
+    // Enqueue batch jobs
+    const enqueuePromises = batches.map(({ messageIds, delay }, batchIndex) => 
+      smsQueue.add('sendBulkSMS', {
+        campaignId: camp.id,
+        ownerId: camp.ownerId,
+        messageIds
+      }, { 
+        jobId: `batch:${camp.id}:${Date.now()}:${batchIndex}`,
+        delay,
+        attempts: 5,
+        backoff: { type: 'exponential', delay: 3000 }
+      })
+        .then(() => { 
+          enqueuedJobs += messageIds.length; 
+          logger.debug({ campaignId: camp.id, batchIndex, messageCount: messageIds.length }, 'Batch job enqueued');
+        })
+        .catch(err => {
+          logger.error({ campaignId: camp.id, batchIndex, err: err.message }, 'Failed to enqueue batch job');
+          // Continue even if some batches fail to enqueue
+        })
+    );
+    
+    // Wait for initial batches (first 10) to ensure some jobs are enqueued
+    try {
+      await Promise.all(enqueuePromises.slice(0, Math.min(10, enqueuePromises.length)));
+    } catch (err) {
+      logger.error({ campaignId: camp.id, err: err.message }, 'Some batch jobs failed to enqueue initially');
+    }
+    
+    // Continue enqueuing remaining batches in background (fire and forget)
+    if (enqueuePromises.length > 10) {
+      Promise.all(enqueuePromises.slice(10)).catch(err => {
+        logger.error({ campaignId: camp.id, err: err.message }, 'Some background batch jobs failed to enqueue');
+      });
+    }
   } else {
+    logger.warn('SMS queue not available — messages created but not enqueued');
+  }
+
+  return enqueuedJobs;
+}
+
+exports.enqueueCampaign = async (campaignId) => {
+  // 0) Fetch campaign and build audience OUTSIDE transaction (heavy work)
+  const camp = await prisma.campaign.findUnique({
+    where: { id: campaignId },
+    include: { template: true }
+  });
+  if (!camp) {return { ok: false, reason: 'not_found', enqueuedJobs: 0 };}
+
+  if (!['draft', 'scheduled', 'paused'].includes(camp.status)) {
+    return { ok: false, reason: `invalid_status:${camp.status}`, enqueuedJobs: 0 };
+  }
+
+  // Recurring campaigns are never sent themselves - each occurrence creates a child run
+  if (camp.recurrenceFrequency) {
+    return { ok: false, reason: 'recurring_campaign', enqueuedJobs: 0 };
+  }
+
+  // A paused campaign already has its messages - resume it instead of rebuilding the audience
+  // (rebuilding would create a second set of messages and send duplicates)
+  if (camp.status === 'paused') {
+    const { resumeCampaign } = require('./campaignControl.service');
+    return resumeCampaign(camp.id, camp.ownerId);
+  }
+
+  // Build audience OUTSIDE transaction (this can be slow with many contacts)
+  let contacts = await loadCampaignAudience(camp);
+  
+  if (contacts === null) {
     // No filters and no list - invalid campaign
     await prisma.campaign.updateMany({
       where: { id: camp.id, ownerId: camp.ownerId },
@@ -78,15 +404,41 @@ exports.enqueueCampaign = async (campaignId) => {
     return { ok: false, reason: 'no_filters_or_list', enqueuedJobs: 0 };
   }
 
+  // Suppressed numbers and excluded lists/segments never receive the campaign
+  const { applyCampaignExclusions } = require('./suppression.service');
+  const exclusions = await applyCampaignExclusions(camp, contacts);
+  contacts = exclusions.contacts;
+
+  // Frequency cap: contacts that already got enough messages recently are skipped
+  const { applyFrequencyCap } = require('./frequencyCap.service');
+  const frequencyCap = await applyFrequencyCap(camp.ownerId, contacts);
+  contacts = frequencyCap.contacts;
+
+  const skipped = { ...exclusions.skipped, frequencyCap: frequencyCap.capped };
+  if (skipped.suppressed || skipped.excluded || skipped.frequencyCap) {
+    logger.info({ campaignId: camp.id, ownerId: camp.ownerId, skipped }, 'Recipients skipped by suppression list, exclusions and frequency cap');
+  }
+
   if (!contacts.length) {
     logger.warn({ campaignId: camp.id, ownerId: camp.ownerId }, 'No eligible recipients found');
     await prisma.campaign.updateMany({
       where: { id: camp.id, ownerId: camp.ownerId },
-      data: { status: 'failed', finishedAt: new Date(), total: 0 }
+      data: { status: 'failed', finishedAt: new Date(), total: 0, skipped }
     });
     return { ok: false, reason: 'no_recipients', enqueuedJobs: 0 };
   }
 
+  // A/B split test: load variants; with a test slice only that cohort is sent now,
+  // the rest of the audience gets the winning variant later (see campaignWinner.service)
+  const { listVariants, assignVariant, selectTestCohort } = require('./campaignVariant.service');
+  const variants = await listVariants(camp.id);
+  const abTest = variants.length > 0 && !!camp.abTestPercent;
+  if (abTest) {
+    const audienceSize = contacts.length;
+    contacts = selectTestCohort(contacts, camp.id, camp.abTestPercent);
+    logger.info({ campaignId: camp.id, audienceSize, testCohort: contacts.length, abTestPercent: camp.abTestPercent }, 'A/B test cohort selected');
+  }
+
   logger.info({ campaignId: camp.id, ownerId: camp.ownerId, recipientCount: contacts.length }, 'Audience built, checking subscription and credits');
 
   // 1) Check subscription status BEFORE starting any transaction
@@ -98,6 +450,7 @@ exports.enqueueCampaign = async (campaignId) => {
   }
 
   // 2) Check credits BEFORE starting any transaction
+  // (at least one per recipient - the exact per-segment cost is checked once messages are rendered)
   const { getBalance } = require('./wallet.service');
   const currentBalance = await getBalance(camp.ownerId);
   const requiredCredits = contacts.length;
@@ -157,8 +510,8 @@ exports.enqueueCampaign = async (campaignId) => {
   const ownerId = camp.ownerId;
   // Use custom messageText if provided, otherwise use template text
   const messageTemplate = camp.messageText || camp.template?.text;
-  
-  if (!messageTemplate || !messageTemplate.trim()) {
+
+  if (!variants.length && (!messageTemplate || !messageTemplate.trim())) {
     logger.error({ campaignId: camp.id }, 'Campaign has no message text');
     await prisma.campaign.updateMany({
       where: { id: camp.id, ownerId },
@@ -170,39 +523,26 @@ exports.enqueueCampaign = async (campaignId) => {
   logger.debug({ campaignId: camp.id, contactCount: contacts.length }, 'Generating messages with tracking IDs and links');
 
   // Generate messages with offer and unsubscribe links appended
+  // (A/B split test: each recipient gets the text of its assigned variant)
+  const templateContext = await loadTemplateContext(ownerId);
   const messagesData = await Promise.all(contacts.map(async (contact) => {
-    // Render message template
-    let messageText = render(messageTemplate, contact);
-    
-    // Shorten any URLs in the message text first
-    messageText = await shortenUrlsInText(messageText);
-    
-    // Generate tracking ID for offer link
-    const trackingId = newTrackingId();
-    const offerUrl = `${OFFER_BASE_URL}/o/${trackingId}`;
-    const shortenedOfferUrl = await shortenUrl(offerUrl);
-    
-    // Generate unsubscribe token
-    const unsubscribeToken = generateUnsubscribeToken(contact.id, ownerId, camp.id);
-    const unsubscribeUrl = `${UNSUBSCRIBE_BASE_URL}/unsubscribe/${unsubscribeToken}`;
-    const shortenedUnsubscribeUrl = await shortenUrl(unsubscribeUrl);
-    
-    // Append offer link and unsubscribe link to message (with shortened URLs)
-    // Format: [Personalized message]\n\nView offer: {url}\n\nTo unsubscribe, tap: {unsubscribeUrl}
-    messageText += `\n\nView offer: ${shortenedOfferUrl}`;
-    messageText += `\n\nTo unsubscribe, tap: ${shortenedUnsubscribeUrl}`;
-    
-    return {
-      ownerId,
-      campaignId: camp.id,
-      contactId: contact.id,
-      to: contact.phone,
-      text: messageText,
-      trackingId,
-      status: 'queued'
-    };
+    const variant = assignVariant(variants, camp.id, contact.id);
+    const text = variant ? (variant.messageText || variant.template?.text || messageTemplate) : messageTemplate;
+    return buildMessageData(camp, contact, text, variant ? variant.id : null, templateContext);
   }));
 
+  // Credits are charged per SMS segment: long or UCS-2 (e.g. Greek) texts cost more than one
+  const requiredSegments = messagesData.reduce((sum, m) => sum + m.segments, 0);
+  const balanceNow = await getBalance(ownerId);
+  if (balanceNow < requiredSegments) {
+    logger.warn({ campaignId: camp.id, ownerId, currentBalance: balanceNow, requiredCredits: requiredSegments }, 'Insufficient credits for message segments');
+    await prisma.campaign.updateMany({
+      where: { id: camp.id, ownerId, status: 'sending' },
+      data: { status: camp.status, startedAt: null }
+    });
+    return { ok: false, reason: 'insufficient_credits', enqueuedJobs: 0 };
+  }
+
   try {
     // For large campaigns (>10k messages), batch the createMany operation
     const BATCH_SIZE = 10000;
@@ -217,7 +557,8 @@ exports.enqueueCampaign = async (campaignId) => {
         data: { 
           total: contacts.length,
           sent: 0,
-          failed: 0
+          failed: 0,
+          skipped
         }
       });
 
@@ -238,7 +579,8 @@ exports.enqueueCampaign = async (campaignId) => {
           data: { 
             total: contacts.length,
             sent: 0,
-            failed: 0
+            failed: 0,
+            skipped
           }
         }),
         prisma.campaignMessage.createMany({
@@ -270,69 +612,12 @@ exports.enqueueCampaign = async (campaignId) => {
   }
 
   // 5) Enqueue jobs to Redis (OUTSIDE transaction, non-blocking)
-  const smsQueue = require('../queues/sms.queue');
-  const toEnqueue = await prisma.campaignMessage.findMany({
-    where: { ownerId, campaignId: camp.id, status: 'queued', providerMessageId: null },
-    select: { id: true }
-  });
+  const enqueuedJobs = await enqueueQueuedMessages(camp);
 
-  let enqueuedJobs = 0;
-  if (smsQueue && toEnqueue.length > 0) {
-    // Campaigns always use bulk SMS with fixed batch size
-    // Mitto's bulk API can handle 1M+ messages, so we use a simple fixed batch size
-    // This protects our infrastructure while keeping logic simple and predictable
-    const BATCH_SIZE = Number(process.env.SMS_BATCH_SIZE || 5000);
-    
-    // Group messages into fixed-size batches
-    const batches = [];
-    for (let i = 0; i < toEnqueue.length; i += BATCH_SIZE) {
-      batches.push(toEnqueue.slice(i, i + BATCH_SIZE).map(m => m.id));
-    }
-
-    logger.info({ 
-      campaignId: camp.id, 
-      ownerId: camp.ownerId,
-      totalMessages: toEnqueue.length,
-      batchCount: batches.length,
-      batchSize: BATCH_SIZE
-    }, 'Enqueuing bulk SMS batch jobs');
-
-    // Enqueue batch jobs
-    const enqueuePromises = batches.map((messageIds, batchIndex) => 
-      smsQueue.add('sendBulkSMS', {
-        campaignId: camp.id,
-        ownerId: camp.ownerId,
-        messageIds
-      }, { 
-        jobId: `batch:${camp.id}:${Date.now()}:${batchIndex}`,
-        attempts: 5,
-        backoff: { type: 'exponential', delay: 3000 }
-      })
-        .then(() => { 
-          enqueuedJobs += messageIds.length; 
-          logger.debug({ campaignId: camp.id, batchIndex, messageCount: messageIds.length }, 'Batch job enqueued');
-        })
-        .catch(err => {
-          logger.error({ campaignId: camp.id, batchIndex, err: err.message }, 'Failed to enqueue batch job');
-          // Continue even if some batches fail to enqueue
-        })
-    );
-    
-    // Wait for initial batches (first 10) to ensure some jobs are enqueued
-    try {
-      await Promise.all(enqueuePromises.slice(0, Math.min(10, enqueuePromises.length)));
-    } catch (err) {
-      logger.error({ campaignId: camp.id, err: err.message }, 'Some batch jobs failed to enqueue initially');
-    }
-    
-    // Continue enqueuing remaining batches in background (fire and forget)
-    if (enqueuePromises.length > 10) {
-      Promise.all(enqueuePromises.slice(10)).catch(err => {
-        logger.error({ campaignId: camp.id, err: err.message }, 'Some background batch jobs failed to enqueue');
-      });
-    }
-  } else {
-    logger.warn('SMS queue not available — messages created but not enqueued');
+  // 6) A/B test cohort: schedule picking the winner after the waiting window
+  if (abTest) {
+    const { scheduleWinnerJob } = require('./campaignWinner.service');
+    await scheduleWinnerJob(camp);
   }
 
     logger.info({ 
@@ -344,3 +629,10 @@ exports.enqueueCampaign = async (campaignId) => {
 
     return { ok: true, created: messagesData.length, enqueuedJobs, campaignId: camp.id };
 };
+
+exports.enqueueQueuedMessages = enqueueQueuedMessages;
+exports.loadCampaignAudience = loadCampaignAudience;
+exports.buildMessageData = buildMessageData;
+exports.renderMessageText = renderMessageText;
+exports.loadTemplateContext = loadTemplateContext;
+exports.estimateCampaignSegments = estimateCampaignSegments;
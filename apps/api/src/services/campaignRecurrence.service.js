@@ -0,0 +1,299 @@
+// apps/api/src/services/campaignRecurrence.service.js
+// Recurring campaigns: recurrence rules, next-occurrence calculation and child runs
+
+const prisma = require('../lib/prisma');
+const pino = require('pino');
+const { convertLocalToUTC, getLocalParts, formatLocalDate, addDaysToLocalDate } = require('../lib/timezone');
+
+const logger = pino({ name: 'campaign-recurrence-service' });
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+// Look ahead far enough to find the next monthly occurrence on any day of month
+const MAX_LOOKAHEAD_DAYS = 400;
+
+/**
+ * Validate a recurrence rule from the client.
+ *
+ * @param {Object} recurrence - { frequency, weekdays?, dayOfMonth?, endDate? }
+ * @param {string} time - Local time of day "HH:mm"
+ * @returns {Object} { ok: true, data } (Campaign fields) or { ok: false, message }
+ */
+function validateRecurrence(recurrence, time) {
+  const { frequency, weekdays, dayOfMonth, endDate } = recurrence || {};
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return { ok: false, message: `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}.` };
+  }
+
+  if (!time || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+    return { ok: false, message: 'Recurring campaigns need a time of day (HH:mm).' };
+  }
+
+  let normalizedWeekdays = [];
+  if (weekdays !== undefined && weekdays !== null) {
+    if (!Array.isArray(weekdays) || weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { ok: false, message: 'Weekdays must be a list of numbers from 0 (Sunday) to 6 (Saturday).' };
+    }
+    normalizedWeekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+  }
+  if (frequency === 'weekly' && normalizedWeekdays.length === 0) {
+    return { ok: false, message: 'Weekly campaigns need at least one weekday.' };
+  }
+
+  let normalizedDayOfMonth = null;
+  if (frequency === 'monthly') {
+    normalizedDayOfMonth = Number(dayOfMonth);
+    if (!Number.isInteger(normalizedDayOfMonth) || normalizedDayOfMonth < 1 || normalizedDayOfMonth > 31) {
+      return { ok: false, message: 'Monthly campaigns need a day of month between 1 and 31.' };
+    }
+  }
+
+  let normalizedEndDate = null;
+  if (endDate) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(endDate) || isNaN(new Date(`${endDate}T00:00:00Z`).getTime())) {
+      return { ok: false, message: 'End date must be a valid date (YYYY-MM-DD).' };
+    }
+    normalizedEndDate = endDate;
+  }
+
+  return {
+    ok: true,
+    data: {
+      recurrenceFrequency: frequency,
+      recurrenceWeekdays: frequency === 'monthly' ? [] : normalizedWeekdays,
+      recurrenceDayOfMonth: normalizedDayOfMonth,
+      recurrenceTime: time,
+      recurrenceEndDate: normalizedEndDate
+    }
+  };
+}
+
+/**
+ * Whether a local calendar date matches the recurrence rule.
+ */
+function matchesRule(camp, dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+  if (camp.recurrenceFrequency === 'monthly') {
+    // Months without that day (e.g. the 31st) run on their last day
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return day === Math.min(camp.recurrenceDayOfMonth, lastDay);
+  }
+
+  const weekdays = camp.recurrenceWeekdays || [];
+  if (camp.recurrenceFrequency === 'weekly' || weekdays.length > 0) {
+    return weekdays.includes(weekday);
+  }
+
+  return true; // daily, every day
+}
+
+/**
+ * Next occurrence of a recurring campaign strictly after `after`,
+ * in the owner's timezone. Returns null once the end date has passed.
+ *
+ * @param {Object} camp - Campaign with recurrence fields
+ * @param {string} timezone - Owner timezone (IANA)
+ * @param {Date} after - Reference time (UTC)
+ * @returns {Date|null} Next occurrence (UTC)
+ */
+function getNextOccurrence(camp, timezone, after) {
+  if (!camp.recurrenceFrequency || !camp.recurrenceTime) {
+    return null;
+  }
+
+  const tz = timezone || 'UTC';
+  const local = getLocalParts(after, tz);
+  let dateStr = formatLocalDate(local.year, local.month, local.day);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    if (camp.recurrenceEndDate && dateStr > camp.recurrenceEndDate) {
+      return null;
+    }
+    if (matchesRule(camp, dateStr)) {
+      const occurrence = convertLocalToUTC(dateStr, camp.recurrenceTime, tz);
+      if (occurrence && occurrence > after) {
+        return occurrence;
+      }
+    }
+    dateStr = addDaysToLocalDate(dateStr, 1);
+  }
+
+  return null;
+}
+
+/**
+ * Add the delayed scheduler job for the campaign's next occurrence (camp.scheduledAt).
+ *
+ * @param {Object} camp - Campaign ({ id, scheduledAt })
+ * @returns {Promise<void>}
+ */
+async function scheduleRecurringJob(camp) {
+  const schedulerQueue = require('../queues/scheduler.queue');
+  if (!schedulerQueue) {
+    logger.warn({ campaignId: camp.id }, 'Scheduler queue is disabled, cannot schedule recurring campaign');
+    return;
+  }
+
+  const occurrence = new Date(camp.scheduledAt).getTime();
+  const job = await schedulerQueue.add(
+    'runRecurringCampaign',
+    { campaignId: camp.id, occurrence },
+    {
+      jobId: recurringJobId(camp.id, occurrence),
+      delay: Math.max(0, occurrence - Date.now())
+    }
+  );
+
+  logger.info({ campaignId: camp.id, jobId: job.id, scheduledAt: camp.scheduledAt }, 'Recurring campaign occurrence scheduled');
+}
+
+/**
+ * Remove the pending job of the campaign's next occurrence (if any).
+ *
+ * @param {Object} camp - Campaign ({ id, scheduledAt })
+ * @returns {Promise<void>}
+ */
+async function removeRecurringJob(camp) {
+  const schedulerQueue = require('../queues/scheduler.queue');
+  if (!schedulerQueue || !camp.scheduledAt) {
+    return;
+  }
+  try {
+    await schedulerQueue.remove(recurringJobId(camp.id, new Date(camp.scheduledAt).getTime()));
+  } catch (_) {
+    // Ignore errors when removing job (job might not exist)
+  }
+}
+
+function recurringJobId(campaignId, occurrence) {
+  return `campaign:recur:${campaignId}:${occurrence}`;
+}
+
+/**
+ * Create the child run of one occurrence: a copy of the recurring campaign
+ * (message, audience, A/B variants) with its own messages and stats.
+ */
+async function createRun(parent, timezone) {
+  const local = getLocalParts(parent.scheduledAt, timezone);
+  const runDate = formatLocalDate(local.year, local.month, local.day);
+
+  const run = await prisma.campaign.create({
+    data: {
+      ownerId: parent.ownerId,
+      createdById: parent.createdById,
+      parentCampaignId: parent.id,
+      name: `${parent.name} (${runDate})`.slice(0, 200),
+      templateId: parent.templateId,
+      messageText: parent.messageText,
+      listId: parent.listId,
+      filterGender: parent.filterGender,
+      filterAgeGroup: parent.filterAgeGroup,
+      filterAttributes: parent.filterAttributes ?? undefined,
+      filterTags: parent.filterTags,
+      segmentId: parent.segmentId,
+      excludeListIds: parent.excludeListIds,
+      excludeSegmentIds: parent.excludeSegmentIds,
+      abTestPercent: parent.abTestPercent,
+      abWaitHours: parent.abWaitHours,
+      abWinnerMetric: parent.abWinnerMetric,
+      sendTimeOptimization: parent.sendTimeOptimization,
+      throttleMaxMessages: parent.throttleMaxMessages,
+      throttleWindowMinutes: parent.throttleWindowMinutes,
+      transliterateGreek: parent.transliterateGreek,
+      status: 'draft',
+      scheduledAt: parent.scheduledAt
+    }
+  });
+
+  if (parent.variants.length) {
+    await prisma.campaignVariant.createMany({
+      data: parent.variants.map(v => ({
+        campaignId: run.id,
+        label: v.label,
+        templateId: v.templateId,
+        messageText: v.messageText,
+        splitPercent: v.splitPercent
+      }))
+    });
+  }
+
+  return run;
+}
+
+/**
+ * Run one occurrence of a recurring campaign and schedule the next one.
+ *
+ * @param {number} campaignId - Recurring (parent) campaign ID
+ * @param {number} occurrence - Occurrence timestamp (ms) the job was scheduled for
+ * @returns {Promise<Object>} { ok, reason?, runId, nextRunAt }
+ */
+async function runRecurringCampaign(campaignId, occurrence) {
+  const parent = await prisma.campaign.findUnique({
+    where: { id: campaignId },
+    include: { variants: true, owner: { select: { timezone: true } } }
+  });
+  if (!parent) {
+    return { ok: false, reason: 'not_found' };
+  }
+  if (!parent.recurrenceFrequency || parent.status !== 'scheduled' || !parent.scheduledAt) {
+    return { ok: false, reason: `invalid_status:${parent.status}` };
+  }
+  // Stale job (the schedule changed after this job was added)
+  if (occurrence && new Date(parent.scheduledAt).getTime() !== Number(occurrence)) {
+    return { ok: false, reason: 'stale_occurrence' };
+  }
+
+  const timezone = parent.owner?.timezone || 'UTC';
+  const nextRunAt = getNextOccurrence(parent, timezone, parent.scheduledAt);
+
+  // Move the parent to the next occurrence first, so a retried job cannot create a second run
+  const upd = await prisma.campaign.updateMany({
+    where: { id: parent.id, status: 'scheduled', scheduledAt: parent.scheduledAt },
+    data: nextRunAt
+      ? { scheduledAt: nextRunAt }
+      : { status: 'completed', scheduledAt: null, finishedAt: new Date() }
+  });
+  if (upd.count === 0) {
+    return { ok: false, reason: 'stale_occurrence' };
+  }
+
+  // Schedule the next occurrence right away: a retry of this job is stale from here on,
+  // so a failure below must not end the schedule
+  if (nextRunAt) {
+    await scheduleRecurringJob({ id: parent.id, scheduledAt: nextRunAt });
+  } else {
+    logger.info({ campaignId: parent.id }, 'Recurring campaign reached its end date');
+  }
+
+  const run = await createRun(parent, timezone);
+
+  const { enqueueCampaign } = require('./campaignEnqueue.service');
+  let result;
+  try {
+    result = await enqueueCampaign(run.id);
+  } catch (err) {
+    logger.error({ campaignId: parent.id, runId: run.id, err: err.message }, 'Failed to enqueue recurring campaign run');
+    result = { ok: false, reason: err.message };
+  }
+
+  if (!result.ok) {
+    // Keep the run visible as failed (e.g. insufficient credits) - the schedule continues
+    await prisma.campaign.updateMany({
+      where: { id: run.id, status: 'draft' },
+      data: { status: 'failed', finishedAt: new Date() }
+    });
+    logger.warn({ campaignId: parent.id, runId: run.id, reason: result.reason }, 'Recurring campaign run could not be sent');
+  }
+
+  return { ok: true, runId: run.id, runResult: result, nextRunAt };
+}
+
+module.exports = {
+  validateRecurrence,
+  getNextOccurrence,
+  scheduleRecurringJob,
+  removeRecurringJob,
+  runRecurringCampaign
+};
@@ -14,6 +14,69 @@ async function getFirstSentAt(campaignId, ownerId) {
   return first?.sentAt || null;
 }
 
+/**
+ * Per-variant results of an A/B split test.
+ * offerViews counts recipients who opened the offer link (not raw page views),
+ * redemptions come from Redemption and conversions from ConversionEvent (NFC visits).
+ * Returns [] for campaigns without variants.
+ */
+async function getVariantStats(campaignId, ownerId) {
+  const variants = await prisma.campaignVariant.findMany({
+    where: { campaignId, campaign: { ownerId } },
+    orderBy: { label: 'asc' },
+    select: { id: true, label: true, templateId: true, messageText: true, splitPercent: true }
+  });
+  if (!variants.length) {return [];}
+
+  const statusCounts = await prisma.campaignMessage.groupBy({
+    by: ['variantId', 'status'],
+    where: { ownerId, campaignId, variantId: { not: null } },
+    _count: { _all: true }
+  });
+
+  return Promise.all(variants.map(async (v) => {
+    const countFor = (status) => statusCounts
+      .filter(c => c.variantId === v.id && c.status === status)
+      .reduce((sum, c) => sum + c._count._all, 0);
+    const total = statusCounts
+      .filter(c => c.variantId === v.id)
+      .reduce((sum, c) => sum + c._count._all, 0);
+    const sent = countFor('sent');
+    const failed = countFor('failed');
+
+    const [offerViews, redemptions, conversions] = await Promise.all([
+      prisma.campaignMessage.count({
+        where: { ownerId, campaignId, variantId: v.id, offerViewEvents: { some: {} } }
+      }),
+      prisma.redemption.count({
+        where: { ownerId, campaignId, message: { variantId: v.id } }
+      }),
+      prisma.conversionEvent.count({
+        where: { storeId: ownerId, campaignId, campaignMessage: { variantId: v.id } }
+      })
+    ]);
+
+    return {
+      variantId: v.id,
+      label: v.label,
+      templateId: v.templateId,
+      messageText: v.messageText,
+      splitPercent: v.splitPercent,
+      total,
+      sent,
+      failed,
+      offerViews,
+      redemptions,
+      conversions,
+      offerViewRate: rate(offerViews, sent),
+      redemptionRate: rate(redemptions, sent),
+      conversionRate: rate(conversions, sent)
+    };
+  }));
+}
+
+exports.getVariantStats = getVariantStats;
+
 /**
  * Scoped stats for a single campaign that belongs to `ownerId`.
  * Throws { code: 'NOT_FOUND' } if the campaign doesn't belong to owner.
@@ -29,6 +92,7 @@ exports.getCampaignStats = async (campaignId, ownerId) => {
       total: true,
       sent: true,
       failed: true,
+      skipped: true,
       updatedAt: true
     }
   });
@@ -68,16 +132,21 @@ exports.getCampaignStats = async (campaignId, ownerId) => {
     });
   }
 
+  // A/B split test breakdown (empty when the campaign has no variants)
+  const variants = await getVariantStats(campaignId, ownerId);
+
   return {
     total,
     sent,
     failed,
+    skipped: campaign.skipped || { suppressed: 0, excluded: 0, frequencyCap: 0 }, // recipients left out at enqueue, by reason
     conversions,
     unsubscribes,
     failureRate: rate(failed, sent),
     conversionRate: rate(conversions, sent), // Conversion rate = conversions / sent
     firstSentAt,
-    updatedAt: campaign.updatedAt
+    updatedAt: campaign.updatedAt,
+    variants
   };
 };
 
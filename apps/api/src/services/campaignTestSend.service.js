@@ -0,0 +1,174 @@
+// apps/api/src/services/campaignTestSend.service.js
+// Test sends: deliver a campaign, rendered as recipients will get it, to the owner's test numbers
+
+const prisma = require('../lib/prisma');
+const pino = require('pino');
+
+const logger = pino({ name: 'campaign-test-send-service' });
+
+const MAX_TEST_NUMBERS = 5;
+
+// Used when the campaign has no audience yet
+const PLACEHOLDER_CONTACT = { id: null, firstName: 'Test', lastName: 'Customer', email: null };
+
+/**
+ * Validate the owner's test phone numbers (normalized to E.164, duplicates removed).
+ *
+ * @param {Array} numbers - Phone numbers
+ * @returns {Object} { ok: true, data: { testPhoneNumbers } } or { ok: false, message }
+ */
+function validateTestPhoneNumbers(numbers) {
+  if (numbers === undefined) {
+    return { ok: true, data: {} };
+  }
+
+  const list = numbers || [];
+  if (!Array.isArray(list)) {
+    return { ok: false, message: 'Test phone numbers must be a list.' };
+  }
+
+  const { normalizePhoneToE164 } = require('../lib/phone');
+  const normalized = [];
+  for (const number of list) {
+    const e164 = normalizePhoneToE164(typeof number === 'string' ? number : '');
+    if (!e164) {
+      return { ok: false, message: `Invalid test phone number: ${number}` };
+    }
+    if (!normalized.includes(e164)) {
+      normalized.push(e164);
+    }
+  }
+
+  if (normalized.length > MAX_TEST_NUMBERS) {
+    return { ok: false, message: `You can set up to ${MAX_TEST_NUMBERS} test phone numbers.` };
+  }
+
+  return { ok: true, data: { testPhoneNumbers: normalized } };
+}
+
+/**
+ * Pick the contact the test message is personalized for: the requested one,
+ * otherwise the first contact of the campaign audience.
+ */
+async function resolveSampleContact(camp, contactId) {
+  if (contactId) {
+    return prisma.contact.findFirst({
+      where: { id: contactId, ownerId: camp.ownerId }
+    });
+  }
+
+  const { loadCampaignAudience } = require('./campaignEnqueue.service');
+  const audience = await loadCampaignAudience(camp);
+  return audience?.[0] || PLACEHOLDER_CONTACT;
+}
+
+/**
+ * Send a campaign to the owner's test phone numbers.
+ * The text is rendered for a sample contact exactly like enqueueCampaign does,
+ * including the shortened offer and unsubscribe links. Test sends are charged
+ * like any SMS, but create no campaign messages, so stats are not affected.
+ *
+ * Links use the real format and shortener. The offer link is not tied to a
+ * stored message (its page reports the offer as not found), and the unsubscribe
+ * link points at the tester's own contact when one exists - never at the sample
+ * contact, so tapping it cannot unsubscribe a customer.
+ *
+ * @param {number} campaignId - Campaign ID
+ * @param {number} ownerId - Owner ID (scope)
+ * @param {Object} [options] - { contactId?, variantLabel? }
+ * @returns {Promise<Object>} { ok: true, sampleContactId, variant, text, results } or { ok: false, reason }
+ */
+async function sendTestMessages(campaignId, ownerId, options = {}) {
+  const camp = await prisma.campaign.findFirst({
+    where: { id: campaignId, ownerId },
+    include: { template: true, variants: { orderBy: { label: 'asc' }, include: { template: true } } }
+  });
+  if (!camp) {
+    return { ok: false, reason: 'not_found' };
+  }
+
+  const owner = await prisma.user.findUnique({
+    where: { id: ownerId },
+    select: { testPhoneNumbers: true }
+  });
+  const testNumbers = (owner?.testPhoneNumbers || []).slice(0, MAX_TEST_NUMBERS);
+  if (testNumbers.length === 0) {
+    return { ok: false, reason: 'no_test_numbers' };
+  }
+
+  // A/B campaigns: test one variant at a time (default: the first)
+  let variant = null;
+  if (camp.variants.length) {
+    variant = options.variantLabel
+      ? camp.variants.find(v => v.label === options.variantLabel)
+      : camp.variants[0];
+    if (!variant) {
+      return { ok: false, reason: 'variant_not_found' };
+    }
+  }
+  const text = variant
+    ? variant.messageText || variant.template?.text || camp.messageText || camp.template?.text
+    : camp.messageText || camp.template?.text;
+
+  const sample = await resolveSampleContact(camp, options.contactId);
+  if (!sample) {
+    return { ok: false, reason: 'contact_not_found' };
+  }
+
+  // Testers who are contacts of the store get a working unsubscribe link for themselves
+  const testerContacts = await prisma.contact.findMany({
+    where: { ownerId, phone: { in: testNumbers } },
+    select: { id: true, phone: true }
+  });
+  const testerContactIds = new Map(testerContacts.map(c => [c.phone, c.id]));
+
+  const { renderMessageText, loadTemplateContext } = require('./campaignEnqueue.service');
+  const { sendSMSWithCredits } = require('./sms.service');
+  const context = await loadTemplateContext(ownerId);
+
+  const results = [];
+  let previewText = null;
+  for (const destination of testNumbers) {
+    const rendered = await renderMessageText(camp, sample, text, {
+      unsubscribeContactId: testerContactIds.get(destination) || null,
+      context
+    });
+    previewText = previewText || rendered.text;
+
+    const result = await sendSMSWithCredits({
+      ownerId,
+      destination,
+      text: rendered.text,
+      meta: { reason: `sms:send:campaign_test:${camp.id}`, campaignId: camp.id, test: true }
+    });
+    results.push({
+      to: destination,
+      sent: !!result.sent,
+      reason: result.sent ? undefined : result.reason,
+      error: result.sent ? undefined : result.error
+    });
+  }
+
+  logger.info({
+    campaignId: camp.id,
+    ownerId,
+    variant: variant?.label || null,
+    sampleContactId: sample.id,
+    recipients: testNumbers.length,
+    sent: results.filter(r => r.sent).length
+  }, 'Campaign test send completed');
+
+  return {
+    ok: true,
+    sampleContactId: sample.id,
+    variant: variant?.label || null,
+    text: previewText,
+    results
+  };
+}
+
+module.exports = {
+  MAX_TEST_NUMBERS,
+  validateTestPhoneNumbers,
+  sendTestMessages
+};
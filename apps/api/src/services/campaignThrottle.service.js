@@ -0,0 +1,130 @@
+// apps/api/src/services/campaignThrottle.service.js
+// Per-campaign drip delivery: maximum send rate (e.g. 500 messages per 10 minutes)
+// Independent of the provider/tenant limits in rateLimiter.service
+
+const { getRedisClient } = require('../lib/redis');
+const pino = require('pino');
+
+const logger = pino({ name: 'campaign-throttle-service' });
+
+const MAX_THROTTLE_MESSAGES = 100000;
+const MAX_THROTTLE_WINDOW_MINUTES = 24 * 60;
+
+/**
+ * Validate throttle settings (only fields present in `input` are returned).
+ * Both values are set together; null for both turns throttling off.
+ *
+ * @param {Object} input - { throttleMaxMessages?, throttleWindowMinutes? }
+ * @returns {Object} { ok: true, data } or { ok: false, message }
+ */
+function validateThrottle(input = {}) {
+  const { throttleMaxMessages, throttleWindowMinutes } = input;
+  if (throttleMaxMessages === undefined && throttleWindowMinutes === undefined) {
+    return { ok: true, data: {} };
+  }
+
+  const isEmpty = (v) => v === undefined || v === null || v === '';
+  if (isEmpty(throttleMaxMessages) && isEmpty(throttleWindowMinutes)) {
+    return { ok: true, data: { throttleMaxMessages: null, throttleWindowMinutes: null } };
+  }
+  if (isEmpty(throttleMaxMessages) || isEmpty(throttleWindowMinutes)) {
+    return { ok: false, message: 'Send rate needs both a message count and a time window.' };
+  }
+
+  const maxMessages = Number(throttleMaxMessages);
+  if (!Number.isInteger(maxMessages) || maxMessages < 1 || maxMessages > MAX_THROTTLE_MESSAGES) {
+    return { ok: false, message: `Send rate must be between 1 and ${MAX_THROTTLE_MESSAGES} messages.` };
+  }
+  const windowMinutes = Number(throttleWindowMinutes);
+  if (!Number.isInteger(windowMinutes) || windowMinutes < 1 || windowMinutes > MAX_THROTTLE_WINDOW_MINUTES) {
+    return { ok: false, message: `Send rate window must be between 1 and ${MAX_THROTTLE_WINDOW_MINUTES} minutes.` };
+  }
+
+  return { ok: true, data: { throttleMaxMessages: maxMessages, throttleWindowMinutes: windowMinutes } };
+}
+
+/**
+ * Throttle settings of a campaign, or null if it sends at full speed.
+ *
+ * @param {Object} camp - Campaign ({ throttleMaxMessages, throttleWindowMinutes })
+ * @returns {Object|null} { maxMessages, windowMs }
+ */
+function getThrottle(camp) {
+  if (!camp?.throttleMaxMessages || !camp?.throttleWindowMinutes) {
+    return null;
+  }
+  return {
+    maxMessages: camp.throttleMaxMessages,
+    windowMs: camp.throttleWindowMinutes * 60 * 1000
+  };
+}
+
+/**
+ * Spread batch jobs over time so the campaign never exceeds its send rate.
+ * Batches keep their own earliest start (e.g. from send-time optimization);
+ * a batch that would overlap the previous one's share of the rate is pushed back.
+ *
+ * @param {Object} camp - Campaign
+ * @param {Array} batches - [{ messageIds, delay }] ordered by delay
+ * @returns {Array} Batches with adjusted delays
+ */
+function spreadBatches(camp, batches) {
+  const throttle = getThrottle(camp);
+  if (!throttle) {
+    return batches;
+  }
+
+  const msPerMessage = throttle.windowMs / throttle.maxMessages;
+  let nextFreeAt = 0;
+  return batches.map(batch => {
+    const delay = Math.max(batch.delay, nextFreeAt);
+    nextFreeAt = delay + Math.ceil(batch.messageIds.length * msPerMessage);
+    return { ...batch, delay };
+  });
+}
+
+/**
+ * Reserve send capacity for a batch in the campaign's current rate window.
+ * Uses a fixed window counter in Redis shared by all workers. A batch that
+ * alone exceeds the rate is allowed when the window is still empty, so an
+ * oversized batch cannot be held back forever.
+ *
+ * @param {number} campaignId - Campaign ID
+ * @param {Object} throttle - From getThrottle()
+ * @param {number} count - Messages in the batch
+ * @returns {Promise<{allowed: boolean, retryAfterMs: number}>}
+ */
+async function reserveThrottleSlot(campaignId, throttle, count) {
+  const redis = getRedisClient();
+  if (!redis) {
+    // Enqueue-time spreading still applies
+    logger.warn({ campaignId }, 'Redis not available, campaign throttle check skipped');
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  const now = Date.now();
+  const windowStart = Math.floor(now / throttle.windowMs) * throttle.windowMs;
+  const redisKey = `campaign_throttle:${campaignId}:${windowStart}`;
+
+  try {
+    const used = await redis.incrby(redisKey, count);
+    await redis.pexpire(redisKey, throttle.windowMs + 1000);
+
+    if (used <= throttle.maxMessages || used === count) {
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    await redis.decrby(redisKey, count);
+    return { allowed: false, retryAfterMs: windowStart + throttle.windowMs - now };
+  } catch (err) {
+    logger.error({ campaignId, err: err.message }, 'Campaign throttle check failed, allowing batch');
+    return { allowed: true, retryAfterMs: 0 };
+  }
+}
+
+module.exports = {
+  validateThrottle,
+  getThrottle,
+  spreadBatches,
+  reserveThrottleSlot
+};
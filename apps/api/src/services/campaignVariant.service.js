@@ -0,0 +1,228 @@
+// apps/api/src/services/campaignVariant.service.js
+// A/B split testing: campaign message variants and recipient assignment
+
+const prisma = require('../lib/prisma');
+const crypto = require('node:crypto');
+
+const SYSTEM_USER_ID = Number(process.env.SYSTEM_USER_ID || 1);
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 4;
+const LABELS = ['A', 'B', 'C', 'D'];
+
+/**
+ * Validate and normalize variants sent by the client.
+ * Each variant needs a templateId (owner or system template) or a messageText,
+ * and splitPercent values must add up to 100.
+ *
+ * @param {number} ownerId - Owner ID (for template scoping)
+ * @param {Array} variants - [{ templateId?, messageText?, splitPercent }]
+ * @returns {Promise<Object>} { ok: true, variants } or { ok: false, message }
+ */
+async function validateVariants(ownerId, variants) {
+  const { sanitizeString } = require('../lib/sanitize');
+
+  if (!Array.isArray(variants)) {
+    return { ok: false, message: 'Variants must be a list.' };
+  }
+  if (variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+    return { ok: false, message: `A split test needs between ${MIN_VARIANTS} and ${MAX_VARIANTS} variants.` };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < variants.length; i++) {
+    const v = variants[i] || {};
+    const label = LABELS[i];
+
+    const splitPercent = Number(v.splitPercent);
+    if (!Number.isInteger(splitPercent) || splitPercent < 1 || splitPercent > 99) {
+      return { ok: false, message: `Variant ${label}: split must be a whole percentage between 1 and 99.` };
+    }
+
+    const messageText = typeof v.messageText === 'string' && v.messageText.trim()
+      ? sanitizeString(v.messageText, { maxLength: 2000 })
+      : null;
+
+    let templateId = null;
+    let templateText = null;
+    if (v.templateId !== undefined && v.templateId !== null && v.templateId !== '') {
+      templateId = Number(v.templateId);
+      if (!templateId || isNaN(templateId)) {
+        return { ok: false, message: `Variant ${label}: invalid template ID.` };
+      }
+      const tpl = await prisma.messageTemplate.findFirst({
+        where: { id: templateId, ownerId: { in: [ownerId, SYSTEM_USER_ID] } },
+        select: { id: true, text: true }
+      });
+      if (!tpl) {
+        return { ok: false, message: `Variant ${label}: template not found.` };
+      }
+      templateText = tpl.text;
+    }
+
+    if (!templateId && !messageText) {
+      return { ok: false, message: `Variant ${label}: please provide either a template or a custom message.` };
+    }
+
+    // The custom message overrides the template text; whichever is sent must use known tokens
+    const textToSend = messageText || templateText;
+    if (textToSend) {
+      const { validateTemplate } = require('../lib/template');
+      const { listAttributes } = require('./contactAttribute.service');
+      const tokens = validateTemplate(textToSend, { attributes: await listAttributes(ownerId) });
+      if (!tokens.ok) {
+        return { ok: false, message: `Variant ${label}: ${tokens.message}` };
+      }
+    }
+
+    normalized.push({ label, templateId, messageText, splitPercent });
+  }
+
+  const totalPercent = normalized.reduce((sum, v) => sum + v.splitPercent, 0);
+  if (totalPercent !== 100) {
+    return { ok: false, message: `Variant splits must add up to 100% (currently ${totalPercent}%).` };
+  }
+
+  return { ok: true, variants: normalized };
+}
+
+/**
+ * Replace all variants of a campaign.
+ * Pass an empty list to turn split testing off.
+ *
+ * @param {number} campaignId - Campaign ID (ownership must be checked by the caller)
+ * @param {Array} variants - Normalized variants from validateVariants()
+ * @returns {Promise<Array>} Stored variants
+ */
+async function replaceVariants(campaignId, variants) {
+  await prisma.$transaction([
+    prisma.campaignVariant.deleteMany({ where: { campaignId } }),
+    ...(variants.length
+      ? [prisma.campaignVariant.createMany({
+        data: variants.map(v => ({ campaignId, ...v }))
+      })]
+      : [])
+  ]);
+
+  return listVariants(campaignId);
+}
+
+/**
+ * Variants of a campaign, ordered by label (includes template text).
+ *
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Array>}
+ */
+async function listVariants(campaignId) {
+  return prisma.campaignVariant.findMany({
+    where: { campaignId },
+    orderBy: { label: 'asc' },
+    include: { template: { select: { id: true, name: true, text: true } } }
+  });
+}
+
+/**
+ * Deterministically pick the variant for a recipient.
+ * The same campaign + contact always lands in the same bucket, so re-running
+ * an enqueue (or computing stats) never moves a contact to another variant.
+ *
+ * @param {Array} variants - Variants ordered by label ({ splitPercent })
+ * @param {number} campaignId - Campaign ID
+ * @param {number} contactId - Contact ID
+ * @returns {Object|null} The chosen variant (null if there are no variants)
+ */
+function assignVariant(variants, campaignId, contactId) {
+  if (!variants || variants.length === 0) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256').update(`${campaignId}:${contactId}`).digest();
+  const bucket = hash.readUInt32BE(0) % 100;
+
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += variant.splitPercent;
+    if (bucket < cumulative) {
+      return variant;
+    }
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Pick the A/B test cohort: a deterministic `percent` slice of the audience
+ * (at least one contact). Contacts are ordered by a per-campaign hash, so the
+ * cohort is stable and does not depend on the audience query order.
+ *
+ * @param {Array} contacts - Full audience
+ * @param {number} campaignId - Campaign ID
+ * @param {number} percent - Test slice (1-100)
+ * @returns {Array} Contacts in the test cohort
+ */
+function selectTestCohort(contacts, campaignId, percent) {
+  const size = Math.max(1, Math.ceil(contacts.length * percent / 100));
+  const rank = (contactId) => crypto.createHash('sha256').update(`${campaignId}:cohort:${contactId}`).digest('hex');
+
+  return contacts
+    .map(contact => ({ contact, key: rank(contact.id) }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .slice(0, size)
+    .map(entry => entry.contact);
+}
+
+const WINNER_METRICS = ['redemption_rate', 'offer_view_rate'];
+const DEFAULT_WAIT_HOURS = 24;
+const MAX_WAIT_HOURS = 168;
+
+/**
+ * Validate winner auto-send settings (only fields present in `input` are returned).
+ * abTestPercent null turns the test phase off (variants split the whole audience).
+ *
+ * @param {Object} input - { abTestPercent?, abWaitHours?, abWinnerMetric? }
+ * @returns {Object} { ok: true, data } or { ok: false, message }
+ */
+function validateAbTestSettings(input = {}) {
+  const { abTestPercent, abWaitHours, abWinnerMetric } = input;
+  const data = {};
+
+  if (abTestPercent !== undefined) {
+    if (abTestPercent === null || abTestPercent === '') {
+      data.abTestPercent = null;
+    } else {
+      const pct = Number(abTestPercent);
+      if (!Number.isInteger(pct) || pct < 1 || pct > 99) {
+        return { ok: false, message: 'Test slice must be a whole percentage between 1 and 99.' };
+      }
+      data.abTestPercent = pct;
+      if (abWaitHours === undefined) {
+        data.abWaitHours = DEFAULT_WAIT_HOURS;
+      }
+    }
+  }
+
+  if (abWaitHours !== undefined && abWaitHours !== null) {
+    const hours = Number(abWaitHours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_WAIT_HOURS) {
+      return { ok: false, message: `Waiting window must be between 1 and ${MAX_WAIT_HOURS} hours.` };
+    }
+    data.abWaitHours = hours;
+  }
+
+  if (abWinnerMetric !== undefined) {
+    if (abWinnerMetric !== null && !WINNER_METRICS.includes(abWinnerMetric)) {
+      return { ok: false, message: `Winner metric must be one of: ${WINNER_METRICS.join(', ')}.` };
+    }
+    data.abWinnerMetric = abWinnerMetric;
+  }
+
+  return { ok: true, data };
+}
+
+module.exports = {
+  MAX_VARIANTS,
+  validateVariants,
+  replaceVariants,
+  listVariants,
+  assignVariant,
+  selectTestCohort,
+  validateAbTestSettings
+};
@@ -0,0 +1,239 @@
+// apps/api/src/services/campaignWinner.service.js
+// A/B winner auto-send: after the test cohort's waiting window, pick the best
+// variant and send it to the rest of the audience
+
+const prisma = require('../lib/prisma');
+const pino = require('pino');
+
+const logger = pino({ name: 'campaign-winner-service' });
+
+/**
+ * Add the delayed scheduler job that picks the winner.
+ *
+ * @param {Object} camp - Campaign ({ id, abWaitHours })
+ * @param {number} [delayMs] - Override delay (defaults to the campaign's waiting window)
+ * @returns {Promise<void>}
+ */
+async function scheduleWinnerJob(camp, delayMs) {
+  const schedulerQueue = require('../queues/scheduler.queue');
+  if (!schedulerQueue) {
+    logger.warn({ campaignId: camp.id }, 'Scheduler queue is disabled, cannot schedule A/B winner send');
+    return;
+  }
+
+  const delay = delayMs !== undefined ? delayMs : (camp.abWaitHours || 0) * 60 * 60 * 1000;
+  const job = await schedulerQueue.add(
+    'sendCampaignWinner',
+    { campaignId: camp.id },
+    {
+      jobId: `campaign:winner:${camp.id}:${Date.now()}`,
+      delay
+    }
+  );
+
+  logger.info({ campaignId: camp.id, jobId: job.id, delayMs: delay }, 'A/B winner job scheduled');
+}
+
+/**
+ * Pick the best variant by the campaign's winner metric.
+ * Ties are broken by the other rate, then by label (A wins over B).
+ *
+ * @param {Array} variantStats - From campaignStats.service getVariantStats()
+ * @param {string|null} metric - 'redemption_rate' (default) or 'offer_view_rate'
+ * @returns {Object|null} Winning variant stats
+ */
+function pickWinner(variantStats, metric) {
+  if (!variantStats.length) {
+    return null;
+  }
+
+  const primary = metric === 'offer_view_rate' ? 'offerViewRate' : 'redemptionRate';
+  const secondary = primary === 'offerViewRate' ? 'redemptionRate' : 'offerViewRate';
+
+  return [...variantStats].sort((a, b) =>
+    (b[primary] - a[primary]) ||
+    (b[secondary] - a[secondary]) ||
+    a.label.localeCompare(b.label)
+  )[0];
+}
+
+/**
+ * Pick the winner of a campaign's A/B test and send it to everyone in the
+ * audience who was not part of the test cohort.
+ * The winner is only recorded once the send can go ahead; without an active
+ * subscription or enough credits the campaign is paused with a pauseReason and
+ * the winner is picked again after it is resumed.
+ *
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Object>} { ok, reason?, winnerVariantId, created, enqueuedJobs }
+ */
+async function sendCampaignWinner(campaignId) {
+  const camp = await prisma.campaign.findUnique({
+    where: { id: campaignId },
+    include: { template: true }
+  });
+  if (!camp) {
+    return { ok: false, reason: 'not_found' };
+  }
+  if (!camp.abTestPercent || camp.abWinnerPickedAt) {
+    return { ok: false, reason: 'no_pending_winner' };
+  }
+
+  if (camp.status === 'paused') {
+    // Resuming keeps the campaign in its test phase and schedules the winner job again
+    return { ok: false, reason: 'paused' };
+  }
+  if (camp.status !== 'sending') {
+    return { ok: false, reason: `invalid_status:${camp.status}` };
+  }
+
+  const { getVariantStats } = require('./campaignStats.service');
+  const stats = await getVariantStats(camp.id, camp.ownerId);
+  const winner = pickWinner(stats, camp.abWinnerMetric);
+  if (!winner) {
+    return { ok: false, reason: 'no_variants' };
+  }
+
+  const prepared = await prepareWinnerMessages(camp, winner);
+  if (!prepared.ok) {
+    await pauseForWinner(camp, prepared.reason);
+    return { ...prepared, created: 0, enqueuedJobs: 0, winnerVariantId: winner.variantId };
+  }
+
+  // Record the winner exactly once (guards against duplicate jobs)
+  const upd = await prisma.campaign.updateMany({
+    where: { id: camp.id, abWinnerPickedAt: null },
+    data: { abWinnerVariantId: winner.variantId, abWinnerPickedAt: new Date() }
+  });
+  if (upd.count === 0) {
+    return { ok: false, reason: 'no_pending_winner' };
+  }
+
+  logger.info({
+    campaignId: camp.id,
+    winner: winner.label,
+    metric: camp.abWinnerMetric || 'redemption_rate',
+    redemptionRate: winner.redemptionRate,
+    offerViewRate: winner.offerViewRate
+  }, 'A/B test winner picked');
+
+  const result = await sendWinnerToRest(camp, prepared);
+
+  // Nothing (more) to send -> let aggregates complete the campaign
+  const { updateCampaignAggregates } = require('./campaignAggregates.service');
+  await updateCampaignAggregates(camp.id, camp.ownerId);
+
+  return { ...result, winnerVariantId: winner.variantId };
+}
+
+/**
+ * Pause a campaign whose winner send cannot go ahead; resuming it picks the winner again.
+ */
+async function pauseForWinner(camp, reason) {
+  const upd = await prisma.campaign.updateMany({
+    where: { id: camp.id, ownerId: camp.ownerId, status: 'sending', abWinnerPickedAt: null },
+    data: { status: 'paused', pauseReason: reason }
+  });
+  if (upd.count === 0) {
+    return;
+  }
+
+  // Test cohort messages still waiting would otherwise go out while paused
+  const { removePendingCampaignJobs } = require('./campaignControl.service');
+  await removePendingCampaignJobs(camp.id);
+
+  logger.warn({ campaignId: camp.id, ownerId: camp.ownerId, reason }, 'A/B winner send blocked - campaign paused');
+}
+
+/**
+ * Build the winner's messages for the contacts that have not received this
+ * campaign yet, and check the subscription and credits for them.
+ *
+ * @returns {Promise<Object>} { ok: true, variant, messagesData } or { ok: false, reason: 'inactive_subscription' | 'insufficient_credits' }
+ */
+async function prepareWinnerMessages(camp, winner) {
+  const { loadCampaignAudience, buildMessageData, loadTemplateContext } = require('./campaignEnqueue.service');
+
+  const { applyCampaignExclusions } = require('./suppression.service');
+  const { contacts: audience } = await applyCampaignExclusions(camp, (await loadCampaignAudience(camp)) || []);
+  const alreadyMessaged = await prisma.campaignMessage.findMany({
+    where: { ownerId: camp.ownerId, campaignId: camp.id },
+    select: { contactId: true }
+  });
+  const messagedIds = new Set(alreadyMessaged.map(m => m.contactId));
+
+  // The frequency cap is checked again: the rest may have been messaged since the test send
+  const { applyFrequencyCap } = require('./frequencyCap.service');
+  const { contacts: rest, capped } = await applyFrequencyCap(camp.ownerId, audience.filter(c => !messagedIds.has(c.id)));
+
+  const variant = await prisma.campaignVariant.findUnique({
+    where: { id: winner.variantId },
+    include: { template: true }
+  });
+  if (!rest.length) {
+    return { ok: true, variant, messagesData: [], capped };
+  }
+
+  const { isSubscriptionActive } = require('./subscription.service');
+  if (!(await isSubscriptionActive(camp.ownerId))) {
+    logger.warn({ campaignId: camp.id, ownerId: camp.ownerId }, 'Inactive subscription - A/B winner send blocked');
+    return { ok: false, reason: 'inactive_subscription' };
+  }
+
+  const text = variant.messageText || variant.template?.text || camp.messageText || camp.template?.text;
+  const templateContext = await loadTemplateContext(camp.ownerId);
+  const messagesData = await Promise.all(rest.map(contact => buildMessageData(camp, contact, text, variant.id, templateContext)));
+
+  // One credit per SMS segment
+  const requiredCredits = messagesData.reduce((sum, m) => sum + m.segments, 0);
+  const { getBalance } = require('./wallet.service');
+  const currentBalance = await getBalance(camp.ownerId);
+  if (currentBalance < requiredCredits) {
+    logger.warn({ campaignId: camp.id, ownerId: camp.ownerId, currentBalance, requiredCredits }, 'Insufficient credits for A/B winner send');
+    return { ok: false, reason: 'insufficient_credits' };
+  }
+
+  return { ok: true, variant, messagesData, capped };
+}
+
+/**
+ * Create and enqueue the prepared winner messages
+ */
+async function sendWinnerToRest(camp, { variant, messagesData, capped }) {
+  if (capped) {
+    const skipped = camp.skipped || {};
+    await prisma.campaign.updateMany({
+      where: { id: camp.id, ownerId: camp.ownerId },
+      data: { skipped: { ...skipped, frequencyCap: (skipped.frequencyCap || 0) + capped } }
+    });
+  }
+
+  if (!messagesData.length) {
+    logger.info({ campaignId: camp.id }, 'No remaining audience for A/B winner');
+    return { ok: true, created: 0, enqueuedJobs: 0 };
+  }
+
+  const waveStartedAt = new Date();
+
+  const BATCH_SIZE = 10000;
+  for (let i = 0; i < messagesData.length; i += BATCH_SIZE) {
+    await prisma.campaignMessage.createMany({
+      data: messagesData.slice(i, i + BATCH_SIZE),
+      skipDuplicates: true
+    });
+  }
+
+  // Only the new wave - test cohort messages may still have jobs in flight
+  const { enqueueQueuedMessages } = require('./campaignEnqueue.service');
+  const enqueuedJobs = await enqueueQueuedMessages(camp, { createdAt: { gte: waveStartedAt } });
+
+  logger.info({ campaignId: camp.id, winner: variant.label, created: messagesData.length, enqueuedJobs }, 'A/B winner enqueued to remaining audience');
+
+  return { ok: true, created: messagesData.length, enqueuedJobs };
+}
+
+module.exports = {
+  scheduleWinnerJob,
+  pickWinner,
+  sendCampaignWinner
+};
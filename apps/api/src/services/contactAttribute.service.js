@@ -0,0 +1,409 @@
+// apps/api/src/services/contactAttribute.service.js
+// Owner-defined typed contact attributes: definitions, value validation and audience filters
+
+const prisma = require('../lib/prisma');
+const pino = require('pino');
+
+const logger = pino({ name: 'contact-attribute-service' });
+
+const ATTRIBUTE_TYPES = ['string', 'number', 'date', 'boolean', 'enum'];
+const MAX_ATTRIBUTES = 50;
+const MAX_ENUM_OPTIONS = 50;
+const MAX_STRING_LENGTH = 500;
+
+// Keys clash with built-in import columns / tokens otherwise
+const RESERVED_KEYS = [
+  'phone', 'email', 'first_name', 'firstname', 'last_name', 'lastname', 'gender',
+  'birthday', 'birthdate', 'subscribed', 'is_subscribed', 'issubscribed', 'company',
+  'store_name', 'age', 'days_until_birthday', 'today', 'offer_link', 'tags'
+];
+
+// Filter operators allowed per attribute type
+const OPERATORS = {
+  string: ['eq', 'neq', 'contains', 'is_set', 'not_set'],
+  number: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'is_set', 'not_set'],
+  date: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'is_set', 'not_set'],
+  boolean: ['eq', 'is_set', 'not_set'],
+  enum: ['eq', 'neq', 'in', 'is_set', 'not_set']
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'ναι'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'όχι', 'οχι'];
+
+/**
+ * List the owner's attribute definitions
+ *
+ * @param {number} ownerId - Owner ID
+ * @returns {Promise<Array>} Attributes ordered by label
+ */
+async function listAttributes(ownerId) {
+  return prisma.contactAttribute.findMany({
+    where: { ownerId },
+    orderBy: { label: 'asc' }
+  });
+}
+
+/**
+ * Validate enum options (trimmed, unique, non-empty)
+ */
+function validateOptions(options) {
+  if (!Array.isArray(options)) {
+    return { ok: false, message: 'Enum attributes need a list of options.' };
+  }
+  const normalized = [];
+  for (const option of options) {
+    const value = typeof option === 'string' ? option.trim() : '';
+    if (!value || value.length > 120) {
+      return { ok: false, message: 'Enum options must be non-empty text (max 120 characters).' };
+    }
+    if (!normalized.includes(value)) {
+      normalized.push(value);
+    }
+  }
+  if (normalized.length === 0 || normalized.length > MAX_ENUM_OPTIONS) {
+    return { ok: false, message: `Enum attributes need between 1 and ${MAX_ENUM_OPTIONS} options.` };
+  }
+  return { ok: true, options: normalized };
+}
+
+/**
+ * Create an attribute definition
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} input - { key, label, type, options? }
+ * @returns {Promise<Object>} { ok: true, attribute } or { ok: false, reason, message }
+ */
+async function createAttribute(ownerId, input = {}) {
+  const key = typeof input.key === 'string' ? input.key.trim().toLowerCase() : '';
+  if (!/^[a-z][a-z0-9_]{0,49}$/.test(key)) {
+    return { ok: false, reason: 'invalid', message: 'Key must start with a letter and contain only lowercase letters, numbers and underscores (max 50).' };
+  }
+  if (RESERVED_KEYS.includes(key)) {
+    return { ok: false, reason: 'invalid', message: `"${key}" is a built-in contact field.` };
+  }
+
+  const label = typeof input.label === 'string' ? input.label.trim().slice(0, 120) : '';
+  if (!label) {
+    return { ok: false, reason: 'invalid', message: 'Label is required.' };
+  }
+
+  if (!ATTRIBUTE_TYPES.includes(input.type)) {
+    return { ok: false, reason: 'invalid', message: `Type must be one of: ${ATTRIBUTE_TYPES.join(', ')}.` };
+  }
+
+  let options = [];
+  if (input.type === 'enum') {
+    const result = validateOptions(input.options);
+    if (!result.ok) {
+      return { ok: false, reason: 'invalid', message: result.message };
+    }
+    options = result.options;
+  }
+
+  const count = await prisma.contactAttribute.count({ where: { ownerId } });
+  if (count >= MAX_ATTRIBUTES) {
+    return { ok: false, reason: 'invalid', message: `You can define up to ${MAX_ATTRIBUTES} attributes.` };
+  }
+
+  const existing = await prisma.contactAttribute.findUnique({
+    where: { ownerId_key: { ownerId, key } },
+    select: { id: true }
+  });
+  if (existing) {
+    return { ok: false, reason: 'duplicate', message: `An attribute with key "${key}" already exists.` };
+  }
+
+  const attribute = await prisma.contactAttribute.create({
+    data: { ownerId, key, label, type: input.type, options }
+  });
+
+  logger.info({ ownerId, attributeId: attribute.id, key, type: attribute.type }, 'Contact attribute created');
+
+  return { ok: true, attribute };
+}
+
+/**
+ * Update an attribute's label or enum options.
+ * The key and type are fixed (stored values and templates depend on them).
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {number} id - Attribute ID
+ * @param {Object} input - { label?, options? }
+ * @returns {Promise<Object>} { ok: true, attribute } or { ok: false, reason, message }
+ */
+async function updateAttribute(ownerId, id, input = {}) {
+  const attribute = await prisma.contactAttribute.findFirst({ where: { id, ownerId } });
+  if (!attribute) {
+    return { ok: false, reason: 'not_found', message: 'Attribute not found' };
+  }
+  if ((input.key !== undefined && input.key !== attribute.key) || (input.type !== undefined && input.type !== attribute.type)) {
+    return { ok: false, reason: 'invalid', message: 'The key and type of an attribute cannot be changed.' };
+  }
+
+  const data = {};
+  if (input.label !== undefined) {
+    const label = typeof input.label === 'string' ? input.label.trim().slice(0, 120) : '';
+    if (!label) {
+      return { ok: false, reason: 'invalid', message: 'Label is required.' };
+    }
+    data.label = label;
+  }
+  if (input.options !== undefined) {
+    if (attribute.type !== 'enum') {
+      return { ok: false, reason: 'invalid', message: 'Only enum attributes have options.' };
+    }
+    const result = validateOptions(input.options);
+    if (!result.ok) {
+      return { ok: false, reason: 'invalid', message: result.message };
+    }
+    data.options = result.options;
+  }
+
+  const updated = await prisma.contactAttribute.update({ where: { id }, data });
+  return { ok: true, attribute: updated };
+}
+
+/**
+ * Delete an attribute definition and remove its values from the owner's contacts
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {number} id - Attribute ID
+ * @returns {Promise<Object>} { ok: true } or { ok: false, reason }
+ */
+async function deleteAttribute(ownerId, id) {
+  const attribute = await prisma.contactAttribute.findFirst({ where: { id, ownerId } });
+  if (!attribute) {
+    return { ok: false, reason: 'not_found' };
+  }
+
+  await prisma.$transaction([
+    prisma.$executeRaw`UPDATE "Contact" SET "customFields" = "customFields" - ${attribute.key} WHERE "ownerId" = ${ownerId} AND "customFields" ? ${attribute.key}`,
+    prisma.contactAttribute.delete({ where: { id } })
+  ]);
+
+  logger.info({ ownerId, attributeId: id, key: attribute.key }, 'Contact attribute deleted');
+
+  return { ok: true };
+}
+
+/**
+ * Parse a date value to "YYYY-MM-DD" (accepts YYYY-MM-DD, DD/MM/YYYY and Date)
+ */
+function parseDateValue(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+  }
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:T.*)?$/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!match) {
+      return null;
+    }
+    [, day, month, year] = match.map(Number);
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Normalize a value for an attribute (strings from forms/imports are converted)
+ *
+ * @param {Object} attribute - { key, label, type, options }
+ * @param {*} value - Raw value
+ * @returns {Object} { ok: true, value } (null = clear) or { ok: false, message }
+ */
+function normalizeAttributeValue(attribute, value) {
+  if (value === null || value === undefined || (typeof value === 'string' && !value.trim())) {
+    return { ok: true, value: null };
+  }
+
+  switch (attribute.type) {
+    case 'string': {
+      if (typeof value === 'object') {
+        return { ok: false, message: `${attribute.label} must be text.` };
+      }
+      return { ok: true, value: String(value).trim().slice(0, MAX_STRING_LENGTH) };
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+      if (!Number.isFinite(number)) {
+        return { ok: false, message: `${attribute.label} must be a number.` };
+      }
+      return { ok: true, value: number };
+    }
+    case 'date': {
+      const date = parseDateValue(value);
+      if (!date) {
+        return { ok: false, message: `${attribute.label} must be a date (YYYY-MM-DD).` };
+      }
+      return { ok: true, value: date };
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') {
+        return { ok: true, value };
+      }
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) {
+        return { ok: true, value: true };
+      }
+      if (FALSE_VALUES.includes(text)) {
+        return { ok: true, value: false };
+      }
+      return { ok: false, message: `${attribute.label} must be yes or no.` };
+    }
+    case 'enum': {
+      const text = String(value).trim().toLowerCase();
+      const option = attribute.options.find(o => o.toLowerCase() === text);
+      if (!option) {
+        return { ok: false, message: `${attribute.label} must be one of: ${attribute.options.join(', ')}.` };
+      }
+      return { ok: true, value: option };
+    }
+    default:
+      return { ok: false, message: `${attribute.label} has an unknown type.` };
+  }
+}
+
+/**
+ * Validate custom field values against the owner's definitions and merge them
+ * into the contact's current values (null clears a field).
+ *
+ * @param {Array} attributes - Owner's attribute definitions
+ * @param {Object} input - { key: value }
+ * @param {Object|null} [current] - Contact's current customFields
+ * @returns {Object} { ok: true, customFields } or { ok: false, message }
+ */
+function applyCustomFields(attributes, input, current = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, message: 'customFields must be an object of { key: value }.' };
+  }
+
+  const byKey = new Map(attributes.map(a => [a.key, a]));
+  const merged = { ...(current || {}) };
+  for (const [key, raw] of Object.entries(input)) {
+    const attribute = byKey.get(key);
+    if (!attribute) {
+      return { ok: false, message: `Unknown contact attribute: ${key}` };
+    }
+    const result = normalizeAttributeValue(attribute, raw);
+    if (!result.ok) {
+      return result;
+    }
+    if (result.value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = result.value;
+    }
+  }
+
+  return { ok: true, customFields: merged };
+}
+
+/**
+ * Validate audience filters on custom attributes
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Array|null} filters - [{ key, op, value }]
+ * @returns {Promise<Object>} { ok: true, filters } (null when empty) or { ok: false, message }
+ */
+async function validateAttributeFilters(ownerId, filters) {
+  if (filters === undefined || filters === null || (Array.isArray(filters) && filters.length === 0)) {
+    return { ok: true, filters: null };
+  }
+  if (!Array.isArray(filters) || filters.length > 20) {
+    return { ok: false, message: 'Attribute filters must be a list (max 20).' };
+  }
+
+  const attributes = await listAttributes(ownerId);
+  const byKey = new Map(attributes.map(a => [a.key, a]));
+  const normalized = [];
+  for (const filter of filters) {
+    const attribute = byKey.get(filter?.key);
+    if (!attribute) {
+      return { ok: false, message: `Unknown contact attribute: ${filter?.key}` };
+    }
+    if (!OPERATORS[attribute.type].includes(filter.op)) {
+      return { ok: false, message: `${attribute.label}: operator must be one of ${OPERATORS[attribute.type].join(', ')}.` };
+    }
+
+    if (filter.op === 'is_set' || filter.op === 'not_set') {
+      normalized.push({ key: attribute.key, op: filter.op });
+      continue;
+    }
+
+    if (filter.op === 'in') {
+      const values = Array.isArray(filter.value) ? filter.value : [];
+      const resolved = [];
+      for (const value of values) {
+        const result = normalizeAttributeValue(attribute, value);
+        if (!result.ok || result.value === null) {
+          return { ok: false, message: result.message || `${attribute.label}: filter value is required.` };
+        }
+        resolved.push(result.value);
+      }
+      if (resolved.length === 0) {
+        return { ok: false, message: `${attribute.label}: choose at least one value.` };
+      }
+      normalized.push({ key: attribute.key, op: 'in', value: resolved });
+      continue;
+    }
+
+    const result = normalizeAttributeValue(attribute, filter.value);
+    if (!result.ok || result.value === null) {
+      return { ok: false, message: result.message || `${attribute.label}: filter value is required.` };
+    }
+    normalized.push({ key: attribute.key, op: filter.op, value: result.value });
+  }
+
+  return { ok: true, filters: normalized };
+}
+
+/**
+ * Whether a contact's custom fields satisfy every filter
+ * (values were normalized by validateAttributeFilters, so numbers compare as
+ * numbers and "YYYY-MM-DD" dates compare as text)
+ *
+ * @param {Object|null} customFields - Contact.customFields
+ * @param {Array} filters - Normalized filters
+ * @returns {boolean}
+ */
+function matchesAttributeFilters(customFields, filters) {
+  const values = customFields || {};
+  return filters.every(({ key, op, value }) => {
+    const actual = values[key];
+    const isSet = actual !== undefined && actual !== null && actual !== '';
+    switch (op) {
+      case 'is_set': return isSet;
+      case 'not_set': return !isSet;
+      case 'eq': return isSet && actual === value;
+      case 'neq': return !isSet || actual !== value;
+      case 'in': return isSet && value.includes(actual);
+      case 'contains': return isSet && String(actual).toLowerCase().includes(String(value).toLowerCase());
+      case 'gt': return isSet && actual > value;
+      case 'gte': return isSet && actual >= value;
+      case 'lt': return isSet && actual < value;
+      case 'lte': return isSet && actual <= value;
+      default: return false;
+    }
+  });
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  OPERATORS,
+  listAttributes,
+  createAttribute,
+  updateAttribute,
+  deleteAttribute,
+  normalizeAttributeValue,
+  applyCustomFields,
+  validateAttributeFilters,
+  matchesAttributeFilters
+};
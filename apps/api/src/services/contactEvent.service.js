@@ -0,0 +1,56 @@
+// apps/api/src/services/contactEvent.service.js
+// Records list membership and subscription changes of contacts (shown in the contact timeline)
+
+const prisma = require('../lib/prisma');
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Store contact events
+ *
+ * @param {Array<Object>} events - [{ ownerId, contactId, type, listId?, source? }]
+ * @param {Object} [db] - Prisma client or transaction
+ * @returns {Promise<number>} Number of stored events
+ */
+async function recordContactEvents(events, db = prisma) {
+  let count = 0;
+  for (let i = 0; i < events.length; i += BATCH_SIZE) {
+    const result = await db.contactEvent.createMany({ data: events.slice(i, i + BATCH_SIZE) });
+    count += result.count;
+  }
+  return count;
+}
+
+/**
+ * Events for contacts joining or leaving a list
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {number} listId - List ID
+ * @param {Array<number>} contactIds - Contacts that joined/left
+ * @param {string} type - 'list_joined' | 'list_left'
+ * @param {string} source - What caused it (e.g. 'manual', 'bulk', 'import', 'list_filter')
+ * @returns {Array<Object>} Events for recordContactEvents
+ */
+function listMembershipEvents(ownerId, listId, contactIds, type, source) {
+  return contactIds.map(contactId => ({ ownerId, contactId, type, listId, source }));
+}
+
+/**
+ * Events for subscription changes
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Array<number>} contactIds - Changed contacts
+ * @param {boolean} isSubscribed - New state
+ * @param {string} source - What caused it (e.g. 'manual', 'import', 'unsubscribe_link', 'sms_stop', 'nfc')
+ * @returns {Array<Object>} Events for recordContactEvents
+ */
+function subscriptionEvents(ownerId, contactIds, isSubscribed, source) {
+  const type = isSubscribed ? 'subscribed' : 'unsubscribed';
+  return contactIds.map(contactId => ({ ownerId, contactId, type, source }));
+}
+
+module.exports = {
+  recordContactEvents,
+  listMembershipEvents,
+  subscriptionEvents
+};
@@ -0,0 +1,156 @@
+// apps/api/src/services/contactExport.service.js
+// Contact export to XLSX/CSV (processed by contactExport.worker.js)
+
+const XLSX = require('xlsx');
+const prisma = require('../lib/prisma');
+const pino = require('pino');
+
+const logger = pino({ name: 'contact-export-service' });
+
+const EXPORT_FORMATS = ['xlsx', 'csv'];
+const BATCH_SIZE = 1000;
+// Same as the job retention of contactExport.queue
+const FILE_TTL_SECONDS = 86400;
+
+// Column names match the import template, so an export can be imported again
+const EXPORT_COLUMNS = ['firstName', 'lastName', 'phone', 'email', 'gender', 'birthday', 'subscribed', 'tags'];
+
+function fileKey(jobId) {
+  return `contact_export_file:${jobId}`;
+}
+
+function toDateString(date) {
+  return date ? date.toISOString().split('T')[0] : '';
+}
+
+/**
+ * Validate an export request (same filters as GET /contacts)
+ * @param {number} ownerId - Owner ID
+ * @param {Object} input - { q?, isSubscribed?, listId?, tag?, format? ('xlsx' default) }
+ * @returns {Promise<Object>} { ok: true, filters, format } or { ok: false, reason: 'invalid' | 'not_found', message }
+ */
+async function validateExportRequest(ownerId, input = {}) {
+  const format = (input.format || 'xlsx').toString().toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { ok: false, reason: 'invalid', message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+
+  const filters = {
+    q: input.q ? String(input.q) : undefined,
+    isSubscribed: input.isSubscribed !== undefined && input.isSubscribed !== null ? String(input.isSubscribed) : undefined,
+    listId: input.listId !== undefined && input.listId !== null && input.listId !== '' ? String(input.listId) : undefined,
+    tag: input.tag ? String(input.tag) : undefined
+  };
+
+  const { buildContactSearchWhere } = require('./contactSearch.service');
+  const search = await buildContactSearchWhere(ownerId, filters);
+  if (!search.ok) {
+    return search;
+  }
+
+  return { ok: true, filters, format };
+}
+
+/**
+ * Process export job - write the matching contacts to a file kept for 24 hours
+ * @param {Object} jobData - { jobId, userId, filters, format }
+ * @param {Function} progressCallback - Callback to report progress (processed, total)
+ * @returns {Promise<Object>} { rows, format, fileName }
+ */
+async function processExportJob(jobData, progressCallback) {
+  const { jobId, userId, filters = {}, format = 'xlsx' } = jobData;
+
+  const { buildContactSearchWhere } = require('./contactSearch.service');
+  const search = await buildContactSearchWhere(userId, filters);
+  if (!search.ok) {
+    throw new Error(search.message);
+  }
+
+  const { listAttributes } = require('./contactAttribute.service');
+  const attributes = await listAttributes(userId);
+
+  const total = await prisma.contact.count({ where: search.where });
+  logger.info({ userId, jobId, total, format }, 'Starting contact export');
+
+  const rows = [];
+  let cursor = null;
+  for (;;) {
+    const batch = await prisma.contact.findMany({
+      where: search.where,
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+    if (batch.length === 0) {break;}
+
+    for (const contact of batch) {
+      const customFields = contact.customFields || {};
+      const row = {
+        firstName: contact.firstName || '',
+        lastName: contact.lastName || '',
+        phone: contact.phone,
+        email: contact.email || '',
+        gender: contact.gender || '',
+        birthday: toDateString(contact.birthday),
+        subscribed: contact.isSubscribed ? 'Yes' : 'No',
+        tags: (contact.tags || []).join(', '),
+        unsubscribedAt: toDateString(contact.unsubscribedAt),
+        createdAt: toDateString(contact.createdAt)
+      };
+      for (const attribute of attributes) {
+        const value = customFields[attribute.key];
+        row[attribute.key] = value === undefined || value === null ? '' : String(value);
+      }
+      rows.push(row);
+    }
+
+    cursor = batch[batch.length - 1].id;
+    progressCallback(rows.length, total);
+    if (batch.length < BATCH_SIZE) {break;}
+  }
+
+  const header = [...EXPORT_COLUMNS, 'unsubscribedAt', 'createdAt', ...attributes.map(a => a.key)];
+  const worksheet = XLSX.utils.json_to_sheet(rows, { header });
+  let buffer;
+  if (format === 'csv') {
+    // UTF-8 with BOM so Excel shows Greek text
+    buffer = Buffer.from(`\uFEFF${XLSX.utils.sheet_to_csv(worksheet)}`, 'utf8');
+  } else {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Contacts');
+    buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+
+  const { getRedisClient } = require('../lib/redis');
+  const redis = getRedisClient();
+  if (!redis) {
+    throw new Error('Redis not available, export file cannot be stored');
+  }
+  await redis.set(fileKey(jobId), buffer.toString('base64'), 'EX', FILE_TTL_SECONDS);
+
+  const fileName = `contacts_${new Date().toISOString().split('T')[0]}.${format}`;
+  logger.info({ userId, jobId, rows: rows.length, bytes: buffer.length }, 'Contact export completed');
+
+  return { rows: rows.length, format, fileName };
+}
+
+/**
+ * File of a finished export job
+ * @param {string} jobId - Export job ID (ownership checked by the caller)
+ * @returns {Promise<Buffer|null>} null when expired
+ */
+async function getExportFile(jobId) {
+  const { getRedisClient } = require('../lib/redis');
+  const redis = getRedisClient();
+  if (!redis) {
+    return null;
+  }
+  const data = await redis.get(fileKey(jobId));
+  return data ? Buffer.from(data, 'base64') : null;
+}
+
+module.exports = {
+  validateExportRequest,
+  processExportJob,
+  getExportFile
+};
@@ -1,5 +1,5 @@
 // apps/api/src/services/contactImport.service.js
-// Service for processing contact imports from Excel files
+// Service for processing contact imports from Excel and CSV files
 
 const XLSX = require('xlsx');
 const prisma = require('../lib/prisma');
@@ -44,6 +44,181 @@ function parseExcelFile(fileBuffer) {
   }
 }
 
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+// Accepted as an explicit encoding override on upload
+const CSV_ENCODINGS = ['utf-8', 'utf-16le', 'windows-1253', 'iso-8859-7', 'windows-1252'];
+// Files that are not valid UTF-8 are almost always Greek POS/Excel exports
+const CSV_FALLBACK_ENCODING = 'windows-1253';
+
+const UPLOAD_TTL_SECONDS = 3600;
+const SAMPLE_ROWS = 5;
+
+/**
+ * XLSX (zip) and legacy XLS (OLE) files are read by SheetJS, anything else is treated as CSV
+ */
+function isSpreadsheetBuffer(buffer) {
+  return (buffer[0] === 0x50 && buffer[1] === 0x4b) ||
+    (buffer[0] === 0xd0 && buffer[1] === 0xcf && buffer[2] === 0x11 && buffer[3] === 0xe0);
+}
+
+/**
+ * Detect the text encoding of a CSV file (BOM, valid UTF-8, else the Greek fallback)
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Encoding label understood by TextDecoder
+ */
+function detectEncoding(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {return 'utf-8';}
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {return 'utf-16le';}
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return 'utf-8';
+  } catch (e) {
+    return CSV_FALLBACK_ENCODING;
+  }
+}
+
+function countOutsideQuotes(line, delimiter) {
+  let count = 0;
+  let inQuotes = false;
+  for (const ch of line) {
+    if (ch === '"') {inQuotes = !inQuotes;}
+    else if (ch === delimiter && !inQuotes) {count++;}
+  }
+  return count;
+}
+
+/**
+ * Detect the CSV delimiter: the candidate found on the header line with the same count
+ * on most of the first lines wins (e.g. "12,50" prices do not make a ";" file comma separated)
+ * @param {string} text - Decoded CSV text
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(text) {
+  const lines = text.split(/\r\n|\n|\r/).filter(line => line.trim()).slice(0, 10);
+  let best = ',';
+  let bestScore = 0;
+  for (const candidate of CSV_DELIMITERS) {
+    const counts = lines.map(line => countOutsideQuotes(line, candidate));
+    if (!counts[0]) {continue;}
+    const score = counts.filter(c => c === counts[0]).length * 1000 + counts[0];
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Split CSV text into rows of cells (quoted cells may contain delimiters, quotes and line breaks)
+ * @param {string} text - Decoded CSV text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsvText(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch !== '"') {
+        cell += ch;
+      } else if (text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        inQuotes = false;
+      }
+    } else if (ch === '"' && cell === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') {i++;}
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Unique, non-empty header names ("Column 3" for blanks, "Phone (2)" for repeats)
+ */
+function buildHeaders(headerRow) {
+  const seen = new Map();
+  return headerRow.map((value, index) => {
+    const name = String(value ?? '').trim() || `Column ${index + 1}`;
+    const n = (seen.get(name) || 0) + 1;
+    seen.set(name, n);
+    return n > 1 ? `${name} (${n})` : name;
+  });
+}
+
+/**
+ * Parse an import file (XLSX or CSV) into headers and row objects
+ * @param {Buffer} fileBuffer - File contents
+ * @param {Object} [options] - { encoding?, delimiter? } CSV overrides (detected when missing)
+ * @returns {Object} { format: 'xlsx' | 'csv', encoding, delimiter, headers, rows }
+ */
+function parseImportFile(fileBuffer, options = {}) {
+  let format;
+  let encoding = null;
+  let delimiter = null;
+  let table;
+
+  if (isSpreadsheetBuffer(fileBuffer)) {
+    format = 'xlsx';
+    try {
+      const workbook = XLSX.read(fileBuffer, { type: 'buffer' });
+      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+      table = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '' });
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Failed to parse Excel file');
+      throw new Error('Invalid Excel file format');
+    }
+  } else {
+    format = 'csv';
+    encoding = options.encoding || detectEncoding(fileBuffer);
+    let text = new TextDecoder(encoding).decode(fileBuffer);
+    // Excel's "sep=;" hint line
+    const sepHint = text.match(/^sep=(.)\r?\n/i);
+    if (sepHint) {
+      text = text.slice(sepHint[0].length);
+    }
+    delimiter = options.delimiter || (sepHint ? sepHint[1] : detectDelimiter(text));
+    table = parseCsvText(text, delimiter);
+  }
+
+  const nonEmpty = table.filter(row => row.some(cell => String(cell ?? '').trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { format, encoding, delimiter, headers: [], rows: [] };
+  }
+
+  const headers = buildHeaders(nonEmpty[0]);
+  const rows = nonEmpty.slice(1).map(cells => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = cells[index] !== undefined ? String(cells[index]) : '';
+    });
+    return row;
+  });
+
+  return { format, encoding, delimiter, headers, rows };
+}
+
 /**
  * Normalize column name (case-insensitive, trim whitespace)
  * @param {string} colName - Column name from Excel
@@ -54,28 +229,139 @@ function normalizeColumnName(colName) {
   return colName.trim().toLowerCase().replace(/\s+/g, '');
 }
 
+// Contact fields a column can be mapped to (custom attributes are mapped as "custom.<key>")
+const IMPORT_FIELDS = ['firstName', 'lastName', 'phone', 'email', 'gender', 'birthday', 'subscribed', 'tags'];
+
+// Column names recognized without a mapping (normalized, see normalizeColumnName)
+const FIELD_ALIASES = {
+  firstName: ['firstname', 'first_name', 'όνομα'],
+  lastName: ['lastname', 'last_name', 'επώνυμο'],
+  phone: ['phone', 'mobile', 'τηλέφωνο', 'κινητό'],
+  email: ['email', 'e-mail'],
+  gender: ['gender', 'φύλο'],
+  birthday: ['birthday', 'birthdate', 'dateofbirth', 'ημερομηνίαγέννησης'],
+  subscribed: ['subscribed', 'issubscribed'],
+  tags: ['tags', 'tag', 'ετικέτες', 'ετικέτα'],
+};
+
+/**
+ * Suggested column mapping for the import preview (by column name, then attribute key or label)
+ * @param {Array<string>} headers - File headers
+ * @param {Array} [attributes] - Owner's contact attributes
+ * @returns {Object} { header: field | "custom.<key>" | null }
+ */
+function suggestColumnMapping(headers, attributes = []) {
+  const mapping = {};
+  const used = new Set();
+  for (const header of headers) {
+    const normalized = normalizeColumnName(header);
+    let field = IMPORT_FIELDS.find(f => FIELD_ALIASES[f].includes(normalized));
+    if (!field) {
+      const attribute = attributes.find(a =>
+        normalizeColumnName(a.key) === normalized || normalizeColumnName(a.label) === normalized
+      );
+      field = attribute ? `custom.${attribute.key}` : undefined;
+    }
+    if (field && !used.has(field)) {
+      used.add(field);
+      mapping[header] = field;
+    } else {
+      mapping[header] = null;
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Validate a column-to-field mapping submitted for an upload
+ * @param {Object} mapping - { header: field | "custom.<key>" | null (ignored column) }
+ * @param {Array<string>} headers - File headers
+ * @param {Array} [attributes] - Owner's contact attributes
+ * @returns {Object} { ok: true, mapping } or { ok: false, message }
+ */
+function validateColumnMapping(mapping, headers, attributes = []) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { ok: false, message: 'mapping must be an object of { column: field }' };
+  }
+
+  const clean = {};
+  const used = new Set();
+  for (const [header, field] of Object.entries(mapping)) {
+    if (!headers.includes(header)) {
+      return { ok: false, message: `Unknown column "${header}"` };
+    }
+    if (field === null || field === '') {continue;}
+
+    const isCustom = typeof field === 'string' && field.startsWith('custom.');
+    if (isCustom ? !attributes.some(a => `custom.${a.key}` === field) : !IMPORT_FIELDS.includes(field)) {
+      return { ok: false, message: `Unknown field "${field}" for column "${header}"` };
+    }
+    if (used.has(field)) {
+      return { ok: false, message: `Field "${field}" is mapped to more than one column` };
+    }
+    used.add(field);
+    clean[header] = field;
+  }
+
+  if (!used.has('phone')) {
+    return { ok: false, message: 'A column must be mapped to phone' };
+  }
+
+  return { ok: true, mapping: clean };
+}
+
 /**
  * Map Excel row to contact data structure
- * @param {Object} row - Raw row from Excel
+ * Without a mapping, columns are matched by name (FIELD_ALIASES) and custom attribute
+ * columns by key or label (e.g. "loyalty_tier" or "Loyalty Tier")
+ * @param {Object} row - Raw row from the file
+ * @param {Array} [attributes] - Owner's contact attributes
+ * @param {Object} [mapping] - Explicit { header: field | "custom.<key>" } (see validateColumnMapping)
  * @returns {Object} Normalized contact data
  */
-function mapRowToContact(row) {
-  // Create a map of normalized column names to values
-  const columnMap = {};
-  for (const [key, value] of Object.entries(row)) {
-    const normalized = normalizeColumnName(key);
-    columnMap[normalized] = value;
+function mapRowToContact(row, attributes = [], mapping = null) {
+  const values = {};
+  const customFields = {};
+
+  if (mapping) {
+    for (const [header, field] of Object.entries(mapping)) {
+      const value = row[header];
+      if (value === undefined || String(value).trim() === '') {continue;}
+      if (field.startsWith('custom.')) {
+        // Attributes deleted since the upload are ignored
+        const key = field.slice('custom.'.length);
+        if (attributes.some(a => a.key === key)) {
+          customFields[key] = String(value).trim();
+        }
+      } else {
+        values[field] = value;
+      }
+    }
+  } else {
+    // Create a map of normalized column names to values
+    const columnMap = {};
+    for (const [key, value] of Object.entries(row)) {
+      const normalized = normalizeColumnName(key);
+      columnMap[normalized] = value;
+    }
+
+    // Extract values (case-insensitive column matching)
+    for (const field of IMPORT_FIELDS) {
+      const alias = FIELD_ALIASES[field].find(a => columnMap[a]);
+      values[field] = alias ? columnMap[alias] : '';
+    }
+
+    // Raw custom attribute values (validated in validateContactRow)
+    for (const attribute of attributes) {
+      const value = columnMap[normalizeColumnName(attribute.key)] ?? columnMap[normalizeColumnName(attribute.label)];
+      if (value !== undefined && String(value).trim() !== '') {
+        customFields[attribute.key] = String(value).trim();
+      }
+    }
   }
-  
-  // Extract values (case-insensitive column matching)
-  const firstName = columnMap['firstname'] || columnMap['first_name'] || '';
-  const lastName = columnMap['lastname'] || columnMap['last_name'] || '';
-  const phone = columnMap['phone'] || '';
-  const email = columnMap['email'] || '';
-  const gender = columnMap['gender'] || '';
-  const birthday = columnMap['birthday'] || columnMap['birthdate'] || columnMap['dateofbirth'] || '';
-  const subscribed = columnMap['subscribed'] || columnMap['issubscribed'] || '';
-  
+
+  const { firstName, lastName, phone, email, gender, birthday, subscribed, tags } = values;
+
   return {
     firstName: firstName ? String(firstName).trim() : null,
     lastName: lastName ? String(lastName).trim() : null,
@@ -84,6 +370,8 @@ function mapRowToContact(row) {
     gender: gender ? String(gender).trim() : null,
     birthday: birthday ? String(birthday).trim() : null,
     subscribed: subscribed ? String(subscribed).trim() : null,
+    tags: tags ? String(tags).trim() : null,
+    customFields,
   };
 }
 
@@ -111,11 +399,13 @@ function normalizeSubscribed(value) {
  * Validate and normalize a contact row
  * @param {Object} row - Raw row from Excel
  * @param {number} rowIndex - Row index (1-based, for error reporting)
+ * @param {Array} [attributes] - Owner's contact attributes
+ * @param {Object} [mapping] - Explicit column mapping (see mapRowToContact)
  * @returns {Object} { valid: boolean, data: Object, errors: Array<string> }
  */
-function validateContactRow(row, rowIndex) {
+function validateContactRow(row, rowIndex, attributes = [], mapping = null) {
   const errors = [];
-  const mapped = mapRowToContact(row);
+  const mapped = mapRowToContact(row, attributes, mapping);
   
   // Required: phone
   if (!mapped.phone) {
@@ -175,6 +465,29 @@ function validateContactRow(row, rowIndex) {
     }
   }
   
+  // Optional: custom attributes (typed values)
+  if (Object.keys(mapped.customFields).length > 0) {
+    const { normalizeAttributeValue } = require('./contactAttribute.service');
+    for (const attribute of attributes) {
+      if (mapped.customFields[attribute.key] === undefined) {continue;}
+      const result = normalizeAttributeValue(attribute, mapped.customFields[attribute.key]);
+      if (!result.ok) {
+        errors.push(result.message);
+      } else {
+        mapped.customFields[attribute.key] = result.value;
+      }
+    }
+  }
+  
+  // Optional: tags ("vip, wholesale", also ; or | separated)
+  const { normalizeTags } = require('./contactTag.service');
+  const tags = normalizeTags(mapped.tags);
+  if (!tags.ok) {
+    errors.push(tags.message);
+  } else {
+    mapped.tags = tags.tags;
+  }
+  
   // Normalize subscribed
   mapped.isSubscribed = normalizeSubscribed(mapped.subscribed);
   
@@ -194,39 +507,162 @@ function validateContactRow(row, rowIndex) {
   };
 }
 
+const IMPORT_MODES = ['create', 'update', 'upsert'];
+const FIELD_RULES = ['overwrite', 'keep'];
+// Fields an import can change on an existing contact (custom attributes: "customFields" or "custom.<key>")
+const UPDATABLE_FIELDS = ['firstName', 'lastName', 'email', 'gender', 'birthday', 'subscribed', 'tags', 'customFields'];
+// Re-subscribing someone who opted out needs an explicit "overwrite";
+// tags from the file are added to the contact's tags unless told otherwise
+const DEFAULT_FIELD_RULES = { subscribed: 'keep', tags: 'add' };
+
+/**
+ * Validate import mode and per-field rules
+ * @param {Object} input - { mode?: 'create' | 'update' | 'upsert', fieldRules?: { field: 'overwrite' | 'keep' } }
+ *   overwrite: the file's value replaces the contact's value
+ *   keep: the file's value is only used when the contact has none
+ *   add (tags only): the file's tags are added to the contact's tags
+ *   Empty cells never clear existing values.
+ * @returns {Object} { ok: true, mode, fieldRules } or { ok: false, message }
+ */
+function validateImportOptions(input = {}) {
+  const mode = input.mode || 'create';
+  if (!IMPORT_MODES.includes(mode)) {
+    return { ok: false, message: `mode must be one of: ${IMPORT_MODES.join(', ')}` };
+  }
+
+  const fieldRules = { ...DEFAULT_FIELD_RULES };
+  if (input.fieldRules !== undefined && input.fieldRules !== null) {
+    if (typeof input.fieldRules !== 'object' || Array.isArray(input.fieldRules)) {
+      return { ok: false, message: 'fieldRules must be an object of { field: "overwrite" | "keep" }' };
+    }
+    for (const [field, rule] of Object.entries(input.fieldRules)) {
+      if (!UPDATABLE_FIELDS.includes(field) && !field.startsWith('custom.')) {
+        return { ok: false, message: `Unknown field "${field}" in fieldRules` };
+      }
+      if (field === 'tags' ? ![...FIELD_RULES, 'add'].includes(rule) : !FIELD_RULES.includes(rule)) {
+        return { ok: false, message: `Rule for "${field}" must be "overwrite"${field === 'tags' ? ', "keep" or "add"' : ' or "keep"'}` };
+      }
+      fieldRules[field] = rule;
+    }
+  }
+
+  return { ok: true, mode, fieldRules };
+}
+
+/**
+ * Changes an import row makes to an existing contact
+ * @param {Object} existing - Contact
+ * @param {Object} contactData - Validated row (validateContactRow data)
+ * @param {Object} fieldRules - See validateImportOptions
+ * @returns {Object} Prisma update data (empty when nothing changes)
+ */
+function buildContactUpdate(existing, contactData, fieldRules = {}) {
+  const data = {};
+  const ruleFor = (field) => fieldRules[field] || 'overwrite';
+
+  for (const field of ['firstName', 'lastName', 'email', 'gender']) {
+    const value = contactData[field];
+    if (!value || value === existing[field]) {continue;}
+    if (ruleFor(field) === 'keep' && existing[field] !== null) {continue;}
+    data[field] = value;
+  }
+
+  if (contactData.birthday) {
+    const current = existing.birthday ? existing.birthday.toISOString().split('T')[0] : null;
+    if (contactData.birthday !== current && (ruleFor('birthday') === 'overwrite' || current === null)) {
+      data.birthday = new Date(contactData.birthday);
+    }
+  }
+
+  // Only rows with a subscribed cell change the subscription
+  if (contactData.subscribed && ruleFor('subscribed') === 'overwrite' && contactData.isSubscribed !== existing.isSubscribed) {
+    data.isSubscribed = contactData.isSubscribed;
+    data.unsubscribedAt = contactData.isSubscribed ? null : new Date();
+  }
+
+  if (contactData.tags && contactData.tags.length) {
+    const { MAX_TAGS_PER_CONTACT } = require('./contactTag.service');
+    const current = existing.tags || [];
+    let tags = null;
+    if (ruleFor('tags') === 'add') {
+      tags = [...current, ...contactData.tags.filter(tag => !current.includes(tag))];
+    } else if (ruleFor('tags') === 'overwrite' || current.length === 0) {
+      tags = contactData.tags;
+    }
+    const changed = tags && (tags.length !== current.length || tags.some((tag, i) => tag !== current[i]));
+    // Over the limit the tags are left unchanged (as in bulk tagging)
+    if (changed && tags.length <= MAX_TAGS_PER_CONTACT) {
+      data.tags = tags;
+    }
+  }
+
+  const currentFields = existing.customFields || {};
+  const customFields = { ...currentFields };
+  let customChanged = false;
+  for (const [key, value] of Object.entries(contactData.customFields || {})) {
+    const rule = fieldRules[`custom.${key}`] || ruleFor('customFields');
+    if (currentFields[key] === value) {continue;}
+    if (rule === 'keep' && currentFields[key] !== undefined && currentFields[key] !== null) {continue;}
+    customFields[key] = value;
+    customChanged = true;
+  }
+  if (customChanged) {
+    data.customFields = customFields;
+  }
+
+  return data;
+}
+
 /**
- * Process import job - validate and create contacts
- * @param {Object} jobData - Job data { userId, fileBuffer, options }
+ * Process import job - validate and create/update contacts
+ * @param {Object} jobData - Job data { userId, fileBuffer, options: { skipDuplicates, mode?, fieldRules?, listId?, mapping?, encoding?, delimiter? } }
+ *   mode: 'create' (existing phones skipped), 'update' (unknown phones skipped) or 'upsert'
+ *   fieldRules: overwrite/keep per field for updated contacts (see validateImportOptions)
+ *   listId: every valid row (created, updated or already existing contact) is added to this list
+ *   mapping: explicit column mapping from the two-step import (column names are matched otherwise)
+ *   encoding, delimiter: CSV settings from the upload preview
  * @param {Function} progressCallback - Callback to report progress (processed, total)
- * @returns {Object} Import results
+ * @returns {Object} Import results, incl. rows: [{ row, status: 'created' | 'updated' | 'skipped' | 'error', phone, contactId?, message? }]
  */
 async function processImportJob(jobData, progressCallback) {
   const { userId, fileBuffer, options = {} } = jobData;
   const skipDuplicates = options.skipDuplicates !== false; // Default to true
+  const mode = options.mode || 'create';
+  const fieldRules = options.fieldRules || DEFAULT_FIELD_RULES;
   
   const results = {
     created: 0,
+    updated: 0,
     skipped: 0,
     errors: [],
+    rows: [],
   };
+  const listContactIds = []; // contacts to add to options.listId
   
   try {
-    // Parse Excel file
-    const rows = parseExcelFile(fileBuffer);
+    // Parse Excel/CSV file
+    const { format, rows } = parseImportFile(fileBuffer, {
+      encoding: options.encoding,
+      delimiter: options.delimiter,
+    });
     const total = rows.length;
+    const mapping = options.mapping || null;
     
-    logger.info({ userId, total }, 'Starting contact import');
+    logger.info({ userId, total, format, mode, mapped: !!mapping }, 'Starting contact import');
     
     if (total === 0) {
-      throw new Error('Excel file is empty or has no data rows');
+      throw new Error('File is empty or has no data rows');
     }
+
+    const { listAttributes } = require('./contactAttribute.service');
+    const attributes = await listAttributes(userId);
     
     // Process each row
     for (let i = 0; i < rows.length; i++) {
       const row = rows[i];
       
       // Validate row
-      const validation = validateContactRow(row, i);
+      const validation = validateContactRow(row, i, attributes, mapping);
       
       if (!validation.valid) {
         // Add validation errors
@@ -238,79 +674,173 @@ async function processImportJob(jobData, progressCallback) {
           });
         });
         results.skipped++;
+        results.rows.push({
+          row: validation.rowIndex,
+          status: 'error',
+          phone: validation.data.phone || null,
+          message: validation.errors.join('; '),
+        });
         progressCallback(i + 1, total);
         continue;
       }
       
       const contactData = validation.data;
       
-      // Check for duplicate (by phone)
-      if (skipDuplicates) {
-        const existing = await prisma.contact.findUnique({
+      // Existing contact (by phone)
+      const existing = mode !== 'create' || skipDuplicates
+        ? await prisma.contact.findUnique({
           where: {
             ownerId_phone: {
               ownerId: userId,
               phone: contactData.phone,
             },
           },
-        });
+        })
+        : null;
         
-        if (existing) {
-          results.skipped++;
-          results.errors.push({
-            row: validation.rowIndex,
-            field: 'phone',
-            message: `Contact with phone ${contactData.phone} already exists (skipped)`,
-          });
-          progressCallback(i + 1, total);
-          continue;
-        }
+      if (existing && mode === 'create') {
+        listContactIds.push(existing.id);
+        results.skipped++;
+        results.errors.push({
+          row: validation.rowIndex,
+          field: 'phone',
+          message: `Contact with phone ${contactData.phone} already exists (skipped)`,
+        });
+        results.rows.push({
+          row: validation.rowIndex,
+          status: 'skipped',
+          phone: contactData.phone,
+          contactId: existing.id,
+          message: 'Contact already exists',
+        });
+        progressCallback(i + 1, total);
+        continue;
+      }
+
+      if (!existing && mode === 'update') {
+        results.skipped++;
+        results.rows.push({
+          row: validation.rowIndex,
+          status: 'skipped',
+          phone: contactData.phone,
+          message: 'No contact with this phone',
+        });
+        progressCallback(i + 1, total);
+        continue;
       }
       
-      // Create contact
       try {
-        const { hash } = newUnsubTokenHash();
-        
-        await prisma.contact.create({
-          data: {
-            ownerId: userId,
+        if (existing) {
+          // Update contact
+          listContactIds.push(existing.id);
+          const data = buildContactUpdate(existing, contactData, fieldRules);
+          if (Object.keys(data).length === 0) {
+            results.skipped++;
+            results.rows.push({
+              row: validation.rowIndex,
+              status: 'skipped',
+              phone: contactData.phone,
+              contactId: existing.id,
+              message: 'No changes',
+            });
+          } else {
+            await prisma.contact.update({ where: { id: existing.id }, data });
+            if (data.isSubscribed !== undefined) {
+              const { recordContactEvents, subscriptionEvents } = require('./contactEvent.service');
+              await recordContactEvents(subscriptionEvents(userId, [existing.id], data.isSubscribed, 'import'));
+            }
+            results.updated++;
+            results.rows.push({
+              row: validation.rowIndex,
+              status: 'updated',
+              phone: contactData.phone,
+              contactId: existing.id,
+              message: `Updated: ${Object.keys(data).filter(k => k !== 'unsubscribedAt').join(', ')}`,
+            });
+          }
+        } else {
+          // Create contact
+          const { hash } = newUnsubTokenHash();
+          
+          const contact = await prisma.contact.create({
+            data: {
+              ownerId: userId,
+              phone: contactData.phone,
+              email: contactData.email,
+              firstName: contactData.firstName,
+              lastName: contactData.lastName,
+              gender: contactData.gender,
+              birthday: contactData.birthday ? new Date(contactData.birthday) : null,
+              customFields: Object.keys(contactData.customFields).length ? contactData.customFields : undefined,
+              tags: contactData.tags,
+              isSubscribed: contactData.isSubscribed,
+              unsubscribeTokenHash: hash,
+            },
+          });
+          
+          listContactIds.push(contact.id);
+          results.created++;
+          results.rows.push({
+            row: validation.rowIndex,
+            status: 'created',
             phone: contactData.phone,
-            email: contactData.email,
-            firstName: contactData.firstName,
-            lastName: contactData.lastName,
-            gender: contactData.gender,
-            birthday: contactData.birthday ? new Date(contactData.birthday) : null,
-            isSubscribed: contactData.isSubscribed,
-            unsubscribeTokenHash: hash,
-          },
-        });
-        
-        results.created++;
+            contactId: contact.id,
+          });
+        }
       } catch (dbError) {
         // Database error (e.g., constraint violation)
         logger.error({ 
           row: validation.rowIndex, 
           error: dbError.message,
           phone: contactData.phone 
-        }, 'Failed to create contact');
+        }, existing ? 'Failed to update contact' : 'Failed to create contact');
         
+        const message = `Failed to ${existing ? 'update' : 'create'} contact: ${dbError.message}`;
         results.errors.push({
           row: validation.rowIndex,
           field: 'database',
-          message: `Failed to create contact: ${dbError.message}`,
+          message,
         });
         results.skipped++;
+        results.rows.push({
+          row: validation.rowIndex,
+          status: 'error',
+          phone: contactData.phone,
+          message,
+        });
       }
       
       // Report progress
       progressCallback(i + 1, total);
     }
     
+    // Filtered lists pick up the new and changed contacts
+    if (results.created > 0 || results.updated > 0) {
+      const { syncAllFilteredLists } = require('./listSegmentation.service');
+      try {
+        await syncAllFilteredLists(userId);
+      } catch (err) {
+        logger.warn({ userId, err: err.message }, 'Failed to sync filtered lists after import');
+      }
+    }
+
+    // Put the imported rows into the target list
+    if (options.listId) {
+      const list = await prisma.list.findFirst({ where: { id: options.listId, ownerId: userId }, select: { id: true } });
+      if (list) {
+        const { addContactsToList } = require('./listMembership.service');
+        const added = await addContactsToList(userId, list.id, [...new Set(listContactIds)], 'import');
+        results.list = { id: list.id, added };
+      }
+    }
+
     logger.info({ 
       userId, 
       created: results.created, 
+      updated: results.updated, 
       skipped: results.skipped, 
-      errors: results.errors.length 
+      errors: results.errors.length,
+      listId: results.list ? results.list.id : null
     }, 'Contact import completed');
     
     return results;
@@ -320,11 +850,168 @@ async function processImportJob(jobData, progressCallback) {
   }
 }
 
+const RESULT_STATUS_COLUMN = 'Import status';
+const RESULT_MESSAGE_COLUMN = 'Import message';
+
+/**
+ * Results file of a finished import: every row of the original file with its status and reason,
+ * so failed rows can be fixed and uploaded again (the extra columns are ignored on import)
+ * @param {Object} jobData - Import job data { fileBuffer, options }
+ * @param {Object} result - processImportJob result
+ * @param {Object} [options] - { format: 'xlsx' | 'csv', statuses?: Array<string> (only these rows) }
+ * @returns {Object} { buffer, contentType, extension }
+ */
+function buildImportResultsFile(jobData, result, options = {}) {
+  const { fileBuffer, options: importOptions = {} } = jobData;
+  const buffer = Buffer.isBuffer(fileBuffer) ? fileBuffer : Buffer.from(fileBuffer);
+  const { headers, rows, delimiter } = parseImportFile(buffer, {
+    encoding: importOptions.encoding,
+    delimiter: importOptions.delimiter,
+  });
+
+  const outcomes = new Map((result.rows || []).map(r => [r.row, r]));
+  const data = [];
+  rows.forEach((row, index) => {
+    const outcome = outcomes.get(index + 1);
+    const status = outcome ? outcome.status : 'error';
+    if (options.statuses && !options.statuses.includes(status)) {return;}
+    data.push({
+      ...row,
+      [RESULT_STATUS_COLUMN]: status,
+      [RESULT_MESSAGE_COLUMN]: outcome ? outcome.message || '' : 'Not processed',
+    });
+  });
+
+  const worksheet = XLSX.utils.json_to_sheet(data, {
+    header: [...headers, RESULT_STATUS_COLUMN, RESULT_MESSAGE_COLUMN],
+  });
+
+  if (options.format === 'csv') {
+    // UTF-8 with BOM so Excel shows Greek text, same delimiter as the uploaded file
+    const csv = XLSX.utils.sheet_to_csv(worksheet, { FS: delimiter || ',' });
+    return {
+      buffer: Buffer.from(`\uFEFF${csv}`, 'utf8'),
+      contentType: 'text/csv; charset=utf-8',
+      extension: 'csv',
+    };
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Results');
+  return {
+    buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  };
+}
+
+function uploadKey(uploadId) {
+  return `contact_import_upload:${uploadId}`;
+}
+
+/**
+ * Parse an uploaded file and keep it (1 hour) until the column mapping is submitted
+ * @param {number} userId - Owner ID
+ * @param {Buffer} fileBuffer - File contents
+ * @param {Object} [options] - { encoding?, delimiter? } CSV overrides
+ * @returns {Promise<Object>} { ok: true, preview } or { ok: false, reason: 'invalid' | 'unavailable', message }
+ */
+async function createImportUpload(userId, fileBuffer, options = {}) {
+  if (options.encoding && !CSV_ENCODINGS.includes(options.encoding)) {
+    return { ok: false, reason: 'invalid', message: `encoding must be one of: ${CSV_ENCODINGS.join(', ')}` };
+  }
+  if (options.delimiter && !CSV_DELIMITERS.includes(options.delimiter)) {
+    return { ok: false, reason: 'invalid', message: 'delimiter must be one of: comma, semicolon, tab, pipe' };
+  }
+
+  let parsed;
+  try {
+    parsed = parseImportFile(fileBuffer, options);
+  } catch (error) {
+    return { ok: false, reason: 'invalid', message: error.message };
+  }
+  if (parsed.rows.length === 0) {
+    return { ok: false, reason: 'invalid', message: 'File is empty or has no data rows' };
+  }
+
+  const { getRedisClient } = require('../lib/redis');
+  const redis = getRedisClient();
+  if (!redis) {
+    return { ok: false, reason: 'unavailable', message: 'Import service is currently unavailable' };
+  }
+
+  const uploadId = crypto.randomUUID();
+  const { format, encoding, delimiter, headers, rows } = parsed;
+  await redis.set(uploadKey(uploadId), JSON.stringify({
+    userId,
+    format,
+    encoding,
+    delimiter,
+    headers,
+    file: fileBuffer.toString('base64'),
+  }), 'EX', UPLOAD_TTL_SECONDS);
+
+  const { listAttributes } = require('./contactAttribute.service');
+  const attributes = await listAttributes(userId);
+
+  return {
+    ok: true,
+    preview: {
+      uploadId,
+      format,
+      encoding,
+      delimiter,
+      headers,
+      sampleRows: rows.slice(0, SAMPLE_ROWS),
+      totalRows: rows.length,
+      suggestedMapping: suggestColumnMapping(headers, attributes),
+      fields: [
+        ...IMPORT_FIELDS.map(field => ({ field, label: field })),
+        ...attributes.map(a => ({ field: `custom.${a.key}`, label: a.label })),
+      ],
+      expiresIn: UPLOAD_TTL_SECONDS,
+    },
+  };
+}
+
+/**
+ * Load an upload made with createImportUpload (scoped to its owner)
+ * @returns {Promise<Object|null>} { format, encoding, delimiter, headers, fileBuffer } or null if unknown/expired
+ */
+async function getImportUpload(userId, uploadId) {
+  const { getRedisClient } = require('../lib/redis');
+  const redis = getRedisClient();
+  if (!redis || !uploadId || typeof uploadId !== 'string') {
+    return null;
+  }
+  const raw = await redis.get(uploadKey(uploadId));
+  if (!raw) {
+    return null;
+  }
+  const { file, ...upload } = JSON.parse(raw);
+  if (upload.userId !== userId) {
+    return null;
+  }
+  return { ...upload, fileBuffer: Buffer.from(file, 'base64') };
+}
+
+/**
+ * Forget an upload once its import job is queued
+ */
+async function deleteImportUpload(uploadId) {
+  const { getRedisClient } = require('../lib/redis');
+  const redis = getRedisClient();
+  if (redis) {
+    await redis.del(uploadKey(uploadId));
+  }
+}
+
 /**
  * Generate sample Excel template file
+ * @param {Array} [attributes] - Owner's contact attributes (added as empty columns)
  * @returns {Buffer} Excel file buffer
  */
-function generateTemplateFile() {
+function generateTemplateFile(attributes = []) {
   const sampleData = [
     {
       firstName: 'John',
@@ -334,6 +1021,7 @@ function generateTemplateFile() {
       gender: 'male',
       birthday: '1990-01-15',
       subscribed: 'Yes',
+      tags: 'vip, wholesale',
     },
     {
       firstName: 'Jane',
@@ -343,6 +1031,7 @@ function generateTemplateFile() {
       gender: 'female',
       birthday: '1985-05-20',
       subscribed: 'Yes',
+      tags: '',
     },
     {
       firstName: 'Alex',
@@ -352,9 +1041,14 @@ function generateTemplateFile() {
       gender: 'other',
       birthday: '1995-12-10',
       subscribed: 'No',
+      tags: 'staff',
     },
   ];
   
+  for (const row of sampleData) {
+    attributes.forEach(attribute => { row[attribute.key] = ''; });
+  }
+  
   // Create workbook
   const workbook = XLSX.utils.book_new();
   const worksheet = XLSX.utils.json_to_sheet(sampleData);
@@ -370,8 +1064,18 @@ function generateTemplateFile() {
 
 module.exports = {
   parseExcelFile,
+  parseImportFile,
+  suggestColumnMapping,
+  validateColumnMapping,
+  mapRowToContact,
   validateContactRow,
+  validateImportOptions,
+  buildContactUpdate,
   processImportJob,
+  buildImportResultsFile,
   generateTemplateFile,
+  createImportUpload,
+  getImportUpload,
+  deleteImportUpload,
 };
 
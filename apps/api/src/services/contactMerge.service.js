@@ -0,0 +1,279 @@
+// apps/api/src/services/contactMerge.service.js
+// Likely duplicate contacts (same phone, same email, similar name) and merging them into one contact
+
+const prisma = require('../lib/prisma');
+const pino = require('pino');
+
+const logger = pino({ name: 'contact-merge-service' });
+
+const MATCH_TYPES = ['phone', 'email', 'name'];
+const MAX_MERGE_DUPLICATES = 50;
+
+// Rows pointing at a contact that move to the surviving contact on merge
+const CONTACT_REFERENCE_MODELS = [
+  'campaignMessage',
+  'automationMessage',
+  'redemption',
+  'automationRedemption',
+  'conversionEvent',
+  'nfcScan',
+  'offerViewEvent',
+  'contactEvent'
+];
+
+// Profile fields copied from a duplicate when the survivor has no value
+const FILLABLE_FIELDS = ['email', 'firstName', 'lastName', 'gender', 'birthday'];
+
+/**
+ * Name comparison key: lowercase, no accents, Greek final sigma folded, word order ignored
+ * (e.g. "Μαρία Παπαδοπούλου" and "ΠΑΠΑΔΟΠΟΥΛΟΥ Μαρια" match)
+ */
+function nameKey(firstName, lastName) {
+  const words = `${firstName || ''} ${lastName || ''}`
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/ς/g, 'σ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  // A single word (first name only) is too weak to call two contacts the same person
+  if (words.length < 2) {
+    return null;
+  }
+  return words.sort().join(' ');
+}
+
+function duplicateKeys(contact, matchOn) {
+  const keys = [];
+  if (matchOn.includes('phone') && contact.phone) {
+    const { normalizePhoneToE164 } = require('../lib/phone');
+    keys.push(['phone', `phone:${normalizePhoneToE164(contact.phone) || contact.phone}`]);
+  }
+  if (matchOn.includes('email') && contact.email) {
+    keys.push(['email', `email:${contact.email.trim().toLowerCase()}`]);
+  }
+  if (matchOn.includes('name')) {
+    const key = nameKey(contact.firstName, contact.lastName);
+    if (key) {
+      keys.push(['name', `name:${key}`]);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Find groups of likely duplicate contacts.
+ * Contacts sharing any key (normalized phone, email, name) end up in the same group.
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} [options] - { matchOn?: ['phone', 'email', 'name'], page?, pageSize? }
+ * @returns {Promise<Object>} { ok: true, items: [{ reasons, suggestedSurvivorId, contacts }], total, page, pageSize }
+ *   or { ok: false, reason: 'invalid', message }
+ */
+async function findDuplicateContacts(ownerId, options = {}) {
+  const matchOn = options.matchOn && options.matchOn.length ? options.matchOn : MATCH_TYPES;
+  if (matchOn.some(type => !MATCH_TYPES.includes(type))) {
+    return { ok: false, reason: 'invalid', message: `matchOn must be one or more of: ${MATCH_TYPES.join(', ')}` };
+  }
+  const page = Math.max(1, options.page || 1);
+  const pageSize = Math.min(100, Math.max(1, options.pageSize || 20));
+
+  const contacts = await prisma.contact.findMany({
+    where: { ownerId },
+    select: {
+      id: true,
+      phone: true,
+      email: true,
+      firstName: true,
+      lastName: true,
+      isSubscribed: true,
+      createdAt: true
+    },
+    orderBy: { id: 'asc' }
+  });
+
+  // Union-find over contacts that share a key
+  const parent = new Map(contacts.map(c => [c.id, c.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const firstByKey = new Map();
+  const linkReasons = [];
+  for (const contact of contacts) {
+    for (const [reason, key] of duplicateKeys(contact, matchOn)) {
+      const other = firstByKey.get(key);
+      if (other === undefined) {
+        firstByKey.set(key, contact.id);
+        continue;
+      }
+      const a = find(other);
+      const b = find(contact.id);
+      if (a !== b) {
+        parent.set(b, a);
+      }
+      linkReasons.push([contact.id, reason]);
+    }
+  }
+  const reasonsByRoot = new Map(); // group root id -> Set of reasons
+  for (const [id, reason] of linkReasons) {
+    const root = find(id);
+    if (!reasonsByRoot.has(root)) {
+      reasonsByRoot.set(root, new Set());
+    }
+    reasonsByRoot.get(root).add(reason);
+  }
+
+  const groups = new Map();
+  for (const contact of contacts) {
+    const root = find(contact.id);
+    if (!reasonsByRoot.has(root)) {
+      continue;
+    }
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(contact);
+  }
+
+  const items = [...groups.entries()]
+    .map(([root, members]) => ({
+      reasons: MATCH_TYPES.filter(type => reasonsByRoot.get(root).has(type)),
+      // Oldest contact keeps its history and unsubscribe token
+      suggestedSurvivorId: members[0].id,
+      contacts: members
+    }))
+    .sort((a, b) => b.contacts.length - a.contacts.length || a.suggestedSurvivorId - b.suggestedSurvivorId);
+
+  return {
+    ok: true,
+    items: items.slice((page - 1) * pageSize, page * pageSize),
+    total: items.length,
+    page,
+    pageSize
+  };
+}
+
+/**
+ * Merge duplicates into a surviving contact.
+ * Messages, redemptions, conversions, NFC scans, offer views, timeline events and list memberships move to the survivor;
+ * empty profile fields and custom fields are filled from the duplicates, tags are combined; the duplicates are deleted.
+ * If any of the contacts unsubscribed, the survivor ends up unsubscribed.
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {number} survivorId - Contact that is kept
+ * @param {Array<number>} duplicateIds - Contacts merged into the survivor
+ * @returns {Promise<Object>} { ok: true, contact, merged } or { ok: false, reason: 'invalid' | 'not_found', message }
+ */
+async function mergeContacts(ownerId, survivorId, duplicateIds) {
+  if (!Number.isInteger(survivorId) || survivorId <= 0) {
+    return { ok: false, reason: 'invalid', message: 'survivorId must be a contact ID' };
+  }
+  if (!Array.isArray(duplicateIds) || duplicateIds.length === 0 || duplicateIds.some(id => !Number.isInteger(id) || id <= 0)) {
+    return { ok: false, reason: 'invalid', message: 'duplicateIds must be a non-empty array of contact IDs' };
+  }
+  const ids = [...new Set(duplicateIds)];
+  if (ids.includes(survivorId)) {
+    return { ok: false, reason: 'invalid', message: 'The surviving contact cannot be one of the duplicates' };
+  }
+  if (ids.length > MAX_MERGE_DUPLICATES) {
+    return { ok: false, reason: 'invalid', message: `At most ${MAX_MERGE_DUPLICATES} duplicates per merge` };
+  }
+
+  const [survivor, duplicates] = await Promise.all([
+    prisma.contact.findFirst({ where: { id: survivorId, ownerId } }),
+    prisma.contact.findMany({ where: { id: { in: ids }, ownerId }, orderBy: { id: 'asc' } })
+  ]);
+  if (!survivor || duplicates.length !== ids.length) {
+    return { ok: false, reason: 'not_found', message: 'Contact not found' };
+  }
+
+  const data = {};
+  for (const field of FILLABLE_FIELDS) {
+    if (survivor[field] === null) {
+      const source = duplicates.find(d => d[field] !== null);
+      if (source) {
+        data[field] = source[field];
+      }
+    }
+  }
+
+  // Survivor's values win, duplicates only add keys it does not have
+  const customFields = duplicates.reduceRight(
+    (acc, d) => ({ ...acc, ...(d.customFields || {}) }),
+    {}
+  );
+  if (Object.keys(customFields).length) {
+    data.customFields = { ...customFields, ...(survivor.customFields || {}) };
+  }
+
+  // Tags of all records, the survivor's first
+  const { MAX_TAGS_PER_CONTACT } = require('./contactTag.service');
+  const tags = [...new Set([survivor, ...duplicates].flatMap(c => c.tags || []))].slice(0, MAX_TAGS_PER_CONTACT);
+  if (tags.length > (survivor.tags || []).length) {
+    data.tags = tags;
+  }
+
+  // An unsubscribe on any of the records must be honoured
+  const unsubscribed = [survivor, ...duplicates].filter(c => !c.isSubscribed);
+  if (survivor.isSubscribed && unsubscribed.length) {
+    data.isSubscribed = false;
+    data.unsubscribedAt = unsubscribed
+      .map(c => c.unsubscribedAt)
+      .filter(Boolean)
+      .sort((a, b) => b - a)[0] || new Date();
+  }
+
+  const contact = await prisma.$transaction(async (tx) => {
+    for (const model of CONTACT_REFERENCE_MODELS) {
+      await tx[model].updateMany({
+        where: { contactId: { in: ids } },
+        data: { contactId: survivorId }
+      });
+    }
+
+    const [memberships, survivorMemberships] = await Promise.all([
+      tx.listMembership.findMany({ where: { contactId: { in: ids } }, select: { listId: true } }),
+      tx.listMembership.findMany({ where: { contactId: survivorId }, select: { listId: true } })
+    ]);
+    const current = new Set(survivorMemberships.map(m => m.listId));
+    const newListIds = [...new Set(memberships.map(m => m.listId))].filter(listId => !current.has(listId));
+    if (newListIds.length) {
+      await tx.listMembership.createMany({
+        data: newListIds.map(listId => ({ listId, contactId: survivorId })),
+        skipDuplicates: true
+      });
+    }
+
+    const { recordContactEvents, listMembershipEvents, subscriptionEvents } = require('./contactEvent.service');
+    await recordContactEvents([
+      ...newListIds.flatMap(listId => listMembershipEvents(ownerId, listId, [survivorId], 'list_joined', 'merge')),
+      ...(data.isSubscribed === false ? subscriptionEvents(ownerId, [survivorId], false, 'merge') : [])
+    ], tx);
+
+    // Remaining memberships go with the duplicates (cascade)
+    await tx.contact.deleteMany({ where: { id: { in: ids }, ownerId } });
+
+    return Object.keys(data).length
+      ? tx.contact.update({ where: { id: survivorId }, data })
+      : survivor;
+  });
+
+  // Filled-in gender/birthday can change filtered list membership
+  const { syncContactListMembershipsSafe } = require('./listSegmentation.service');
+  await syncContactListMembershipsSafe(ownerId, [survivorId]);
+
+  logger.info({ ownerId, survivorId, merged: ids }, 'Contacts merged');
+
+  return { ok: true, contact, merged: ids.length };
+}
+
+module.exports = {
+  findDuplicateContacts,
+  mergeContacts
+};
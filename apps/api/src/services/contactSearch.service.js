@@ -0,0 +1,107 @@
+// apps/api/src/services/contactSearch.service.js
+// Contact search filters of GET /contacts, shared with bulk operations and export
+
+const prisma = require('../lib/prisma');
+
+function isPredefinedListId(listId) {
+  return listId.startsWith('gender_') || listId.startsWith('age_') || listId === 'all';
+}
+
+/**
+ * Build a Prisma contact `where` from GET /contacts filters.
+ * Virtual lists ("gender_male", "age_18_24", "all") become their gender / birthday conditions
+ * (no cap on the number of contacts); lists with segmentation filters and plain lists
+ * (memberships) are resolved to contact IDs.
+ *
+ * @param {number} ownerId - Owner ID (scope)
+ * @param {Object} filters - { q?, isSubscribed? ('true' | 'false' | boolean), listId?, tag? }
+ * @returns {Promise<Object>} { ok: true, where } or { ok: false, reason: 'invalid' | 'not_found', message }
+ */
+async function buildContactSearchWhere(ownerId, filters = {}) {
+  const q = (filters.q || '').toString().trim();
+  const sub = (filters.isSubscribed ?? '').toString().toLowerCase();
+  const listIdRaw = filters.listId !== undefined && filters.listId !== null && filters.listId !== '' ? String(filters.listId) : null;
+
+  const where = { ownerId };
+
+  if (listIdRaw) {
+    let contactIds;
+    if (isPredefinedListId(listIdRaw)) {
+      const { getPredefinedListWhere } = require('./predefinedLists.service');
+      const listWhere = getPredefinedListWhere(listIdRaw, ownerId);
+      // Kept apart from the isSubscribed filter below (subscribed-only list + isSubscribed=false = no contacts)
+      if (listWhere) {
+        where.AND = [listWhere];
+      } else {
+        contactIds = [];
+      }
+    } else {
+      const listId = Number(listIdRaw);
+      if (!Number.isInteger(listId) || listId <= 0) {
+        return { ok: false, reason: 'invalid', message: 'Invalid list ID' };
+      }
+      const list = await prisma.list.findFirst({ where: { id: listId, ownerId } });
+      if (!list) {
+        return { ok: false, reason: 'not_found', message: 'List not found' };
+      }
+
+      if (list.filterGender || list.filterAgeMin !== null || list.filterAgeMax !== null) {
+        const { getContactsMatchingFilters } = require('./listSegmentation.service');
+        contactIds = await getContactsMatchingFilters(listId, ownerId);
+      } else {
+        const memberships = await prisma.listMembership.findMany({
+          where: { listId },
+          select: { contactId: true }
+        });
+        contactIds = memberships.map(m => m.contactId);
+      }
+    }
+    if (contactIds) {
+      where.id = { in: contactIds };
+    }
+  }
+
+  if (q) {
+    where.OR = [
+      { phone: { contains: q, mode: 'insensitive' } },
+      { email: { contains: q, mode: 'insensitive' } },
+      { firstName: { contains: q, mode: 'insensitive' } },
+      { lastName: { contains: q, mode: 'insensitive' } }
+    ];
+  }
+
+  if (sub === 'true') {where.isSubscribed = true;}
+  if (sub === 'false') {where.isSubscribed = false;}
+
+  if (filters.tag) {
+    const { normalizeTag } = require('./contactTag.service');
+    where.tags = { has: normalizeTag(filters.tag) };
+  }
+
+  return { ok: true, where };
+}
+
+/**
+ * IDs of the owner's contacts matching GET /contacts filters
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} filters - See buildContactSearchWhere
+ * @returns {Promise<Object>} { ok: true, ids } or { ok: false, reason, message }
+ */
+async function findContactIds(ownerId, filters = {}) {
+  const result = await buildContactSearchWhere(ownerId, filters);
+  if (!result.ok) {
+    return result;
+  }
+  const contacts = await prisma.contact.findMany({
+    where: result.where,
+    select: { id: true },
+    orderBy: { id: 'desc' }
+  });
+  return { ok: true, ids: contacts.map(c => c.id) };
+}
+
+module.exports = {
+  buildContactSearchWhere,
+  findContactIds
+};
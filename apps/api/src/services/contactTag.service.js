@@ -0,0 +1,143 @@
+// apps/api/src/services/contactTag.service.js
+// Free-form contact tags ("vip", "wholesale"): validation, bulk tagging and the owner's tag list
+
+const prisma = require('../lib/prisma');
+const pino = require('pino');
+
+const logger = pino({ name: 'contact-tag-service' });
+
+const MAX_TAGS_PER_CONTACT = 20;
+const MAX_TAG_LENGTH = 32;
+const BATCH_SIZE = 1000;
+
+/**
+ * Tag as stored: trimmed, lowercase, single spaces ("  VIP  Clients" -> "vip clients")
+ */
+function normalizeTag(value) {
+  return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Validate and normalize tags (duplicates removed, order kept)
+ *
+ * @param {Array<string>|string} input - Tags, or one string separated by , ; or |
+ * @returns {Object} { ok: true, tags } or { ok: false, message }
+ */
+function normalizeTags(input) {
+  if (input === null || input === undefined || input === '') {
+    return { ok: true, tags: [] };
+  }
+  const values = typeof input === 'string' ? input.split(/[,;|]/) : input;
+  if (!Array.isArray(values) || values.some(v => typeof v !== 'string')) {
+    return { ok: false, message: 'tags must be a list of text values' };
+  }
+
+  const tags = [];
+  for (const value of values) {
+    const tag = normalizeTag(value);
+    if (!tag) {continue;}
+    if (tag.length > MAX_TAG_LENGTH) {
+      return { ok: false, message: `Tags can be at most ${MAX_TAG_LENGTH} characters ("${tag}")` };
+    }
+    if (!tags.includes(tag)) {
+      tags.push(tag);
+    }
+  }
+  if (tags.length > MAX_TAGS_PER_CONTACT) {
+    return { ok: false, message: `A contact can have at most ${MAX_TAGS_PER_CONTACT} tags` };
+  }
+  return { ok: true, tags };
+}
+
+/**
+ * The owner's tags with the number of contacts carrying each
+ *
+ * @param {number} ownerId - Owner ID
+ * @returns {Promise<Array>} [{ tag, contacts }] most used first
+ */
+async function listTags(ownerId) {
+  const rows = await prisma.$queryRaw`
+    SELECT "tag", COUNT(*)::int AS "contacts"
+    FROM "Contact", unnest("tags") AS "tag"
+    WHERE "ownerId" = ${ownerId}
+    GROUP BY "tag"
+    ORDER BY "contacts" DESC, "tag" ASC`;
+  return rows.map(r => ({ tag: r.tag, contacts: r.contacts }));
+}
+
+/**
+ * Add and/or remove tags on many contacts
+ * Contacts that would end up with more than MAX_TAGS_PER_CONTACT tags are left unchanged.
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} input - { add?: string[], remove?: string[], contactIds?: number[], filter?: { q?, isSubscribed?, listId?, tag? } }
+ * @returns {Promise<Object>} { ok: true, matched, updated, tooManyTags } or { ok: false, reason, message }
+ */
+async function bulkUpdateTags(ownerId, input = {}) {
+  const add = normalizeTags(input.add);
+  if (!add.ok) {
+    return { ok: false, reason: 'invalid', message: `add: ${add.message}` };
+  }
+  const remove = normalizeTags(input.remove);
+  if (!remove.ok) {
+    return { ok: false, reason: 'invalid', message: `remove: ${remove.message}` };
+  }
+  if (!add.tags.length && !remove.tags.length) {
+    return { ok: false, reason: 'invalid', message: 'Provide tags to add and/or remove' };
+  }
+  if (add.tags.some(tag => remove.tags.includes(tag))) {
+    return { ok: false, reason: 'invalid', message: 'A tag cannot be both added and removed' };
+  }
+
+  const { resolveContactSelection } = require('./listMembership.service');
+  const selection = await resolveContactSelection(ownerId, { contactIds: input.contactIds, filter: input.filter });
+  if (!selection.ok) {
+    return selection;
+  }
+
+  let updated = 0;
+  let tooManyTags = 0;
+  for (let i = 0; i < selection.ids.length; i += BATCH_SIZE) {
+    const contacts = await prisma.contact.findMany({
+      where: { ownerId, id: { in: selection.ids.slice(i, i + BATCH_SIZE) } },
+      select: { id: true, tags: true }
+    });
+
+    // Contacts ending up with the same tags are updated together
+    const byTags = new Map();
+    for (const contact of contacts) {
+      const current = contact.tags || [];
+      const kept = current.filter(tag => !remove.tags.includes(tag));
+      const tags = [...kept, ...add.tags.filter(tag => !kept.includes(tag))];
+      if (tags.length === current.length && tags.every((tag, index) => tag === current[index])) {continue;}
+      if (tags.length > MAX_TAGS_PER_CONTACT) {
+        tooManyTags++;
+        continue;
+      }
+      const key = JSON.stringify(tags);
+      if (!byTags.has(key)) {
+        byTags.set(key, { tags, ids: [] });
+      }
+      byTags.get(key).ids.push(contact.id);
+    }
+
+    for (const { tags, ids } of byTags.values()) {
+      const result = await prisma.contact.updateMany({
+        where: { ownerId, id: { in: ids } },
+        data: { tags }
+      });
+      updated += result.count;
+    }
+  }
+
+  logger.info({ ownerId, matched: selection.ids.length, updated, tooManyTags, add: add.tags, remove: remove.tags }, 'Contact tags updated');
+  return { ok: true, matched: selection.ids.length, updated, tooManyTags };
+}
+
+module.exports = {
+  MAX_TAGS_PER_CONTACT,
+  normalizeTag,
+  normalizeTags,
+  listTags,
+  bulkUpdateTags
+};
@@ -0,0 +1,261 @@
+// apps/api/src/services/contactTimeline.service.js
+// Everything that happened to a contact, merged into one chronological timeline
+
+const prisma = require('../lib/prisma');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Timeline of a contact: messages (with delivery status), offer views, redemptions,
+ * NFC scans, conversions, list joins/leaves and subscription changes.
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {number} contactId - Contact ID
+ * @param {Object} [options] - { limit?, order?: 'desc' (newest first, default) | 'asc', cursor? (ISO date of the last item seen) }
+ * @returns {Promise<Object>} { ok: true, items: [{ type, at, ... }], nextCursor } or { ok: false, reason: 'invalid' | 'not_found', message }
+ */
+async function getContactTimeline(ownerId, contactId, options = {}) {
+  const limit = Math.min(MAX_LIMIT, Math.max(1, options.limit || DEFAULT_LIMIT));
+  const order = options.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    return { ok: false, reason: 'invalid', message: 'order must be asc or desc' };
+  }
+  let cursor = null;
+  if (options.cursor) {
+    cursor = new Date(options.cursor);
+    if (isNaN(cursor.getTime())) {
+      return { ok: false, reason: 'invalid', message: 'cursor must be a date' };
+    }
+  }
+
+  const contact = await prisma.contact.findFirst({ where: { id: contactId, ownerId } });
+  if (!contact) {
+    return { ok: false, reason: 'not_found', message: 'Contact not found' };
+  }
+
+  // Each source is read up to `limit` + 1 items past the cursor (the extra one tells if there is more),
+  // then everything is merged
+  const afterCursor = {
+    where: (field) => (cursor ? { [field]: order === 'desc' ? { lt: cursor } : { gt: cursor } } : {}),
+    test: (date) => !cursor || (order === 'desc' ? date < cursor : date > cursor)
+  };
+  const items = await loadTimelineItems(ownerId, contact, afterCursor, order, limit + 1);
+
+  items.sort((a, b) => (order === 'desc' ? b.at - a.at : a.at - b.at));
+  if (items.length <= limit) {
+    return { ok: true, items, nextCursor: null };
+  }
+
+  // Items sharing a timestamp stay on the same page (the cursor excludes its own timestamp)
+  const boundary = items[limit].at;
+  let end = limit;
+  while (end > 0 && items[end - 1].at.getTime() === boundary.getTime()) {
+    end--;
+  }
+  // The whole page shares one timestamp (e.g. events written by one createMany):
+  // return everything at that instant, even past `limit`, so the next page skips none of it
+  const pageItems = end > 0
+    ? items.slice(0, end)
+    : await loadTimelineItems(ownerId, contact, {
+      where: (field) => ({ [field]: boundary }),
+      test: (date) => date.getTime() === boundary.getTime()
+    }, order);
+
+  return {
+    ok: true,
+    items: pageItems,
+    nextCursor: pageItems[pageItems.length - 1].at.toISOString()
+  };
+}
+
+/**
+ * Timeline items of every source inside a time window, unsorted
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} contact - Contact ({ id, createdAt, isSubscribed, unsubscribedAt })
+ * @param {Object} timeWindow - { where(field) - Prisma condition on a source's date field, test(date) }
+ * @param {string} order - 'asc' | 'desc' (which end of each source `take` keeps)
+ * @param {number} [take] - Items read per source (all when omitted)
+ * @returns {Promise<Array>} [{ type, at, ... }]
+ */
+async function loadTimelineItems(ownerId, contact, timeWindow, order, take) {
+  const contactId = contact.id;
+  const page = (field) => ({ orderBy: { [field]: order }, take });
+
+  const [
+    campaignMessages,
+    automationMessages,
+    offerViews,
+    redemptions,
+    automationRedemptions,
+    nfcScans,
+    conversions,
+    events
+  ] = await Promise.all([
+    prisma.campaignMessage.findMany({
+      where: { ownerId, contactId, ...timeWindow.where('createdAt') },
+      select: {
+        id: true,
+        campaignId: true,
+        campaign: { select: { name: true } },
+        text: true,
+        status: true,
+        error: true,
+        createdAt: true,
+        sentAt: true,
+        failedAt: true
+      },
+      ...page('createdAt')
+    }),
+    prisma.automationMessage.findMany({
+      where: { ownerId, contactId, ...timeWindow.where('createdAt') },
+      select: {
+        id: true,
+        automationId: true,
+        automation: { select: { type: true } },
+        text: true,
+        status: true,
+        error: true,
+        createdAt: true,
+        sentAt: true,
+        failedAt: true
+      },
+      ...page('createdAt')
+    }),
+    prisma.offerViewEvent.findMany({
+      where: { ownerId, contactId, ...timeWindow.where('viewedAt') },
+      select: { id: true, campaignId: true, campaign: { select: { name: true } }, deviceType: true, viewedAt: true },
+      ...page('viewedAt')
+    }),
+    prisma.redemption.findMany({
+      where: { ownerId, contactId, ...timeWindow.where('redeemedAt') },
+      select: { messageId: true, campaignId: true, redeemedAt: true, redeemedByUserId: true },
+      ...page('redeemedAt')
+    }),
+    prisma.automationRedemption.findMany({
+      where: { ownerId, contactId, ...timeWindow.where('redeemedAt') },
+      select: { messageId: true, automationId: true, redeemedAt: true, redeemedByUserId: true },
+      ...page('redeemedAt')
+    }),
+    prisma.nfcScan.findMany({
+      where: { storeId: ownerId, contactId, ...timeWindow.where('createdAt') },
+      select: { id: true, tagId: true, tag: { select: { label: true } }, status: true, deviceType: true, createdAt: true },
+      ...page('createdAt')
+    }),
+    prisma.conversionEvent.findMany({
+      where: { storeId: ownerId, contactId, ...timeWindow.where('occurredAt') },
+      select: { id: true, campaignId: true, nfcTagId: true, nfcTag: { select: { label: true } }, occurredAt: true },
+      ...page('occurredAt')
+    }),
+    prisma.contactEvent.findMany({
+      where: { ownerId, contactId, ...timeWindow.where('createdAt') },
+      select: { id: true, type: true, listId: true, source: true, createdAt: true },
+      ...page('createdAt')
+    })
+  ]);
+
+  // Names for redemptions and list events (lists may have been deleted since)
+  const campaignIds = [...new Set(redemptions.map(r => r.campaignId))];
+  const listIds = [...new Set(events.filter(e => e.listId).map(e => e.listId))];
+  const [campaigns, lists] = await Promise.all([
+    campaignIds.length
+      ? prisma.campaign.findMany({ where: { id: { in: campaignIds }, ownerId }, select: { id: true, name: true } })
+      : [],
+    listIds.length
+      ? prisma.list.findMany({ where: { id: { in: listIds }, ownerId }, select: { id: true, name: true } })
+      : []
+  ]);
+  const campaignNames = new Map(campaigns.map(c => [c.id, c.name]));
+  const listNames = new Map(lists.map(l => [l.id, l.name]));
+
+  const items = [
+    ...campaignMessages.map(m => ({
+      type: 'campaign_message',
+      at: m.createdAt,
+      messageId: m.id,
+      campaignId: m.campaignId,
+      campaignName: m.campaign.name,
+      text: m.text,
+      status: m.status,
+      sentAt: m.sentAt,
+      failedAt: m.failedAt,
+      error: m.error
+    })),
+    ...automationMessages.map(m => ({
+      type: 'automation_message',
+      at: m.createdAt,
+      messageId: m.id,
+      automationId: m.automationId,
+      automationType: m.automation.type,
+      text: m.text,
+      status: m.status,
+      sentAt: m.sentAt,
+      failedAt: m.failedAt,
+      error: m.error
+    })),
+    ...offerViews.map(v => ({
+      type: 'offer_view',
+      at: v.viewedAt,
+      campaignId: v.campaignId,
+      campaignName: v.campaign.name,
+      deviceType: v.deviceType
+    })),
+    ...redemptions.map(r => ({
+      type: 'redemption',
+      at: r.redeemedAt,
+      messageId: r.messageId,
+      campaignId: r.campaignId,
+      campaignName: campaignNames.get(r.campaignId) || null,
+      redeemedByUserId: r.redeemedByUserId
+    })),
+    ...automationRedemptions.map(r => ({
+      type: 'automation_redemption',
+      at: r.redeemedAt,
+      messageId: r.messageId,
+      automationId: r.automationId,
+      redeemedByUserId: r.redeemedByUserId
+    })),
+    ...nfcScans.map(s => ({
+      type: 'nfc_scan',
+      at: s.createdAt,
+      tagId: s.tagId,
+      tagLabel: s.tag.label,
+      status: s.status,
+      deviceType: s.deviceType
+    })),
+    ...conversions.map(c => ({
+      type: 'conversion',
+      at: c.occurredAt,
+      campaignId: c.campaignId,
+      tagId: c.nfcTagId,
+      tagLabel: c.nfcTag.label
+    })),
+    ...events.map(e => ({
+      type: e.type,
+      at: e.createdAt,
+      ...(e.listId ? { listId: e.listId, listName: listNames.get(e.listId) || null } : {}),
+      source: e.source
+    }))
+  ];
+
+  // Creation and opt-outs from before events were recorded
+  if (timeWindow.test(contact.createdAt)) {
+    items.push({ type: 'contact_created', at: contact.createdAt });
+  }
+  if (!contact.isSubscribed && contact.unsubscribedAt && timeWindow.test(contact.unsubscribedAt)) {
+    const recorded = await prisma.contactEvent.findFirst({
+      where: { contactId, type: 'unsubscribed' },
+      select: { id: true }
+    });
+    if (!recorded) {
+      items.push({ type: 'unsubscribed', at: contact.unsubscribedAt, source: null });
+    }
+  }
+
+  return items;
+}
+
+module.exports = {
+  getContactTimeline
+};
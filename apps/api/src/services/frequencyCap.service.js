@@ -0,0 +1,101 @@
+// apps/api/src/services/frequencyCap.service.js
+// Per-owner frequency cap: at most N messages per contact in a rolling window (campaigns + automations)
+
+const prisma = require('../lib/prisma');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CAP_MESSAGES = 100;
+const MAX_CAP_DAYS = 90;
+
+// Statuses counted towards the cap: sent or about to be sent. Failed and cancelled
+// messages are left out on purpose - they never reached the contact
+const COUNTED_STATUSES = ['queued', 'sending', 'sent'];
+
+/**
+ * Validate frequency cap settings from the client (only fields present in `input` are returned).
+ *
+ * @param {Object} input - { frequencyCapMessages? (null = no cap), frequencyCapDays? }
+ * @returns {Object} { ok: true, data } or { ok: false, message }
+ */
+function validateFrequencyCap(input = {}) {
+  const { frequencyCapMessages, frequencyCapDays } = input;
+  const data = {};
+
+  if (frequencyCapMessages !== undefined) {
+    if (frequencyCapMessages !== null && (!Number.isInteger(frequencyCapMessages) || frequencyCapMessages < 1 || frequencyCapMessages > MAX_CAP_MESSAGES)) {
+      return { ok: false, message: `Frequency cap must be a number of messages between 1 and ${MAX_CAP_MESSAGES} (or null for no cap).` };
+    }
+    data.frequencyCapMessages = frequencyCapMessages;
+  }
+
+  if (frequencyCapDays !== undefined) {
+    if (!Number.isInteger(frequencyCapDays) || frequencyCapDays < 1 || frequencyCapDays > MAX_CAP_DAYS) {
+      return { ok: false, message: `Frequency cap period must be between 1 and ${MAX_CAP_DAYS} days.` };
+    }
+    data.frequencyCapDays = frequencyCapDays;
+  }
+
+  return { ok: true, data };
+}
+
+/**
+ * Owner's frequency cap
+ *
+ * @param {number} ownerId - Owner ID
+ * @returns {Promise<Object|null>} { maxMessages, days } or null when no cap is set
+ */
+async function getFrequencyCap(ownerId) {
+  const user = await prisma.user.findUnique({
+    where: { id: ownerId },
+    select: { frequencyCapMessages: true, frequencyCapDays: true }
+  });
+  if (!user || !user.frequencyCapMessages) {
+    return null;
+  }
+  return { maxMessages: user.frequencyCapMessages, days: user.frequencyCapDays || 7 };
+}
+
+/**
+ * Messages per contact since a date (campaign and automation messages)
+ *
+ * @returns {Promise<Map<number, number>>} contactId -> count
+ */
+async function countRecentMessages(ownerId, since) {
+  const where = { ownerId, status: { in: COUNTED_STATUSES }, createdAt: { gte: since } };
+  const [campaignCounts, automationCounts] = await Promise.all([
+    prisma.campaignMessage.groupBy({ by: ['contactId'], where, _count: { _all: true } }),
+    prisma.automationMessage.groupBy({ by: ['contactId'], where, _count: { _all: true } })
+  ]);
+
+  const counts = new Map();
+  for (const row of [...campaignCounts, ...automationCounts]) {
+    counts.set(row.contactId, (counts.get(row.contactId) || 0) + row._count._all);
+  }
+  return counts;
+}
+
+/**
+ * Remove contacts that already reached the owner's frequency cap
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Array} contacts - Audience (contacts with id)
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} { contacts, capped } (capped = number of contacts left out)
+ */
+async function applyFrequencyCap(ownerId, contacts, now = new Date()) {
+  const cap = contacts.length ? await getFrequencyCap(ownerId) : null;
+  if (!cap) {
+    return { contacts, capped: 0 };
+  }
+
+  const counts = await countRecentMessages(ownerId, new Date(now.getTime() - cap.days * DAY_MS));
+  const kept = contacts.filter(c => (counts.get(c.id) || 0) < cap.maxMessages);
+
+  return { contacts: kept, capped: contacts.length - kept.length };
+}
+
+module.exports = {
+  validateFrequencyCap,
+  getFrequencyCap,
+  applyFrequencyCap
+};
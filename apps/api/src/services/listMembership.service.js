@@ -0,0 +1,150 @@
+// apps/api/src/services/listMembership.service.js
+// Bulk list membership: add/remove many contacts by ID or by contact search filter
+
+const prisma = require('../lib/prisma');
+const pino = require('pino');
+
+const logger = pino({ name: 'list-membership-service' });
+
+const MAX_CONTACT_IDS = 10000;
+const BATCH_SIZE = 1000;
+
+/**
+ * Contacts of a batch that are already members of the list
+ */
+async function findMemberIds(listId, contactIds) {
+  const members = await prisma.listMembership.findMany({
+    where: { listId, contactId: { in: contactIds } },
+    select: { contactId: true }
+  });
+  return new Set(members.map(m => m.contactId));
+}
+
+/**
+ * Add contacts to a list (existing memberships are kept)
+ *
+ * @param {number} ownerId - Owner ID (for the contact timeline)
+ * @param {number} listId - List ID (ownership checked by the caller)
+ * @param {Array<number>} contactIds - Contact IDs (owned by the list owner)
+ * @param {string} [source] - What added them, recorded in the contact timeline
+ * @returns {Promise<number>} Number of new memberships
+ */
+async function addContactsToList(ownerId, listId, contactIds, source = 'bulk') {
+  const { recordContactEvents, listMembershipEvents } = require('./contactEvent.service');
+  let added = 0;
+  for (let i = 0; i < contactIds.length; i += BATCH_SIZE) {
+    const batch = contactIds.slice(i, i + BATCH_SIZE);
+    const members = await findMemberIds(listId, batch);
+    const newIds = batch.filter(id => !members.has(id));
+    if (!newIds.length) {continue;}
+
+    const result = await prisma.listMembership.createMany({
+      data: newIds.map(contactId => ({ listId, contactId })),
+      skipDuplicates: true
+    });
+    await recordContactEvents(listMembershipEvents(ownerId, listId, newIds, 'list_joined', source));
+    added += result.count;
+  }
+  return added;
+}
+
+/**
+ * Remove contacts from a list
+ *
+ * @returns {Promise<number>} Number of removed memberships
+ */
+async function removeContactsFromList(ownerId, listId, contactIds, source = 'bulk') {
+  const { recordContactEvents, listMembershipEvents } = require('./contactEvent.service');
+  let removed = 0;
+  for (let i = 0; i < contactIds.length; i += BATCH_SIZE) {
+    const members = [...await findMemberIds(listId, contactIds.slice(i, i + BATCH_SIZE))];
+    if (!members.length) {continue;}
+
+    const result = await prisma.listMembership.deleteMany({
+      where: { listId, contactId: { in: members } }
+    });
+    await recordContactEvents(listMembershipEvents(ownerId, listId, members, 'list_left', source));
+    removed += result.count;
+  }
+  return removed;
+}
+
+/**
+ * Contacts selected for a bulk operation: explicit IDs or a GET /contacts search filter
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} input - { contactIds?: number[], filter?: { q?, isSubscribed?, listId?, tag? } }
+ * @returns {Promise<Object>} { ok: true, ids } or { ok: false, reason, message }
+ */
+async function resolveContactSelection(ownerId, input = {}) {
+  const { contactIds, filter } = input;
+
+  if (contactIds !== undefined && filter !== undefined) {
+    return { ok: false, reason: 'invalid', message: 'Provide either contactIds or filter, not both' };
+  }
+
+  if (Array.isArray(contactIds)) {
+    if (contactIds.length === 0 || contactIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      return { ok: false, reason: 'invalid', message: 'contactIds must be a non-empty array of contact IDs' };
+    }
+    if (contactIds.length > MAX_CONTACT_IDS) {
+      return { ok: false, reason: 'invalid', message: `At most ${MAX_CONTACT_IDS} contact IDs per request (use a filter for more)` };
+    }
+    // Only the owner's contacts
+    const owned = await prisma.contact.findMany({
+      where: { ownerId, id: { in: [...new Set(contactIds)] } },
+      select: { id: true }
+    });
+    return { ok: true, ids: owned.map(c => c.id) };
+  }
+
+  if (filter && typeof filter === 'object') {
+    const { findContactIds } = require('./contactSearch.service');
+    return findContactIds(ownerId, filter);
+  }
+
+  return { ok: false, reason: 'invalid', message: 'Provide contactIds or a filter ({ q, isSubscribed, listId, tag })' };
+}
+
+/**
+ * Add or remove many contacts of a (static) list
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {number} listId - List ID
+ * @param {string} action - 'add' | 'remove'
+ * @param {Object} input - See resolveContactSelection
+ * @returns {Promise<Object>} { ok: true, matched, added | removed } or { ok: false, reason, message }
+ */
+async function bulkUpdateMembership(ownerId, listId, action, input) {
+  const list = await prisma.list.findFirst({ where: { id: listId, ownerId } });
+  if (!list) {
+    return { ok: false, reason: 'not_found', message: 'List not found' };
+  }
+  // Filtered lists are rebuilt from their filters, manual changes would be lost
+  const { hasListFilters } = require('./listSegmentation.service');
+  if (hasListFilters(list)) {
+    return { ok: false, reason: 'invalid', message: 'Members of a list with filters are managed automatically' };
+  }
+
+  const selection = await resolveContactSelection(ownerId, input);
+  if (!selection.ok) {
+    return selection;
+  }
+
+  if (action === 'add') {
+    const added = await addContactsToList(ownerId, listId, selection.ids);
+    logger.info({ ownerId, listId, matched: selection.ids.length, added }, 'Contacts added to list');
+    return { ok: true, matched: selection.ids.length, added };
+  }
+
+  const removed = await removeContactsFromList(ownerId, listId, selection.ids);
+  logger.info({ ownerId, listId, matched: selection.ids.length, removed }, 'Contacts removed from list');
+  return { ok: true, matched: selection.ids.length, removed };
+}
+
+module.exports = {
+  addContactsToList,
+  removeContactsFromList,
+  resolveContactSelection,
+  bulkUpdateMembership
+};
@@ -1,7 +1,43 @@
 // apps/api/src/services/listSegmentation.service.js
 // Dynamic list segmentation service for filtering contacts by gender and age
+// Filtered lists stay in sync: on contact create/update/import and nightly (scheduler worker)
 const prisma = require('../lib/prisma');
 const { calculateAge } = require('../lib/validation');
+const pino = require('pino');
+
+const logger = pino({ name: 'list-segmentation-service' });
+
+// Lists with at least one segmentation filter
+const FILTERED_LIST_WHERE = {
+  OR: [
+    { filterGender: { not: null } },
+    { filterAgeMin: { not: null } },
+    { filterAgeMax: { not: null } }
+  ]
+};
+
+/**
+ * Whether a list has segmentation filters (members are managed automatically)
+ */
+function hasListFilters(list) {
+  return !!list.filterGender || list.filterAgeMin !== null || list.filterAgeMax !== null;
+}
+
+/**
+ * Same rules as getContactsMatchingFilters, for one contact already loaded
+ * (subscribed, 18+, gender and age range)
+ */
+function contactMatchesListFilters(list, contact) {
+  if (!contact.isSubscribed || !contact.birthday) {return false;}
+  if (list.filterGender && contact.gender !== list.filterGender) {return false;}
+
+  const age = calculateAge(contact.birthday);
+  if (age === null || age < 18) {return false;}
+  if (list.filterAgeMin !== null && age < list.filterAgeMin) {return false;}
+  if (list.filterAgeMax !== null && age > list.filterAgeMax) {return false;}
+
+  return true;
+}
 
 /**
  * Get contacts matching list segmentation filters
@@ -99,9 +135,10 @@ async function getContactsMatchingFilters(listId, ownerId) {
 /**
  * Sync list memberships based on segmentation filters
  * Automatically adds/removes contacts based on list filters
+ * and records the member count in the list's history
  * @param {number} listId - List ID
  * @param {number} ownerId - Owner ID
- * @returns {Promise<{added: number, removed: number}>} Count of contacts added/removed
+ * @returns {Promise<{added: number, removed: number, total: number}>} Count of contacts added/removed
  */
 async function syncListMemberships(listId, ownerId) {
   // Get matching contact IDs
@@ -141,6 +178,17 @@ async function syncListMemberships(listId, ownerId) {
         }
       });
     }
+
+    const { recordContactEvents, listMembershipEvents } = require('./contactEvent.service');
+    await recordContactEvents([
+      ...listMembershipEvents(ownerId, listId, toAdd, 'list_joined', 'list_filter'),
+      ...listMembershipEvents(ownerId, listId, toRemove, 'list_left', 'list_filter')
+    ], tx);
+
+    await tx.listMemberCount.create({
+      data: { listId, memberCount: matchingContactIds.length, added: toAdd.length, removed: toRemove.length }
+    });
+    await tx.list.update({ where: { id: listId }, data: { lastSyncedAt: new Date() } });
   });
 
   return {
@@ -161,9 +209,135 @@ async function getListMatchCount(listId, ownerId) {
   return matchingContactIds.length;
 }
 
+/**
+ * Re-evaluate the filtered lists of an owner for some contacts
+ * (after contacts are created, updated or imported - cheaper than a full sync)
+ * @param {number} ownerId - Owner ID
+ * @param {Array<number>} contactIds - Changed contacts
+ * @returns {Promise<{lists: number, added: number, removed: number}>}
+ */
+async function syncContactListMemberships(ownerId, contactIds) {
+  const ids = [...new Set((contactIds || []).filter(Boolean))];
+  if (!ids.length) {
+    return { lists: 0, added: 0, removed: 0 };
+  }
+
+  const lists = await prisma.list.findMany({
+    where: { ownerId, ...FILTERED_LIST_WHERE },
+    select: { id: true, filterGender: true, filterAgeMin: true, filterAgeMax: true }
+  });
+  if (!lists.length) {
+    return { lists: 0, added: 0, removed: 0 };
+  }
+
+  const [contacts, memberships] = await Promise.all([
+    prisma.contact.findMany({
+      where: { ownerId, id: { in: ids } },
+      select: { id: true, isSubscribed: true, gender: true, birthday: true }
+    }),
+    prisma.listMembership.findMany({
+      where: { listId: { in: lists.map(l => l.id) }, contactId: { in: ids } },
+      select: { listId: true, contactId: true }
+    })
+  ]);
+  const current = new Set(memberships.map(m => `${m.listId}:${m.contactId}`));
+
+  const toAdd = [];
+  const toRemove = [];
+  for (const list of lists) {
+    for (const contact of contacts) {
+      const isMember = current.has(`${list.id}:${contact.id}`);
+      const matches = contactMatchesListFilters(list, contact);
+      if (matches && !isMember) {toAdd.push({ listId: list.id, contactId: contact.id });}
+      if (!matches && isMember) {toRemove.push({ listId: list.id, contactId: contact.id });}
+    }
+  }
+
+  if (toAdd.length) {
+    await prisma.listMembership.createMany({ data: toAdd, skipDuplicates: true });
+  }
+  if (toRemove.length) {
+    await prisma.listMembership.deleteMany({
+      where: { OR: toRemove.map(m => ({ listId: m.listId, contactId: m.contactId })) }
+    });
+  }
+  if (toAdd.length || toRemove.length) {
+    const { recordContactEvents } = require('./contactEvent.service');
+    await recordContactEvents([
+      ...toAdd.map(m => ({ ownerId, ...m, type: 'list_joined', source: 'list_filter' })),
+      ...toRemove.map(m => ({ ownerId, ...m, type: 'list_left', source: 'list_filter' }))
+    ]);
+  }
+
+  logger.debug({ ownerId, contacts: contacts.length, lists: lists.length, added: toAdd.length, removed: toRemove.length }, 'Contact list memberships synced');
+
+  return { lists: lists.length, added: toAdd.length, removed: toRemove.length };
+}
+
+/**
+ * Sync contact list memberships without failing the caller (contact writes must not
+ * fail because a list could not be updated - the nightly sync catches up)
+ */
+async function syncContactListMembershipsSafe(ownerId, contactIds) {
+  try {
+    return await syncContactListMemberships(ownerId, contactIds);
+  } catch (err) {
+    logger.warn({ ownerId, err: err.message }, 'Failed to sync list memberships for contacts');
+    return null;
+  }
+}
+
+/**
+ * Full sync of every filtered list (nightly job: ages change without contact updates)
+ * @param {number} [ownerId] - Only this owner's lists (all owners when omitted)
+ * @returns {Promise<{lists: number, failed: number, added: number, removed: number}>}
+ */
+async function syncAllFilteredLists(ownerId) {
+  const lists = await prisma.list.findMany({
+    where: { ...(ownerId ? { ownerId } : {}), ...FILTERED_LIST_WHERE },
+    select: { id: true, ownerId: true },
+    orderBy: { id: 'asc' }
+  });
+
+  const summary = { lists: lists.length, failed: 0, added: 0, removed: 0 };
+  for (const list of lists) {
+    try {
+      const result = await syncListMemberships(list.id, list.ownerId);
+      summary.added += result.added;
+      summary.removed += result.removed;
+    } catch (err) {
+      summary.failed++;
+      logger.error({ listId: list.id, ownerId: list.ownerId, err: err.message }, 'Failed to sync filtered list');
+    }
+  }
+
+  logger.info(summary, 'Filtered lists synced');
+  return summary;
+}
+
+/**
+ * Member count history of a list (oldest first)
+ * @param {number} listId - List ID (ownership checked by the caller)
+ * @param {Object} [options] - { days } (default 90)
+ * @returns {Promise<Array>} [{ memberCount, added, removed, recordedAt }]
+ */
+async function getListMemberCountHistory(listId, options = {}) {
+  const days = Math.min(365, Math.max(1, options.days || 90));
+  return prisma.listMemberCount.findMany({
+    where: { listId, recordedAt: { gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } },
+    orderBy: { recordedAt: 'asc' },
+    select: { memberCount: true, added: true, removed: true, recordedAt: true }
+  });
+}
+
 module.exports = {
+  hasListFilters,
   getContactsMatchingFilters,
   syncListMemberships,
+  syncContactListMemberships,
+  syncContactListMembershipsSafe,
+  syncAllFilteredLists,
+  getListMemberCountHistory,
   getListMatchCount
 };
 
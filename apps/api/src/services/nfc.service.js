@@ -218,6 +218,11 @@ async function createOrUpdateContactFromNfc(storeId, tagId, campaignId, formData
       where: { id: existingContact.id },
       data: updateData
     });
+
+    if (!existingContact.isSubscribed) {
+      const { recordContactEvents, subscriptionEvents } = require('./contactEvent.service');
+      await recordContactEvents(subscriptionEvents(storeId, [contact.id], true, 'nfc'));
+    }
   } else {
     // Create new contact
     const { hash } = newUnsubTokenHash();
@@ -236,7 +241,13 @@ async function createOrUpdateContactFromNfc(storeId, tagId, campaignId, formData
       }
     });
     isNew = true;
+  }
+
+  // Filtered lists pick up the new or updated contact
+  const { syncContactListMembershipsSafe } = require('./listSegmentation.service');
+  await syncContactListMembershipsSafe(storeId, [contact.id]);
 
+  if (isNew) {
     // Trigger welcome automation for new opted-in contacts (non-blocking)
     const { triggerWelcomeAutomation } = require('./automation.service');
     triggerWelcomeAutomation(storeId, contact).catch(err => {
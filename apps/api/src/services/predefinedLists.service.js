@@ -144,36 +144,80 @@ async function getPredefinedLists(ownerId) {
 }
 
 /**
- * Get contacts for a predefined list
- * @param {string} listId - Virtual list ID (e.g., 'gender_male', 'age_18_24')
- * @param {number} ownerId - Owner ID
- * @param {number} page - Page number
- * @param {number} pageSize - Page size
- * @returns {Promise<{items: Array, total: number, page: number, pageSize: number}>}
+ * Split a virtual list ID into its filters
+ * ('all', 'gender_male', 'age_18_24', 'gender_male_age_18_24')
  */
-async function getPredefinedListContacts(listId, ownerId, page = 1, pageSize = 20) {
-  // Parse virtual list ID
+function parsePredefinedListId(listId) {
   let filterGender = null;
   let filterAgeGroup = null;
 
-  if (listId === 'all') {
-    // No filters
-  } else if (listId.startsWith('gender_')) {
+  if (listId.startsWith('gender_')) {
     const gender = listId.replace('gender_', '');
     if (gender.includes('_age_')) {
-      // Combined: gender_male_age_18_24
       const parts = gender.split('_age_');
       filterGender = parts[0];
       filterAgeGroup = parts[1];
     } else {
-      // Gender only: gender_male
       filterGender = gender;
     }
   } else if (listId.startsWith('age_')) {
-    // Age only: age_18_24
     filterAgeGroup = listId.replace('age_', '');
   }
 
+  return { filterGender, filterAgeGroup };
+}
+
+/**
+ * Prisma contact filter for a predefined list, with the same rules as buildAudience
+ * (subscribed, 18+, gender / age group), for queries that must not be capped by a page size
+ * @param {string} listId - Virtual list ID (e.g., 'all', 'gender_male', 'age_18_24')
+ * @param {number} ownerId - Owner ID
+ * @returns {Object|null} Prisma where, or null for an invalid list ID (no contacts)
+ */
+function getPredefinedListWhere(listId, ownerId) {
+  const { normalizeGender, normalizeAgeGroup, AGE_GROUPS } = require('../lib/validation');
+  const { filterGender, filterAgeGroup } = parsePredefinedListId(listId);
+
+  const where = { ownerId, isSubscribed: true };
+  if (filterGender) {
+    const gender = normalizeGender(filterGender);
+    if (!gender) {return null;}
+    where.gender = gender;
+  }
+
+  // Age in whole years as of today (local date, like calculateAge):
+  // age >= n  <=>  born before the day after today n years ago
+  const today = new Date();
+  const bornBefore = (years) => new Date(today.getFullYear() - years, today.getMonth(), today.getDate() + 1);
+
+  let min = 18;
+  let max = null;
+  if (filterAgeGroup) {
+    const group = AGE_GROUPS[normalizeAgeGroup(filterAgeGroup)];
+    if (!group) {return null;}
+    min = Math.max(min, group.min);
+    max = group.max;
+  }
+  where.birthday = { lt: bornBefore(min) };
+  if (max !== null) {
+    where.birthday.gte = bornBefore(max + 1);
+  }
+
+  return where;
+}
+
+/**
+ * Get contacts for a predefined list
+ * @param {string} listId - Virtual list ID (e.g., 'gender_male', 'age_18_24')
+ * @param {number} ownerId - Owner ID
+ * @param {number} page - Page number
+ * @param {number} pageSize - Page size
+ * @returns {Promise<{items: Array, total: number, page: number, pageSize: number}>}
+ */
+async function getPredefinedListContacts(listId, ownerId, page = 1, pageSize = 20) {
+  // Parse virtual list ID
+  const { filterGender, filterAgeGroup } = parsePredefinedListId(listId);
+
   // Get all matching contacts
   const allContacts = await buildAudience(ownerId, filterGender, filterAgeGroup, null);
   const total = allContacts.length;
@@ -193,6 +237,7 @@ async function getPredefinedListContacts(listId, ownerId, page = 1, pageSize = 2
 
 module.exports = {
   getPredefinedLists,
-  getPredefinedListContacts
+  getPredefinedListContacts,
+  getPredefinedListWhere
 };
 
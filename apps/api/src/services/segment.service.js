@@ -0,0 +1,572 @@
+// apps/api/src/services/segment.service.js
+// Saved rule-based segments: nested AND/OR conditions compiled to a Prisma contact query
+
+const prisma = require('../lib/prisma');
+const pino = require('pino');
+
+const logger = pino({ name: 'segment-service' });
+
+const MAX_DEPTH = 4;
+const MAX_CONDITIONS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CUSTOM_PREFIX = 'custom.';
+
+/**
+ * Rule format
+ *   group:     { op: 'and' | 'or', rules: [group | condition, ...] }
+ *   condition: { field, operator, value?, campaignId?, tagId? }
+ *
+ * Fields and operators:
+ *   first_name, last_name, email, phone   eq, neq, contains, starts_with, is_set, not_set
+ *   gender                                eq, neq, in, is_set, not_set
+ *   age                                   eq, gt, gte, lt, lte
+ *   birthday                              is_set, not_set
+ *   subscribed                            eq (true / false)
+ *   created_at                            before, after (YYYY-MM-DD), within_days, older_than_days (N)
+ *   list                                  in, not_in (list ID)
+ *   tag                                   in, not_in (contact tag, e.g. "vip")
+ *   custom.<key>                          see contactAttribute.service (per attribute type)
+ *   redeemed, viewed_offer, received_campaign, converted, scanned_nfc
+ *                                         ever, never, within_days, not_within_days (N)
+ *                                         optional campaignId (all but scanned_nfc), tagId (scanned_nfc, converted)
+ *
+ * e.g. "viewed the offer of campaign 12 but didn't redeem it":
+ *   { op: 'and', rules: [
+ *     { field: 'viewed_offer', operator: 'ever', campaignId: 12 },
+ *     { field: 'redeemed', operator: 'never', campaignId: 12 } ] }
+ */
+
+const TEXT_FIELDS = { first_name: 'firstName', last_name: 'lastName', email: 'email', phone: 'phone' };
+const TEXT_OPERATORS = ['eq', 'neq', 'contains', 'starts_with', 'is_set', 'not_set'];
+const GENDER_OPERATORS = ['eq', 'neq', 'in', 'is_set', 'not_set'];
+const AGE_OPERATORS = ['eq', 'gt', 'gte', 'lt', 'lte'];
+const PRESENCE_OPERATORS = ['is_set', 'not_set'];
+const CREATED_OPERATORS = ['before', 'after', 'within_days', 'older_than_days'];
+const LIST_OPERATORS = ['in', 'not_in'];
+const TAG_OPERATORS = ['in', 'not_in'];
+const ACTIVITY_OPERATORS = ['ever', 'never', 'within_days', 'not_within_days'];
+const ACTIVITY_FIELDS = ['redeemed', 'viewed_offer', 'received_campaign', 'converted', 'scanned_nfc'];
+
+/**
+ * Date N days before now
+ */
+function daysAgo(days, now) {
+  return new Date(now.getTime() - days * DAY_MS);
+}
+
+/**
+ * Birthday cutoff for an age: contacts born on or before it are at least `years` old
+ */
+function birthdayCutoff(years, now) {
+  return new Date(Date.UTC(now.getUTCFullYear() - years, now.getUTCMonth(), now.getUTCDate()));
+}
+
+function parseDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function isPositiveInt(value, max) {
+  return Number.isInteger(value) && value > 0 && value <= max;
+}
+
+/**
+ * Validate and normalize a rule tree (references must belong to the owner)
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} rules - Root group
+ * @returns {Promise<Object>} { ok: true, rules } or { ok: false, message }
+ */
+async function validateSegmentRules(ownerId, rules) {
+  const { normalizeGender } = require('../lib/validation');
+  const { listAttributes, normalizeAttributeValue, OPERATORS } = require('./contactAttribute.service');
+  const attributes = new Map((await listAttributes(ownerId)).map(a => [a.key, a]));
+
+  // Referenced IDs, checked in one query each at the end
+  const refs = { lists: new Set(), campaigns: new Set(), tags: new Set() };
+  let conditions = 0;
+
+  const fail = (message) => ({ ok: false, message });
+
+  const normalizeCondition = (rule) => {
+    const { field, operator } = rule;
+    const value = rule.value;
+
+    if (TEXT_FIELDS[field]) {
+      if (!TEXT_OPERATORS.includes(operator)) {return fail(`${field}: operator must be one of ${TEXT_OPERATORS.join(', ')}.`);}
+      if (PRESENCE_OPERATORS.includes(operator)) {return { ok: true, rule: { field, operator } };}
+      if (typeof value !== 'string' || !value.trim()) {return fail(`${field}: a value is required.`);}
+      return { ok: true, rule: { field, operator, value: value.trim().slice(0, 200) } };
+    }
+
+    if (field === 'gender') {
+      if (!GENDER_OPERATORS.includes(operator)) {return fail(`gender: operator must be one of ${GENDER_OPERATORS.join(', ')}.`);}
+      if (PRESENCE_OPERATORS.includes(operator)) {return { ok: true, rule: { field, operator } };}
+      const values = (operator === 'in' ? (Array.isArray(value) ? value : []) : [value]).map(v => normalizeGender(v));
+      if (values.length === 0 || values.some(v => !v)) {return fail('gender: use male, female, other or prefer_not_to_say.');}
+      return { ok: true, rule: { field, operator, value: operator === 'in' ? values : values[0] } };
+    }
+
+    if (field === 'age') {
+      if (!AGE_OPERATORS.includes(operator)) {return fail(`age: operator must be one of ${AGE_OPERATORS.join(', ')}.`);}
+      if (!Number.isInteger(value) || value < 0 || value > 150) {return fail('age: value must be a whole number between 0 and 150.');}
+      return { ok: true, rule: { field, operator, value } };
+    }
+
+    if (field === 'birthday') {
+      if (!PRESENCE_OPERATORS.includes(operator)) {return fail('birthday: operator must be is_set or not_set.');}
+      return { ok: true, rule: { field, operator } };
+    }
+
+    if (field === 'subscribed') {
+      if (operator !== 'eq' || typeof value !== 'boolean') {return fail('subscribed: use operator eq with true or false.');}
+      return { ok: true, rule: { field, operator, value } };
+    }
+
+    if (field === 'created_at') {
+      if (!CREATED_OPERATORS.includes(operator)) {return fail(`created_at: operator must be one of ${CREATED_OPERATORS.join(', ')}.`);}
+      if (operator === 'before' || operator === 'after') {
+        if (!parseDay(value)) {return fail('created_at: value must be a date (YYYY-MM-DD).');}
+      } else if (!isPositiveInt(value, 3650)) {
+        return fail('created_at: value must be a number of days (1-3650).');
+      }
+      return { ok: true, rule: { field, operator, value } };
+    }
+
+    if (field === 'list') {
+      if (!LIST_OPERATORS.includes(operator)) {return fail('list: operator must be in or not_in.');}
+      if (!isPositiveInt(value, Number.MAX_SAFE_INTEGER)) {return fail('list: value must be a list ID.');}
+      refs.lists.add(value);
+      return { ok: true, rule: { field, operator, value } };
+    }
+
+    if (field === 'tag') {
+      if (!TAG_OPERATORS.includes(operator)) {return fail('tag: operator must be in or not_in.');}
+      const { normalizeTags } = require('./contactTag.service');
+      const tags = typeof value === 'string' ? normalizeTags([value]) : { ok: false };
+      if (!tags.ok || tags.tags.length !== 1) {return fail('tag: value must be a tag.');}
+      return { ok: true, rule: { field, operator, value: tags.tags[0] } };
+    }
+
+    if (typeof field === 'string' && field.startsWith(CUSTOM_PREFIX)) {
+      const attribute = attributes.get(field.slice(CUSTOM_PREFIX.length));
+      if (!attribute) {return fail(`Unknown contact attribute: ${field}`);}
+      if (!OPERATORS[attribute.type].includes(operator)) {return fail(`${attribute.label}: operator must be one of ${OPERATORS[attribute.type].join(', ')}.`);}
+      if (PRESENCE_OPERATORS.includes(operator)) {return { ok: true, rule: { field, operator } };}
+      const values = operator === 'in' ? (Array.isArray(value) ? value : []) : [value];
+      const normalized = [];
+      for (const v of values) {
+        const result = normalizeAttributeValue(attribute, v);
+        if (!result.ok || result.value === null) {return fail(result.message || `${attribute.label}: a value is required.`);}
+        normalized.push(result.value);
+      }
+      if (normalized.length === 0) {return fail(`${attribute.label}: choose at least one value.`);}
+      return { ok: true, rule: { field, operator, value: operator === 'in' ? normalized : normalized[0] } };
+    }
+
+    if (ACTIVITY_FIELDS.includes(field)) {
+      if (!ACTIVITY_OPERATORS.includes(operator)) {return fail(`${field}: operator must be one of ${ACTIVITY_OPERATORS.join(', ')}.`);}
+      const normalized = { field, operator };
+      if (operator === 'within_days' || operator === 'not_within_days') {
+        if (!isPositiveInt(value, 3650)) {return fail(`${field}: value must be a number of days (1-3650).`);}
+        normalized.value = value;
+      }
+      if (rule.campaignId !== undefined && rule.campaignId !== null) {
+        if (field === 'scanned_nfc' || !isPositiveInt(rule.campaignId, Number.MAX_SAFE_INTEGER)) {return fail(`${field}: invalid campaignId.`);}
+        normalized.campaignId = rule.campaignId;
+        refs.campaigns.add(rule.campaignId);
+      }
+      if (rule.tagId !== undefined && rule.tagId !== null) {
+        if (!['scanned_nfc', 'converted'].includes(field) || !isPositiveInt(rule.tagId, Number.MAX_SAFE_INTEGER)) {return fail(`${field}: invalid tagId.`);}
+        normalized.tagId = rule.tagId;
+        refs.tags.add(rule.tagId);
+      }
+      return { ok: true, rule: normalized };
+    }
+
+    return fail(`Unknown segment field: ${field}`);
+  };
+
+  const normalizeGroup = (group, depth) => {
+    if (!group || typeof group !== 'object' || !['and', 'or'].includes(group.op) || !Array.isArray(group.rules)) {
+      return fail('Each group needs op ("and" or "or") and a list of rules.');
+    }
+    if (depth > MAX_DEPTH) {
+      return fail(`Groups can be nested at most ${MAX_DEPTH} levels deep.`);
+    }
+    if (group.rules.length === 0) {
+      return fail('Groups cannot be empty.');
+    }
+
+    const rulesOut = [];
+    for (const rule of group.rules) {
+      const result = rule && rule.op !== undefined ? normalizeGroup(rule, depth + 1) : normalizeCondition(rule || {});
+      if (!result.ok) {return result;}
+      if (rule && rule.op === undefined && ++conditions > MAX_CONDITIONS) {
+        return fail(`A segment can have at most ${MAX_CONDITIONS} conditions.`);
+      }
+      rulesOut.push(result.rule || result.rules);
+    }
+    return { ok: true, rules: { op: group.op, rules: rulesOut } };
+  };
+
+  const result = normalizeGroup(rules, 1);
+  if (!result.ok) {
+    return result;
+  }
+
+  // Referenced lists, campaigns and NFC tags must belong to the owner
+  const checks = [
+    ['lists', 'list', prisma.list],
+    ['campaigns', 'campaign', prisma.campaign]
+  ];
+  for (const [key, label, model] of checks) {
+    const ids = [...refs[key]];
+    if (ids.length && (await model.count({ where: { id: { in: ids }, ownerId } })) !== ids.length) {
+      return fail(`Segment refers to a ${label} that does not exist.`);
+    }
+  }
+  const tagIds = [...refs.tags];
+  if (tagIds.length && (await prisma.nfcTag.count({ where: { id: { in: tagIds }, storeId: ownerId } })) !== tagIds.length) {
+    return fail('Segment refers to an NFC tag that does not exist.');
+  }
+
+  return { ok: true, rules: result.rules };
+}
+
+/**
+ * Prisma filter for one activity (without negation)
+ */
+function activityWhere(rule, since) {
+  switch (rule.field) {
+    case 'redeemed': {
+      const redemption = since ? { is: { redeemedAt: { gte: since } } } : { isNot: null };
+      const campaignRedemption = { messages: { some: { ...(rule.campaignId ? { campaignId: rule.campaignId } : {}), redemption } } };
+      // Automation offers count too, unless a specific campaign is asked for
+      return rule.campaignId
+        ? campaignRedemption
+        : { OR: [campaignRedemption, { automationMessages: { some: { redemption } } }] };
+    }
+    case 'viewed_offer':
+      return { offerViewEvents: { some: { ...(rule.campaignId ? { campaignId: rule.campaignId } : {}), ...(since ? { viewedAt: { gte: since } } : {}) } } };
+    case 'received_campaign':
+      return { messages: { some: { status: 'sent', ...(rule.campaignId ? { campaignId: rule.campaignId } : {}), ...(since ? { sentAt: { gte: since } } : {}) } } };
+    case 'converted':
+      return { conversionEvents: { some: { ...(rule.campaignId ? { campaignId: rule.campaignId } : {}), ...(rule.tagId ? { nfcTagId: rule.tagId } : {}), ...(since ? { occurredAt: { gte: since } } : {}) } } };
+    case 'scanned_nfc':
+      return { nfcScans: { some: { ...(rule.tagId ? { tagId: rule.tagId } : {}), ...(since ? { createdAt: { gte: since } } : {}) } } };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compile one (normalized) condition to a Prisma contact filter
+ */
+async function compileCondition(ownerId, rule, now) {
+  const { field, operator, value } = rule;
+
+  if (TEXT_FIELDS[field]) {
+    const column = TEXT_FIELDS[field];
+    switch (operator) {
+      case 'eq': return { [column]: { equals: value, mode: 'insensitive' } };
+      case 'neq': return { OR: [{ [column]: null }, { NOT: { [column]: { equals: value, mode: 'insensitive' } } }] };
+      case 'contains': return { [column]: { contains: value, mode: 'insensitive' } };
+      case 'starts_with': return { [column]: { startsWith: value, mode: 'insensitive' } };
+      case 'is_set': return { AND: [{ [column]: { not: null } }, { NOT: { [column]: '' } }] };
+      default: return { OR: [{ [column]: null }, { [column]: '' }] };
+    }
+  }
+
+  if (field === 'gender') {
+    switch (operator) {
+      case 'eq': return { gender: value };
+      case 'neq': return { OR: [{ gender: null }, { gender: { not: value } }] };
+      case 'in': return { gender: { in: value } };
+      case 'is_set': return { gender: { not: null } };
+      default: return { gender: null };
+    }
+  }
+
+  if (field === 'age') {
+    // age >= N  <=>  born on or before today N years ago
+    const atLeast = (years) => ({ birthday: { lte: birthdayCutoff(years, now) } });
+    const atMost = (years) => ({ birthday: { gt: birthdayCutoff(years + 1, now) } });
+    switch (operator) {
+      case 'eq': return { AND: [atLeast(value), atMost(value)] };
+      case 'gt': return atLeast(value + 1);
+      case 'gte': return atLeast(value);
+      case 'lt': return value === 0 ? { id: { in: [] } } : atMost(value - 1);
+      default: return atMost(value);
+    }
+  }
+
+  if (field === 'birthday') {
+    return operator === 'is_set' ? { birthday: { not: null } } : { birthday: null };
+  }
+
+  if (field === 'subscribed') {
+    return { isSubscribed: value };
+  }
+
+  if (field === 'created_at') {
+    switch (operator) {
+      case 'before': return { createdAt: { lt: parseDay(value) } };
+      case 'after': return { createdAt: { gte: new Date(parseDay(value).getTime() + DAY_MS) } };
+      case 'within_days': return { createdAt: { gte: daysAgo(value, now) } };
+      default: return { createdAt: { lt: daysAgo(value, now) } };
+    }
+  }
+
+  if (field === 'list') {
+    const membership = { memberships: { some: { listId: value } } };
+    return operator === 'in' ? membership : { NOT: membership };
+  }
+
+  if (field === 'tag') {
+    return operator === 'in' ? { tags: { has: value } } : { NOT: { tags: { has: value } } };
+  }
+
+  if (field.startsWith(CUSTOM_PREFIX)) {
+    const key = field.slice(CUSTOM_PREFIX.length);
+    const path = (filter) => ({ customFields: { path: [key], ...filter } });
+
+    // Key presence is not expressible as a Prisma JSON filter, resolve it to IDs
+    const withKey = async () => {
+      const rows = await prisma.$queryRaw`SELECT "id" FROM "Contact" WHERE "ownerId" = ${ownerId} AND "customFields" ? ${key}`;
+      return rows.map(r => r.id);
+    };
+
+    switch (operator) {
+      case 'eq': return path({ equals: value });
+      case 'in': return { OR: value.map(v => path({ equals: v })) };
+      case 'contains': return path({ string_contains: value });
+      case 'gt': return path({ gt: value });
+      case 'gte': return path({ gte: value });
+      case 'lt': return path({ lt: value });
+      case 'lte': return path({ lte: value });
+      case 'is_set': return { id: { in: await withKey() } };
+      case 'not_set': return { id: { notIn: await withKey() } };
+      default: return { OR: [{ id: { notIn: await withKey() } }, path({ not: value })] }; // neq
+    }
+  }
+
+  if (ACTIVITY_FIELDS.includes(field)) {
+    const since = operator === 'within_days' || operator === 'not_within_days' ? daysAgo(value, now) : null;
+    const where = activityWhere(rule, since);
+    return operator === 'ever' || operator === 'within_days' ? where : { NOT: where };
+  }
+
+  throw new Error(`Unknown segment field: ${field}`);
+}
+
+/**
+ * Compile a (validated) rule tree to a Prisma `where` for prisma.contact
+ *
+ * @param {number} ownerId - Owner ID (scope)
+ * @param {Object} rules - Root group from validateSegmentRules
+ * @param {Date} [now] - Reference time for relative conditions
+ * @returns {Promise<Object>} Prisma where clause (includes the owner scope)
+ */
+async function compileSegmentRules(ownerId, rules, now = new Date()) {
+  const compileGroup = async (group) => {
+    const parts = [];
+    for (const rule of group.rules) {
+      parts.push(rule.op ? await compileGroup(rule) : await compileCondition(ownerId, rule, now));
+    }
+    return group.op === 'and' ? { AND: parts } : { OR: parts };
+  };
+
+  return { ownerId, AND: [await compileGroup(rules)] };
+}
+
+/**
+ * Contacts of a segment that can receive campaigns: subscribed and 18+
+ * (same adults-only rule as audience.service.buildAudience)
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} rules - Segment rules
+ * @returns {Promise<Array>} Contacts (fields used for rendering and sending)
+ */
+async function getSegmentAudience(ownerId, rules) {
+  const now = new Date();
+  const where = await compileSegmentRules(ownerId, rules, now);
+  where.isSubscribed = true;
+  where.birthday = { not: null, lte: birthdayCutoff(18, now) };
+
+  return prisma.contact.findMany({
+    where,
+    select: {
+      id: true,
+      phone: true,
+      email: true,
+      firstName: true,
+      lastName: true,
+      gender: true,
+      birthday: true,
+      customFields: true
+    }
+  });
+}
+
+/**
+ * Number of campaign-eligible contacts in a segment (see getSegmentAudience)
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} rules - Segment rules
+ * @returns {Promise<number>}
+ */
+async function countSegmentAudience(ownerId, rules) {
+  const now = new Date();
+  const where = await compileSegmentRules(ownerId, rules, now);
+  where.isSubscribed = true;
+  where.birthday = { not: null, lte: birthdayCutoff(18, now) };
+
+  return prisma.contact.count({ where });
+}
+
+/**
+ * Count and sample a rule tree
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} rules - Validated rules
+ * @returns {Promise<Object>} { count, audienceCount, sample } (audienceCount = campaign-eligible contacts)
+ */
+async function previewSegment(ownerId, rules) {
+  const now = new Date();
+  const where = await compileSegmentRules(ownerId, rules, now);
+  const audienceWhere = { ...where, isSubscribed: true, birthday: { not: null, lte: birthdayCutoff(18, now) } };
+
+  const [count, audienceCount, sample] = await Promise.all([
+    prisma.contact.count({ where }),
+    prisma.contact.count({ where: audienceWhere }),
+    prisma.contact.findMany({
+      where,
+      orderBy: { id: 'desc' },
+      take: 10,
+      select: { id: true, phone: true, email: true, firstName: true, lastName: true, isSubscribed: true }
+    })
+  ]);
+
+  return { count, audienceCount, sample };
+}
+
+/**
+ * Create a segment
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} input - { name, description?, rules }
+ * @returns {Promise<Object>} { ok: true, segment } or { ok: false, reason, message }
+ */
+async function createSegment(ownerId, input = {}) {
+  const { sanitizeString } = require('../lib/sanitize');
+  const name = input.name ? sanitizeString(input.name, { maxLength: 160 }) : null;
+  if (!name) {
+    return { ok: false, reason: 'invalid', message: 'Segment name is required' };
+  }
+
+  const validation = await validateSegmentRules(ownerId, input.rules);
+  if (!validation.ok) {
+    return { ok: false, reason: 'invalid', message: validation.message };
+  }
+
+  const existing = await prisma.segment.findFirst({ where: { ownerId, name }, select: { id: true } });
+  if (existing) {
+    return { ok: false, reason: 'duplicate', message: 'A segment with this name already exists' };
+  }
+
+  const segment = await prisma.segment.create({
+    data: {
+      ownerId,
+      name,
+      description: input.description ? sanitizeString(input.description, { maxLength: 400 }) : null,
+      rules: validation.rules
+    }
+  });
+
+  logger.info({ ownerId, segmentId: segment.id }, 'Segment created');
+
+  return { ok: true, segment };
+}
+
+/**
+ * Update a segment's name, description or rules
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {number} id - Segment ID
+ * @param {Object} input - { name?, description?, rules? }
+ * @returns {Promise<Object>} { ok: true, segment } or { ok: false, reason, message }
+ */
+async function updateSegment(ownerId, id, input = {}) {
+  const { sanitizeString } = require('../lib/sanitize');
+  const segment = await prisma.segment.findFirst({ where: { id, ownerId } });
+  if (!segment) {
+    return { ok: false, reason: 'not_found', message: 'Segment not found' };
+  }
+
+  const data = {};
+  if (input.name !== undefined) {
+    const name = input.name ? sanitizeString(input.name, { maxLength: 160 }) : null;
+    if (!name) {
+      return { ok: false, reason: 'invalid', message: 'Segment name is required' };
+    }
+    const existing = await prisma.segment.findFirst({ where: { ownerId, name, id: { not: id } }, select: { id: true } });
+    if (existing) {
+      return { ok: false, reason: 'duplicate', message: 'A segment with this name already exists' };
+    }
+    data.name = name;
+  }
+  if (input.description !== undefined) {
+    data.description = input.description ? sanitizeString(input.description, { maxLength: 400 }) : null;
+  }
+  if (input.rules !== undefined) {
+    const validation = await validateSegmentRules(ownerId, input.rules);
+    if (!validation.ok) {
+      return { ok: false, reason: 'invalid', message: validation.message };
+    }
+    data.rules = validation.rules;
+  }
+
+  const updated = await prisma.segment.update({ where: { id }, data });
+  return { ok: true, segment: updated };
+}
+
+/**
+ * Delete a segment (not allowed while campaigns use it as their audience or exclude it)
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {number} id - Segment ID
+ * @returns {Promise<Object>} { ok: true } or { ok: false, reason, campaigns? }
+ */
+async function deleteSegment(ownerId, id) {
+  const segment = await prisma.segment.findFirst({ where: { id, ownerId }, select: { id: true } });
+  if (!segment) {
+    return { ok: false, reason: 'not_found' };
+  }
+
+  const campaigns = await prisma.campaign.count({
+    where: { ownerId, OR: [{ segmentId: id }, { excludeSegmentIds: { has: id } }] }
+  });
+  if (campaigns > 0) {
+    return { ok: false, reason: 'in_use', campaigns };
+  }
+
+  await prisma.segment.delete({ where: { id } });
+  logger.info({ ownerId, segmentId: id }, 'Segment deleted');
+
+  return { ok: true };
+}
+
+module.exports = {
+  validateSegmentRules,
+  compileSegmentRules,
+  getSegmentAudience,
+  countSegmentAudience,
+  previewSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment
+};
@@ -0,0 +1,101 @@
+// apps/api/src/services/sendTime.service.js
+// Send-time optimization: estimate the hour each contact usually engages
+
+const prisma = require('../lib/prisma');
+const { getLocalParts } = require('../lib/timezone');
+
+// Only recent engagement says something about current habits
+const HISTORY_DAYS = 180;
+const QUERY_CHUNK_SIZE = 5000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Preferred engagement hour per contact, in the owner's timezone.
+ * Based on offer views, redemptions and NFC conversions; the most frequent
+ * local hour wins (ties go to the most recent engagement).
+ * Contacts without any history are not in the result.
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {number[]} contactIds - Contacts to estimate
+ * @param {string} timezone - Owner timezone (IANA)
+ * @returns {Promise<Map<number, number>>} contactId -> hour (0-23)
+ */
+async function getPreferredHours(ownerId, contactIds, timezone) {
+  const since = new Date(Date.now() - HISTORY_DAYS * 24 * HOUR_MS);
+  const events = [];
+
+  for (let i = 0; i < contactIds.length; i += QUERY_CHUNK_SIZE) {
+    const ids = contactIds.slice(i, i + QUERY_CHUNK_SIZE);
+    const [views, redemptions, conversions] = await Promise.all([
+      prisma.offerViewEvent.findMany({
+        where: { ownerId, contactId: { in: ids }, viewedAt: { gte: since } },
+        select: { contactId: true, viewedAt: true }
+      }),
+      prisma.redemption.findMany({
+        where: { ownerId, contactId: { in: ids }, redeemedAt: { gte: since } },
+        select: { contactId: true, redeemedAt: true }
+      }),
+      prisma.conversionEvent.findMany({
+        where: { storeId: ownerId, contactId: { in: ids }, occurredAt: { gte: since } },
+        select: { contactId: true, occurredAt: true }
+      })
+    ]);
+
+    views.forEach(e => events.push({ contactId: e.contactId, at: e.viewedAt }));
+    redemptions.forEach(e => events.push({ contactId: e.contactId, at: e.redeemedAt }));
+    conversions.forEach(e => events.push({ contactId: e.contactId, at: e.occurredAt }));
+  }
+
+  // contactId -> hour -> { count, latest }
+  const tally = new Map();
+  for (const event of events) {
+    const hour = getLocalParts(event.at, timezone).hour;
+    if (!tally.has(event.contactId)) {
+      tally.set(event.contactId, new Map());
+    }
+    const hours = tally.get(event.contactId);
+    const entry = hours.get(hour) || { count: 0, latest: 0 };
+    entry.count++;
+    entry.latest = Math.max(entry.latest, event.at.getTime());
+    hours.set(hour, entry);
+  }
+
+  const preferred = new Map();
+  for (const [contactId, hours] of tally) {
+    let best = null;
+    for (const [hour, entry] of hours) {
+      if (!best || entry.count > best.count || (entry.count === best.count && entry.latest > best.latest)) {
+        best = { hour, ...entry };
+      }
+    }
+    preferred.set(contactId, best.hour);
+  }
+
+  return preferred;
+}
+
+/**
+ * Delay from `from` until the next start of a local hour, within 24h.
+ * Returns 0 when `from` is already inside that hour.
+ *
+ * @param {number} hour - Local hour (0-23)
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [from] - Reference time (default now)
+ * @returns {number} Delay in ms
+ */
+function delayUntilHour(hour, timezone, from = new Date()) {
+  const local = getLocalParts(from, timezone);
+  if (local.hour === hour) {
+    return 0;
+  }
+
+  // Hours ahead on the local clock; the start of the current minute keeps the result on the hour
+  const hoursAhead = (hour - local.hour + 24) % 24;
+  const msIntoHour = (local.minute * 60 + from.getUTCSeconds()) * 1000 + from.getUTCMilliseconds();
+  return Math.max(0, hoursAhead * HOUR_MS - msIntoHour);
+}
+
+module.exports = {
+  getPreferredHours,
+  delayUntilHour
+};
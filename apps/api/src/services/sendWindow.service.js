@@ -0,0 +1,139 @@
+// apps/api/src/services/sendWindow.service.js
+// Per-owner send window (quiet hours + blocked weekdays) in the owner's timezone
+
+const prisma = require('../lib/prisma');
+const { convertLocalToUTC, getLocalParts, formatLocalDate, addDaysToLocalDate } = require('../lib/timezone');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validate send window settings from the client (only fields present in `input` are returned).
+ * Start and end must be set together; a window may cross midnight (e.g. 22:00-02:00).
+ *
+ * @param {Object} input - { sendWindowStart?, sendWindowEnd?, blockedWeekdays? }
+ * @returns {Object} { ok: true, data } or { ok: false, message }
+ */
+function validateSendWindow(input = {}) {
+  const { sendWindowStart, sendWindowEnd, blockedWeekdays } = input;
+  const data = {};
+
+  if (sendWindowStart !== undefined || sendWindowEnd !== undefined) {
+    const start = sendWindowStart || null;
+    const end = sendWindowEnd || null;
+    if (!!start !== !!end) {
+      return { ok: false, message: 'Send window needs both a start and an end time.' };
+    }
+    if (start && (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end))) {
+      return { ok: false, message: 'Send window times must be in HH:mm format.' };
+    }
+    if (start && start === end) {
+      return { ok: false, message: 'Send window start and end must be different.' };
+    }
+    data.sendWindowStart = start;
+    data.sendWindowEnd = end;
+  }
+
+  if (blockedWeekdays !== undefined) {
+    const days = blockedWeekdays || [];
+    if (!Array.isArray(days) || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { ok: false, message: 'Blocked weekdays must be a list of numbers from 0 (Sunday) to 6 (Saturday).' };
+    }
+    const unique = [...new Set(days)].sort((a, b) => a - b);
+    if (unique.length === 7) {
+      return { ok: false, message: 'At least one weekday must stay open for sending.' };
+    }
+    data.blockedWeekdays = unique;
+  }
+
+  return { ok: true, data };
+}
+
+/**
+ * Load the owner's send window.
+ *
+ * @param {number} ownerId - Owner ID
+ * @returns {Promise<Object|null>} { start, end, blockedWeekdays, timezone } or null if unrestricted
+ */
+async function getSendWindow(ownerId) {
+  const user = await prisma.user.findUnique({
+    where: { id: ownerId },
+    select: { timezone: true, sendWindowStart: true, sendWindowEnd: true, blockedWeekdays: true }
+  });
+  if (!user) {
+    return null;
+  }
+
+  const blockedWeekdays = user.blockedWeekdays || [];
+  if (!user.sendWindowStart && blockedWeekdays.length === 0) {
+    return null;
+  }
+
+  return {
+    start: user.sendWindowStart,
+    end: user.sendWindowEnd,
+    blockedWeekdays,
+    timezone: user.timezone || 'UTC'
+  };
+}
+
+/**
+ * Earliest time at or after `from` when sending is allowed.
+ * Returns `from` itself when it is inside the window.
+ *
+ * @param {Object|null} window - From getSendWindow()
+ * @param {Date} [from] - Reference time (default now)
+ * @returns {Date}
+ */
+function getNextAllowedTime(window, from = new Date()) {
+  if (!window) {
+    return from;
+  }
+
+  const tz = window.timezone;
+  const local = getLocalParts(from, tz);
+  // Start one day back: yesterday's window may run past midnight into today
+  let dateStr = addDaysToLocalDate(formatLocalDate(local.year, local.month, local.day), -1);
+
+  for (let i = 0; i < 9; i++) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+    if (!window.blockedWeekdays.includes(weekday)) {
+      const startTime = window.start || '00:00';
+      const endTime = window.end || '00:00';
+      // Window ends on the next day when it is a full day or crosses midnight
+      const endDateStr = endTime <= startTime ? addDaysToLocalDate(dateStr, 1) : dateStr;
+
+      const opensAt = convertLocalToUTC(dateStr, startTime, tz);
+      const closesAt = convertLocalToUTC(endDateStr, endTime, tz);
+
+      if (opensAt && closesAt && from < closesAt) {
+        return from >= opensAt ? from : opensAt;
+      }
+    }
+
+    dateStr = addDaysToLocalDate(dateStr, 1);
+  }
+
+  // Should not happen (at least one weekday is always open)
+  return from;
+}
+
+/**
+ * Milliseconds to wait before the owner may be sent SMS (0 = send now).
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Date} [from] - Reference time (default now)
+ * @returns {Promise<number>}
+ */
+async function getSendDelay(ownerId, from = new Date()) {
+  const window = await getSendWindow(ownerId);
+  return Math.max(0, getNextAllowedTime(window, from).getTime() - from.getTime());
+}
+
+module.exports = {
+  validateSendWindow,
+  getSendWindow,
+  getNextAllowedTime,
+  getSendDelay
+};
@@ -6,6 +6,7 @@ const { getBalance, debit } = require('./wallet.service');
 const { generateUnsubscribeToken } = require('./token.service');
 const { shortenUrl, shortenUrlsInText } = require('./urlShortener.service');
 const { isSubscriptionActive } = require('./subscription.service');
+const { creditsForText } = require('../lib/smsSegments');
 const pino = require('pino');
 
 const logger = pino({ name: 'sms-service' });
@@ -30,6 +31,7 @@ const UNSUBSCRIBE_BASE_URL = ensureRetailPath(baseFrontendUrl);
 /**
  * Send SMS with credit enforcement
  * Checks balance before sending, debits ONLY after successful send (when messageId is received)
+ * One credit per SMS segment of the final text (GSM-7/UCS-2, see lib/smsSegments)
  * 
  * @param {Object} params
  * @param {number} params.ownerId - Store owner ID
@@ -79,6 +81,18 @@ async function sendSMSWithCredits({ ownerId, destination, text, sender, meta = {
     }
   }
 
+  // Credits are charged per segment of the final text (incl. the unsubscribe link)
+  const segments = creditsForText(finalText);
+  if (balance < segments) {
+    logger.warn({ ownerId, balance, segments }, 'Insufficient credits for SMS segments');
+    return {
+      sent: false,
+      reason: 'insufficient_credits',
+      balance,
+      error: 'Not enough credits to send SMS. Please purchase credits.'
+    };
+  }
+
   // 4. Send SMS via Mitto (credits will be debited AFTER successful send)
   try {
     const result = await sendSingle({
@@ -91,11 +105,11 @@ async function sendSMSWithCredits({ ownerId, destination, text, sender, meta = {
     // 5. Only debit credits AFTER successful send (when we have messageId)
     if (result.messageId) {
       try {
-        const debitResult = await debit(ownerId, 1, {
+        const debitResult = await debit(ownerId, segments, {
           reason: meta.reason || 'sms:send',
           campaignId: meta.campaignId || null,
           messageId: meta.messageId || null,
-          meta: meta
+          meta: { ...meta, segments }
         });
         logger.debug({ ownerId, balanceAfter: debitResult.balance }, 'Credits debited after successful send');
         
@@ -110,6 +124,7 @@ async function sendSMSWithCredits({ ownerId, destination, text, sender, meta = {
           messageId: result.messageId,
           providerMessageId: result.messageId, // Mitto messageId is the provider messageId
           trafficAccountId: result.trafficAccountId,
+          segments,
           balanceAfter: debitResult.balance
         };
       } catch (debitErr) {
@@ -120,6 +135,7 @@ async function sendSMSWithCredits({ ownerId, destination, text, sender, meta = {
           messageId: result.messageId,
           providerMessageId: result.messageId, // Mitto messageId is the provider messageId
           trafficAccountId: result.trafficAccountId,
+          segments,
           balanceAfter: balance // Return original balance if debit failed
         };
       }
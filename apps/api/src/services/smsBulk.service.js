@@ -6,6 +6,7 @@ const { getBalance, debit } = require('./wallet.service');
 const { generateUnsubscribeToken } = require('./token.service');
 const { shortenUrl, shortenUrlsInText } = require('./urlShortener.service');
 const { isSubscriptionActive } = require('./subscription.service');
+const { creditsForText } = require('../lib/smsSegments');
 const pino = require('pino');
 
 const logger = pino({ name: 'sms-bulk-service' });
@@ -30,6 +31,7 @@ const UNSUBSCRIBE_BASE_URL = ensureRetailPath(baseFrontendUrl);
 /**
  * Send bulk SMS with credit enforcement
  * Checks balance before sending, debits ONLY after successful send (when messageId is received)
+ * One credit per SMS segment of the final text (GSM-7/UCS-2, see lib/smsSegments)
  * 
  * @param {Array<Object>} messages - Array of message data objects
  * @param {number} messages[].ownerId - Store owner ID
@@ -40,9 +42,11 @@ const UNSUBSCRIBE_BASE_URL = ensureRetailPath(baseFrontendUrl);
  * @param {number} [messages[].contactId] - Optional contact ID for unsubscribe link
  * @param {Object} [messages[].meta] - Optional metadata (campaignId, messageId, etc.)
  * @param {number} messages[].internalMessageId - Internal CampaignMessage.id for mapping response
+ * @param {Object} [options] - Send options
+ * @param {Object} [options.throttle] - Campaign send rate { campaignId, maxMessages, windowMs }
  * @returns {Promise<Object>} Result with bulkId, results array, and summary
  */
-async function sendBulkSMSWithCredits(messages) {
+async function sendBulkSMSWithCredits(messages, options = {}) {
   if (!messages || !Array.isArray(messages) || messages.length === 0) {
     throw new Error('messages array is required and must not be empty');
   }
@@ -80,7 +84,7 @@ async function sendBulkSMSWithCredits(messages) {
     };
   }
 
-  // 2. Check balance before sending (need credits for all messages)
+  // 2. Check balance before sending (at least one credit per message - segments are checked after preparation)
   const balance = await getBalance(ownerId);
   const requiredCredits = messages.length;
   
@@ -160,6 +164,7 @@ async function sendBulkSMSWithCredits(messages) {
       ownerId: msg.ownerId,
       destination: msg.destination,
       text: finalText,
+      segments: creditsForText(finalText),
       meta: msg.meta || {}
     });
   }
@@ -182,6 +187,27 @@ async function sendBulkSMSWithCredits(messages) {
     };
   }
 
+  // 3b. Check balance for the actual segments of the prepared texts
+  const requiredSegments = messageMapping.reduce((sum, m) => sum + m.segments, 0);
+  if (balance < requiredSegments) {
+    logger.warn({ ownerId, balance, requiredCredits: requiredSegments, messageCount: messages.length }, 'Insufficient credits for bulk SMS segments');
+    return {
+      bulkId: null,
+      results: messages.map(msg => ({
+        internalMessageId: msg.internalMessageId,
+        sent: false,
+        reason: 'insufficient_credits',
+        balance,
+        error: 'Not enough credits to send SMS. Please purchase credits.'
+      })),
+      summary: {
+        total: messages.length,
+        sent: 0,
+        failed: messages.length
+      }
+    };
+  }
+
   // 4. Check rate limits before sending
   const { checkAllLimits } = require('./rateLimiter.service');
   const trafficAccountId = mittoMessages[0]?.trafficAccountId || TRAFFIC_ACCOUNT_ID;
@@ -203,11 +229,30 @@ async function sendBulkSMSWithCredits(messages) {
     throw error; // Worker will catch and retry
   }
 
-  // 5. Send bulk SMS via Mitto
+  // 5. Campaign send rate (drip delivery) - hold the batch until the next rate window
+  if (options.throttle) {
+    const { reserveThrottleSlot } = require('./campaignThrottle.service');
+    const slot = await reserveThrottleSlot(options.throttle.campaignId, options.throttle, mittoMessages.length);
+    if (!slot.allowed) {
+      logger.info({
+        ownerId,
+        campaignId: options.throttle.campaignId,
+        messageCount: mittoMessages.length,
+        retryAfterMs: slot.retryAfterMs
+      }, 'Campaign send rate reached, batch held back');
+
+      const error = new Error('Campaign send rate reached. Will send in the next rate window.');
+      error.reason = 'campaign_throttled';
+      error.retryAfterMs = slot.retryAfterMs;
+      throw error;
+    }
+  }
+
+  // 6. Send bulk SMS via Mitto
   try {
     const result = await sendBulkMessages(mittoMessages);
 
-    // 6. Map response messageIds to input messages
+    // 7. Map response messageIds to input messages
     // Response order should match request order
     const results = [];
     let successCount = 0;
@@ -229,11 +274,11 @@ async function sendBulkSMSWithCredits(messages) {
       if (respMsg && respMsg.messageId) {
         // Message sent successfully - debit credits
         try {
-          const debitResult = await debit(mapping.ownerId, 1, {
+          const debitResult = await debit(mapping.ownerId, mapping.segments, {
             reason: mapping.meta.reason || 'sms:send:bulk',
             campaignId: mapping.meta.campaignId || null,
             messageId: mapping.internalMessageId || null,
-            meta: { ...mapping.meta, bulkId: result.bulkId }
+            meta: { ...mapping.meta, bulkId: result.bulkId, segments: mapping.segments }
           });
           
           logger.debug({ 
@@ -321,7 +366,7 @@ async function sendBulkSMSWithCredits(messages) {
       rawResponse: result.rawResponse
     };
   } catch (err) {
-    // 7. On send failure, do NOT debit credits (no messageId = no debit)
+    // 8. On send failure, do NOT debit credits (no messageId = no debit)
     logger.warn({ ownerId, messageCount: messages.length, err: err.message }, 'Bulk SMS send failed, no credits debited');
 
     return {
@@ -0,0 +1,227 @@
+// apps/api/src/services/suppression.service.js
+// Who must not be messaged: the owner's suppression list and per-campaign audience exclusions
+
+const prisma = require('../lib/prisma');
+const pino = require('pino');
+
+const logger = pino({ name: 'suppression-service' });
+
+const MAX_PHONES_PER_REQUEST = 1000;
+const MAX_EXCLUSIONS = 20;
+
+/**
+ * List the owner's suppressed numbers
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} [options] - { page, pageSize, q (phone search) }
+ * @returns {Promise<Object>} { items, total, page, pageSize }
+ */
+async function listSuppressedPhones(ownerId, options = {}) {
+  const page = Math.max(1, options.page || 1);
+  const pageSize = Math.min(200, Math.max(1, options.pageSize || 50));
+  const where = { ownerId };
+  if (options.q) {
+    where.phone = { contains: options.q };
+  }
+
+  const [items, total] = await Promise.all([
+    prisma.suppressedPhone.findMany({
+      where,
+      orderBy: { id: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize
+    }),
+    prisma.suppressedPhone.count({ where })
+  ]);
+
+  return { items, total, page, pageSize };
+}
+
+/**
+ * Add numbers to the suppression list (already suppressed numbers are ignored)
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Array<string>} phones - Phone numbers in any format
+ * @param {string} [reason] - Optional note (e.g. "staff")
+ * @returns {Promise<Object>} { ok: true, added, invalid } or { ok: false, reason: 'invalid', message }
+ */
+async function addSuppressedPhones(ownerId, phones, reason) {
+  if (!Array.isArray(phones) || phones.length === 0) {
+    return { ok: false, reason: 'invalid', message: 'phones must be a non-empty array' };
+  }
+  if (phones.length > MAX_PHONES_PER_REQUEST) {
+    return { ok: false, reason: 'invalid', message: `At most ${MAX_PHONES_PER_REQUEST} numbers per request` };
+  }
+
+  const { normalizePhoneToE164 } = require('../lib/phone');
+  const { sanitizeString } = require('../lib/sanitize');
+  const note = reason ? sanitizeString(String(reason), { maxLength: 200 }) : null;
+
+  const valid = new Set();
+  const invalid = [];
+  for (const phone of phones) {
+    const normalized = normalizePhoneToE164(typeof phone === 'string' ? phone : String(phone ?? ''));
+    if (normalized) {
+      valid.add(normalized);
+    } else {
+      invalid.push(phone);
+    }
+  }
+
+  let added = 0;
+  if (valid.size) {
+    const result = await prisma.suppressedPhone.createMany({
+      data: [...valid].map(phone => ({ ownerId, phone, reason: note })),
+      skipDuplicates: true
+    });
+    added = result.count;
+  }
+
+  logger.info({ ownerId, added, invalid: invalid.length }, 'Suppressed phones added');
+
+  return { ok: true, added, invalid };
+}
+
+/**
+ * Remove a number from the suppression list
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {number} id - SuppressedPhone ID
+ * @returns {Promise<Object>} { ok: true } or { ok: false, reason: 'not_found' }
+ */
+async function removeSuppressedPhone(ownerId, id) {
+  const result = await prisma.suppressedPhone.deleteMany({ where: { id, ownerId } });
+  if (result.count === 0) {
+    return { ok: false, reason: 'not_found' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Whether a number is on the owner's suppression list
+ */
+async function isPhoneSuppressed(ownerId, phone) {
+  if (!phone) {
+    return false;
+  }
+  const found = await prisma.suppressedPhone.findFirst({
+    where: { ownerId, phone },
+    select: { id: true }
+  });
+  return !!found;
+}
+
+/**
+ * All suppressed numbers of an owner (for filtering a whole audience)
+ *
+ * @returns {Promise<Set<string>>}
+ */
+async function getSuppressedPhoneSet(ownerId) {
+  const rows = await prisma.suppressedPhone.findMany({
+    where: { ownerId },
+    select: { phone: true }
+  });
+  return new Set(rows.map(r => r.phone));
+}
+
+/**
+ * Validate campaign audience exclusions (lists and segments must belong to the owner)
+ *
+ * @param {number} ownerId - Owner ID
+ * @param {Object} input - { excludeListIds?, excludeSegmentIds? } (missing/null = none)
+ * @returns {Promise<Object>} { ok: true, excludeListIds, excludeSegmentIds } or { ok: false, message }
+ */
+async function validateExclusions(ownerId, input = {}) {
+  const out = {};
+  const checks = [
+    ['excludeListIds', 'list', prisma.list],
+    ['excludeSegmentIds', 'segment', prisma.segment]
+  ];
+
+  for (const [key, label, model] of checks) {
+    const value = input[key];
+    if (value === undefined || value === null) {
+      out[key] = [];
+      continue;
+    }
+    if (!Array.isArray(value) || value.some(id => !Number.isInteger(id) || id <= 0)) {
+      return { ok: false, message: `${key} must be an array of ${label} IDs` };
+    }
+    const ids = [...new Set(value)];
+    if (ids.length > MAX_EXCLUSIONS) {
+      return { ok: false, message: `At most ${MAX_EXCLUSIONS} excluded ${label}s` };
+    }
+    if (ids.length && (await model.count({ where: { id: { in: ids }, ownerId } })) !== ids.length) {
+      return { ok: false, message: `Excluded ${label} not found` };
+    }
+    out[key] = ids;
+  }
+
+  return { ok: true, ...out };
+}
+
+/**
+ * Remove suppressed numbers and excluded list/segment members from a campaign audience
+ *
+ * @param {Object} camp - Campaign ({ ownerId, excludeListIds?, excludeSegmentIds? })
+ * @param {Array} contacts - Audience (contacts with id and phone)
+ * @returns {Promise<Object>} { contacts, skipped: { suppressed, excluded } }
+ */
+async function applyCampaignExclusions(camp, contacts) {
+  const skipped = { suppressed: 0, excluded: 0 };
+  if (!contacts.length) {
+    return { contacts, skipped };
+  }
+
+  const excludedIds = new Set();
+  const contactIds = contacts.map(c => c.id);
+
+  if (camp.excludeListIds?.length) {
+    const members = await prisma.listMembership.findMany({
+      where: { listId: { in: camp.excludeListIds }, contactId: { in: contactIds } },
+      select: { contactId: true }
+    });
+    members.forEach(m => excludedIds.add(m.contactId));
+  }
+
+  if (camp.excludeSegmentIds?.length) {
+    const { compileSegmentRules } = require('./segment.service');
+    const segments = await prisma.segment.findMany({
+      where: { id: { in: camp.excludeSegmentIds }, ownerId: camp.ownerId }
+    });
+    for (const segment of segments) {
+      const where = await compileSegmentRules(camp.ownerId, segment.rules);
+      const matches = await prisma.contact.findMany({
+        where: { AND: [where, { id: { in: contactIds } }] },
+        select: { id: true }
+      });
+      matches.forEach(m => excludedIds.add(m.id));
+    }
+  }
+
+  const suppressed = await getSuppressedPhoneSet(camp.ownerId);
+
+  const kept = contacts.filter(contact => {
+    if (contact.phone && suppressed.has(contact.phone)) {
+      skipped.suppressed++;
+      return false;
+    }
+    if (excludedIds.has(contact.id)) {
+      skipped.excluded++;
+      return false;
+    }
+    return true;
+  });
+
+  return { contacts: kept, skipped };
+}
+
+module.exports = {
+  listSuppressedPhones,
+  addSuppressedPhones,
+  removeSuppressedPhone,
+  isPhoneSuppressed,
+  getSuppressedPhoneSet,
+  validateExclusions,
+  applyCampaignExclusions
+};
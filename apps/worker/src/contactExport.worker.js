@@ -0,0 +1,73 @@
+// apps/worker/src/contactExport.worker.js
+require('dotenv').config();
+
+const pino = require('pino');
+const logger = pino({ name: 'contact-export-worker' });
+
+if (process.env.QUEUE_DISABLED === '1') {
+  logger.warn('Disabled via QUEUE_DISABLED=1');
+  process.exit(0);
+}
+
+// Dependencies are resolved from apps/api/node_modules because worker runs with cwd=apps/api
+const { Worker } = require('bullmq');
+const { getRedisClient } = require('../../api/src/lib/redis');
+const { processExportJob } = require('../../api/src/services/contactExport.service');
+
+const connection = getRedisClient();
+
+if (!connection) {
+  logger.warn('Redis client could not be created, contact export worker disabled');
+  process.exit(0);
+}
+
+logger.info('Starting contact export worker (Redis will connect on first use)...');
+
+const concurrency = Number(process.env.CONTACT_EXPORT_CONCURRENCY || 1);
+
+const worker = new Worker(
+  'contactExportQueue',
+  async (job) => {
+    logger.info({ jobId: job.id, jobName: job.name, userId: job.data?.userId }, 'Processing contact export job');
+
+    if (job.name !== 'exportContacts') {
+      logger.warn({ jobId: job.id, jobName: job.name }, 'Unknown job name, skipping');
+      return;
+    }
+
+    const { userId, filters, format } = job.data || {};
+    if (!userId) {
+      logger.error({ jobId: job.id, jobData: job.data }, 'Missing userId in job data');
+      throw new Error('Missing userId in job data');
+    }
+
+    try {
+      // Progress callback to update job progress
+      const progressCallback = (processed, total) => {
+        job.updateProgress({ processed, total });
+      };
+
+      const result = await processExportJob(
+        { jobId: job.id, userId, filters, format },
+        progressCallback
+      );
+
+      logger.info({ userId, jobId: job.id, rows: result.rows }, 'Contact export completed successfully');
+
+      return result;
+    } catch (err) {
+      logger.error({
+        userId,
+        jobId: job.id,
+        error: err.message,
+        stack: err.stack
+      }, 'Error processing contact export job');
+      throw err; // Re-throw to mark job as failed
+    }
+  },
+  { connection, concurrency }
+);
+
+worker.on('active', (job) => logger.info({ jobId: job.id }, `Processing ${job.name}`));
+worker.on('completed', (job) => logger.info({ jobId: job.id }, `Completed ${job.name}`));
+worker.on('failed', (job, err) => logger.error({ jobId: job?.id, err: err?.message }, `Failed ${job?.name}`));
@@ -13,6 +13,10 @@ if (process.env.QUEUE_DISABLED === '1') {
 const { Worker } = require('bullmq');
 const { getRedisClient } = require('../../api/src/lib/redis');
 const { enqueueCampaign } = require('../../api/src/services/campaignEnqueue.service');
+const { sendCampaignWinner } = require('../../api/src/services/campaignWinner.service');
+const { runRecurringCampaign } = require('../../api/src/services/campaignRecurrence.service');
+const { sendDeferredAutomation } = require('../../api/src/services/automation.service');
+const { syncAllFilteredLists } = require('../../api/src/services/listSegmentation.service');
 
 const connection = getRedisClient();
 
@@ -32,7 +36,22 @@ const worker = new Worker(
   async (job) => {
     logger.info({ jobId: job.id, jobName: job.name, jobData: job.data }, 'Processing scheduled job');
     
-    if (job.name !== 'enqueueCampaign') {
+    if (job.name === 'sendWelcomeAutomation' || job.name === 'sendBirthdayAutomation') {
+      // Automation message deferred by the owner's send window (quiet hours)
+      const { ownerId, contactId } = job.data || {};
+      const result = await sendDeferredAutomation(job.name, Number(ownerId), Number(contactId));
+      logger.info({ jobId: job.id, ownerId, contactId, sent: result.sent, reason: result.reason }, 'Deferred automation processed');
+      return;
+    }
+
+    if (job.name === 'syncFilteredLists') {
+      // Nightly: re-evaluate every list with segmentation filters (ages change over time)
+      const result = await syncAllFilteredLists();
+      logger.info({ jobId: job.id, ...result }, 'Filtered lists synced');
+      return result;
+    }
+
+    if (!['enqueueCampaign', 'sendCampaignWinner', 'runRecurringCampaign'].includes(job.name)) {
       logger.warn({ jobId: job.id, jobName: job.name }, 'Unknown job name, skipping');
       return;
     }
@@ -43,6 +62,29 @@ const worker = new Worker(
       throw new Error('Missing campaignId in job data');
     }
 
+    if (job.name === 'runRecurringCampaign') {
+      // Recurring campaign: create this occurrence's child run and schedule the next occurrence
+      const result = await runRecurringCampaign(Number(campaignId), job.data.occurrence);
+      if (!result.ok) {
+        logger.warn({ campaignId, jobId: job.id, reason: result.reason }, 'Recurring campaign occurrence skipped');
+      } else {
+        logger.info({ campaignId, jobId: job.id, runId: result.runId, nextRunAt: result.nextRunAt }, 'Recurring campaign run created');
+      }
+      return;
+    }
+
+    if (job.name === 'sendCampaignWinner') {
+      // A/B test: pick the winner and send it to the rest of the audience.
+      // Not retried on !ok - the winner is recorded once, a retry cannot change the outcome.
+      const result = await sendCampaignWinner(Number(campaignId));
+      if (!result.ok) {
+        logger.warn({ campaignId, jobId: job.id, reason: result.reason }, 'A/B winner send skipped');
+      } else {
+        logger.info({ campaignId, jobId: job.id, winnerVariantId: result.winnerVariantId, created: result.created }, 'A/B winner sent');
+      }
+      return;
+    }
+
     try {
       logger.info({ campaignId, jobId: job.id }, 'Calling enqueueCampaign');
       const result = await enqueueCampaign(Number(campaignId));
@@ -18,6 +18,8 @@ const { sendBulkSMSWithCredits } = require('../../api/src/services/smsBulk.servi
 const { debit } = require('../../api/src/services/wallet.service');
 const { generateUnsubscribeToken } = require('../../api/src/services/token.service');
 const { shortenUrl, shortenUrlsInText } = require('../../api/src/services/urlShortener.service');
+const { getSendDelay } = require('../../api/src/services/sendWindow.service');
+const { creditsForText } = require('../../api/src/lib/smsSegments');
 
 // Helper function to ensure base URL includes /retail path
 function ensureRetailPath(url) {
@@ -48,6 +50,28 @@ logger.info('Starting SMS worker (Redis will connect on first use)...');
 
 const concurrency = Number(process.env.WORKER_CONCURRENCY || 5);
 
+/**
+ * Re-add a job to run later without using up its retry attempts.
+ * Used for the owner's send window (quiet hours - also catches campaigns whose
+ * scheduled time drifted into the night through retries), campaign send rates and
+ * batch messages still claimed by another run (`data` narrows the job to those).
+ */
+async function deferJob(job, delayMs, logContext, reason = 'window', data = job.data) {
+  const smsQueue = require('../../api/src/queues/sms.queue');
+  if (!smsQueue) {
+    logger.warn({ jobId: job.id, reason, ...logContext }, 'SMS queue not available, cannot defer job');
+    return false;
+  }
+  await smsQueue.add(job.name, data, {
+    jobId: `${job.name}:${reason}:${data.campaignId || data.messageId}:${Date.now()}`,
+    delay: delayMs,
+    attempts: job.opts?.attempts,
+    backoff: job.opts?.backoff
+  });
+  logger.info({ jobId: job.id, delayMs, reason, ...logContext }, 'Job delayed to next allowed slot');
+  return true;
+}
+
 function isRetryable(err) {
   // Check for rate limit errors from our rate limiter (Phase 2.1)
   if (err?.reason === 'rate_limit_exceeded' || 
@@ -95,12 +119,25 @@ async function processIndividualJob(messageId, job) {
     const msg = await prisma.campaignMessage.findUnique({
       where: { id: messageId },
       include: {
-        campaign: { select: { id: true, ownerId: true, createdById: true } },
+        campaign: { select: { id: true, ownerId: true, createdById: true, status: true } },
         contact:  { select: { id: true, phone: true, unsubscribeTokenHash: true } }
       }
     });
     if (!msg) return;
 
+    // Paused campaigns: keep the message queued until the campaign is resumed
+    // Cancelled campaigns: never send (the message is marked cancelled by the cancel flow)
+    if (msg.campaign.status === 'paused' || msg.campaign.status === 'cancelled') {
+      logger.info({ messageId: msg.id, campaignId: msg.campaign.id, status: msg.campaign.status }, 'Campaign is not sending, skipping message');
+      return;
+    }
+
+    // Quiet hours: hold the message until the owner's next allowed send slot
+    const windowDelay = await getSendDelay(msg.campaign.ownerId);
+    if (windowDelay > 0 && await deferJob(job, windowDelay, { messageId: msg.id, campaignId: msg.campaign.id })) {
+      return;
+    }
+
     try {
       // Ensure unsubscribe link and offer link are present (safety check - should already be added in enqueue)
       let finalText = await shortenUrlsInText(msg.text); // Shorten any URLs in message
@@ -148,11 +185,13 @@ async function processIndividualJob(messageId, job) {
       // Only debit credits AFTER successful send (when we have messageId)
       if (providerId) {
         try {
-          await debit(msg.campaign.ownerId, 1, {
+          // One credit per SMS segment of the text actually sent
+          const segments = creditsForText(finalText);
+          await debit(msg.campaign.ownerId, segments, {
             reason: `sms:send:campaign:${msg.campaign.id}`,
             campaignId: msg.campaign.id,
             messageId: msg.id,
-            meta: { providerMessageId: providerId }
+            meta: { providerMessageId: providerId, segments }
           });
           logger.debug({ messageId: msg.id, ownerId: msg.campaign.ownerId }, 'Credits debited after successful send');
         } catch (debitErr) {
@@ -214,28 +253,75 @@ async function processIndividualJob(messageId, job) {
     }
 }
 
+/**
+ * Put claimed messages back to 'queued' when the batch is deferred without sending
+ */
+async function releaseClaimedMessages(messageIds) {
+  if (messageIds.length === 0) return;
+  await prisma.campaignMessage.updateMany({
+    where: { id: { in: messageIds }, status: 'sending', providerMessageId: null },
+    data: { status: 'queued' }
+  });
+}
+
 /**
  * Process batch job (new bulk sending)
  */
 async function processBatchJob(campaignId, ownerId, messageIds, job) {
+  let claimedIds = [];
   try {
-    // Fetch all messages in batch
-    // Idempotency check: Only process messages that haven't been sent yet
-    const messages = await prisma.campaignMessage.findMany({
-      where: {
-        id: { in: messageIds },
-        campaignId,
-        ownerId,
-        status: 'queued',
-        providerMessageId: null  // Only process unsent messages
-      },
+    // Paused campaigns: leave messages queued (nothing sent, nothing debited) until resumed
+    // Cancelled campaigns: the batch may have been picked up before the cancel removed it
+    const campaign = await prisma.campaign.findUnique({
+      where: { id: campaignId },
+      select: { status: true, throttleMaxMessages: true, throttleWindowMinutes: true }
+    });
+    if (campaign?.status === 'paused' || campaign?.status === 'cancelled') {
+      logger.info({ campaignId, ownerId, jobId: job.id, status: campaign.status }, 'Campaign is not sending, skipping batch');
+      return;
+    }
+
+    // Quiet hours: hold the batch until the owner's next allowed send slot
+    const windowDelay = await getSendDelay(ownerId);
+    if (windowDelay > 0 && await deferJob(job, windowDelay, { campaignId, ownerId })) {
+      return;
+    }
+
+    // Claim the batch: only messages still queued and unsent move to 'sending', atomically,
+    // so a second job with the same IDs (e.g. pause + resume while this batch was running) gets none of them.
+    // Stale claims (a batch that crashed or stalled before recording its result) are taken over.
+    const { SENDING_CLAIM_TIMEOUT_MS } = require('../../api/src/services/campaignControl.service');
+    const staleBefore = new Date(Date.now() - SENDING_CLAIM_TIMEOUT_MS);
+    const claimed = await prisma.$queryRaw`
+      UPDATE "CampaignMessage"
+      SET "status" = 'sending', "claimedAt" = NOW()
+      WHERE "id" = ANY(${messageIds}) AND "campaignId" = ${campaignId} AND "ownerId" = ${ownerId}
+        AND "providerMessageId" IS NULL
+        AND ("status" = 'queued'
+          OR ("status" = 'sending' AND ("claimedAt" IS NULL OR "claimedAt" < ${staleBefore})))
+      RETURNING "id"`;
+    claimedIds = claimed.map(m => m.id);
+
+    // Messages claimed recently by another run of this batch: if that run died (e.g. this is the
+    // retry of a stalled job) they can only be taken over once the claim is stale, so check them again then
+    const heldElsewhere = await prisma.campaignMessage.findMany({
+      where: { id: { in: messageIds, notIn: claimedIds }, status: 'sending', providerMessageId: null },
+      select: { id: true }
+    });
+    if (heldElsewhere.length > 0) {
+      await deferJob(job, SENDING_CLAIM_TIMEOUT_MS + 60 * 1000, { campaignId, ownerId }, 'claim',
+        { ...job.data, messageIds: heldElsewhere.map(m => m.id) });
+    }
+
+    const messages = claimedIds.length === 0 ? [] : await prisma.campaignMessage.findMany({
+      where: { id: { in: claimedIds } },
       include: {
         campaign: { select: { id: true, ownerId: true, createdById: true } },
         contact: { select: { id: true, phone: true } }
       }
     });
     
-    // Idempotency: Skip messages that were already sent (in case of retry)
+    // Idempotency: Skip messages that were already sent or are being sent by another job
     const alreadySent = messageIds.length - messages.length;
     if (alreadySent > 0) {
       logger.warn({ 
@@ -243,7 +329,7 @@ async function processBatchJob(campaignId, ownerId, messageIds, job) {
         ownerId, 
         alreadySent,
         totalRequested: messageIds.length 
-      }, 'Some messages already sent, skipping (idempotency)');
+      }, 'Some messages already sent or claimed, skipping (idempotency)');
     }
 
     if (messages.length === 0) {
@@ -306,8 +392,12 @@ async function processBatchJob(campaignId, ownerId, messageIds, job) {
       };
     }));
 
-    // Send bulk SMS
-    const result = await sendBulkSMSWithCredits(bulkMessages);
+    // Send bulk SMS (throttled campaigns are held to their send rate)
+    const { getThrottle } = require('../../api/src/services/campaignThrottle.service');
+    const throttle = getThrottle(campaign);
+    const result = await sendBulkSMSWithCredits(bulkMessages, {
+      throttle: throttle ? { campaignId, ...throttle } : undefined
+    });
 
     // Update messages with results
     const updatePromises = [];
@@ -374,6 +464,14 @@ async function processBatchJob(campaignId, ownerId, messageIds, job) {
     }
 
   } catch (e) {
+    // Campaign send rate reached: messages go back to queued, the batch runs in the next rate window
+    if (e?.reason === 'campaign_throttled') {
+      await releaseClaimedMessages(claimedIds);
+      if (await deferJob(job, e.retryAfterMs, { campaignId, ownerId }, 'throttle')) {
+        return;
+      }
+    }
+
     const retryable = isRetryable(e);
     logger.error({ 
       campaignId, 
@@ -383,14 +481,14 @@ async function processBatchJob(campaignId, ownerId, messageIds, job) {
       err: e.message 
     }, 'Batch job failed');
 
-      // Mark all messages in batch as failed or queued (for retry)
+      // Mark the claimed messages as failed or queued (for retry)
       // Increment retry count for idempotency tracking
       await prisma.campaignMessage.updateMany({
         where: {
-          id: { in: messageIds },
+          id: { in: claimedIds },
           campaignId,
           ownerId,
-          status: 'queued'  // Only update queued messages (idempotency)
+          status: { in: ['queued', 'sending'] }  // Only update unsent messages (idempotency)
         },
         data: {
           failedAt: retryable ? null : new Date(),
@@ -0,0 +1,5 @@
+-- Add cancelled value to CampaignStatus enum (campaign cancelled while sending)
+ALTER TYPE "CampaignStatus" ADD VALUE IF NOT EXISTS 'cancelled';
+
+-- Add cancelled value to MessageStatus enum (queued messages left unsent by a cancel)
+ALTER TYPE "MessageStatus" ADD VALUE IF NOT EXISTS 'cancelled';
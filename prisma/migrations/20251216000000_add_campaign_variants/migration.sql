@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "CampaignVariant" (
+    "id" SERIAL NOT NULL,
+    "campaignId" INTEGER NOT NULL,
+    "label" VARCHAR(1) NOT NULL,
+    "templateId" INTEGER,
+    "messageText" TEXT,
+    "splitPercent" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CampaignVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "CampaignMessage" ADD COLUMN "variantId" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CampaignVariant_campaignId_label_key" ON "CampaignVariant"("campaignId", "label");
+
+-- CreateIndex
+CREATE INDEX "CampaignVariant_campaignId_idx" ON "CampaignVariant"("campaignId");
+
+-- CreateIndex
+CREATE INDEX "CampaignMessage_variantId_idx" ON "CampaignMessage"("variantId");
+
+-- AddForeignKey
+ALTER TABLE "CampaignVariant" ADD CONSTRAINT "CampaignVariant_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "Campaign"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CampaignVariant" ADD CONSTRAINT "CampaignVariant_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "MessageTemplate"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CampaignMessage" ADD CONSTRAINT "CampaignMessage_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "CampaignVariant"("id") ON DELETE SET NULL ON UPDATE CASCADE;
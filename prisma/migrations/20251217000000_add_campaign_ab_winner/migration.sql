@@ -0,0 +1,9 @@
+-- CreateEnum
+CREATE TYPE "AbWinnerMetric" AS ENUM ('redemption_rate', 'offer_view_rate');
+
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "abTestPercent" INTEGER,
+ADD COLUMN "abWaitHours" INTEGER,
+ADD COLUMN "abWinnerMetric" "AbWinnerMetric",
+ADD COLUMN "abWinnerVariantId" INTEGER,
+ADD COLUMN "abWinnerPickedAt" TIMESTAMP(3);
@@ -0,0 +1,16 @@
+-- CreateEnum
+CREATE TYPE "RecurrenceFrequency" AS ENUM ('daily', 'weekly', 'monthly');
+
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "recurrenceFrequency" "RecurrenceFrequency",
+ADD COLUMN "recurrenceWeekdays" INTEGER[],
+ADD COLUMN "recurrenceDayOfMonth" INTEGER,
+ADD COLUMN "recurrenceTime" VARCHAR(5),
+ADD COLUMN "recurrenceEndDate" VARCHAR(10),
+ADD COLUMN "parentCampaignId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Campaign_parentCampaignId_idx" ON "Campaign"("parentCampaignId");
+
+-- AddForeignKey
+ALTER TABLE "Campaign" ADD CONSTRAINT "Campaign_parentCampaignId_fkey" FOREIGN KEY ("parentCampaignId") REFERENCES "Campaign"("id") ON DELETE SET NULL ON UPDATE CASCADE;
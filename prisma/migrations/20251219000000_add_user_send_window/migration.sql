@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "sendWindowStart" VARCHAR(5),
+ADD COLUMN "sendWindowEnd" VARCHAR(5),
+ADD COLUMN "blockedWeekdays" INTEGER[];
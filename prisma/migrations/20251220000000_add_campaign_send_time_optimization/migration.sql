@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "sendTimeOptimization" BOOLEAN NOT NULL DEFAULT false;
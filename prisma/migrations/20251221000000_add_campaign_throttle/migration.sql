@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN     "throttleMaxMessages" INTEGER,
+ADD COLUMN     "throttleWindowMinutes" INTEGER;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CampaignMessage" ADD COLUMN "segments" INTEGER NOT NULL DEFAULT 1;
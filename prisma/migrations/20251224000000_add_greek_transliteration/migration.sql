@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "transliterateGreek" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "Automation" ADD COLUMN "transliterateGreek" BOOLEAN NOT NULL DEFAULT false;
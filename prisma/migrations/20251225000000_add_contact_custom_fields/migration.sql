@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Contact" ADD COLUMN "customFields" JSONB;
@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "ContactAttributeType" AS ENUM ('string', 'number', 'date', 'boolean', 'enum');
+
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "filterAttributes" JSONB;
+
+-- CreateTable
+CREATE TABLE "ContactAttribute" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "key" VARCHAR(50) NOT NULL,
+    "label" VARCHAR(120) NOT NULL,
+    "type" "ContactAttributeType" NOT NULL,
+    "options" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ContactAttribute_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ContactAttribute_ownerId_idx" ON "ContactAttribute"("ownerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ContactAttribute_ownerId_key_key" ON "ContactAttribute"("ownerId", "key");
+
+-- AddForeignKey
+ALTER TABLE "ContactAttribute" ADD CONSTRAINT "ContactAttribute_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
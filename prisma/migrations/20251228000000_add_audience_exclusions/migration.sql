@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "excludeListIds" INTEGER[],
+ADD COLUMN "excludeSegmentIds" INTEGER[],
+ADD COLUMN "skipped" JSONB;
+
+-- CreateTable
+CREATE TABLE "SuppressedPhone" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "phone" VARCHAR(32) NOT NULL,
+    "reason" VARCHAR(200),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SuppressedPhone_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SuppressedPhone_ownerId_idx" ON "SuppressedPhone"("ownerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SuppressedPhone_ownerId_phone_key" ON "SuppressedPhone"("ownerId", "phone");
+
+-- AddForeignKey
+ALTER TABLE "SuppressedPhone" ADD CONSTRAINT "SuppressedPhone_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
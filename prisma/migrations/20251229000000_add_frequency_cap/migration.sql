@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "frequencyCapMessages" INTEGER,
+ADD COLUMN "frequencyCapDays" INTEGER NOT NULL DEFAULT 7;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "List" ADD COLUMN "lastSyncedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ListMemberCount" (
+    "id" SERIAL NOT NULL,
+    "listId" INTEGER NOT NULL,
+    "memberCount" INTEGER NOT NULL,
+    "added" INTEGER NOT NULL DEFAULT 0,
+    "removed" INTEGER NOT NULL DEFAULT 0,
+    "recordedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ListMemberCount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ListMemberCount_listId_recordedAt_idx" ON "ListMemberCount"("listId", "recordedAt");
+
+-- AddForeignKey
+ALTER TABLE "ListMemberCount" ADD CONSTRAINT "ListMemberCount_listId_fkey" FOREIGN KEY ("listId") REFERENCES "List"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "ContactEventType" AS ENUM ('list_joined', 'list_left', 'subscribed', 'unsubscribed');
+
+-- CreateTable
+CREATE TABLE "ContactEvent" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "contactId" INTEGER NOT NULL,
+    "type" "ContactEventType" NOT NULL,
+    "listId" INTEGER,
+    "source" VARCHAR(32),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContactEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ContactEvent_contactId_createdAt_idx" ON "ContactEvent"("contactId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ContactEvent_ownerId_idx" ON "ContactEvent"("ownerId");
+
+-- AddForeignKey
+ALTER TABLE "ContactEvent" ADD CONSTRAINT "ContactEvent_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContactEvent" ADD CONSTRAINT "ContactEvent_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
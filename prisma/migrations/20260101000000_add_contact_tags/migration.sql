@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Contact" ADD COLUMN "tags" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "filterTags" TEXT[];
+
+-- CreateIndex
+CREATE INDEX "Contact_tags_idx" ON "Contact" USING GIN ("tags");
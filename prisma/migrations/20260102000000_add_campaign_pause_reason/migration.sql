@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "pauseReason" VARCHAR(64);
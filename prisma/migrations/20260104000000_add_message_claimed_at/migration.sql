@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CampaignMessage" ADD COLUMN "claimedAt" TIMESTAMP(3);